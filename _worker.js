@@ -1,5 +1,270 @@
+// Numbered, append-only schema migrations. Each migration runs exactly once, as a
+// single D1 batch together with its schema_migrations row, so a failure leaves no
+// half-applied version behind. Column steps are only emitted when the column is
+// missing, which lets databases patched by older releases converge on the same
+// schema; they must target a table that existed before the migration started.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: '创建基础表',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS user_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chat_id TEXT NOT NULL UNIQUE,
+        storage_type TEXT DEFAULT 'telegram',
+        current_category_id INTEGER,
+        waiting_for TEXT,
+        editing_file_id TEXT,
+        FOREIGN KEY (current_category_id) REFERENCES categories(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        fileId TEXT,
+        message_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        file_name TEXT,
+        file_size INTEGER,
+        mime_type TEXT,
+        storage_type TEXT DEFAULT 'telegram',
+        category_id INTEGER,
+        chat_id TEXT,
+        remark TEXT,
+        FOREIGN KEY (category_id) REFERENCES categories(id)
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: '补齐旧版本缺失的列并创建默认分类',
+    steps: [
+      { table: 'files', column: 'fileId', type: 'TEXT' },
+      { table: 'files', column: 'message_id', type: 'INTEGER' },
+      { table: 'files', column: 'file_name', type: 'TEXT' },
+      { table: 'files', column: 'file_size', type: 'INTEGER' },
+      { table: 'files', column: 'mime_type', type: 'TEXT' },
+      { table: 'files', column: 'storage_type', type: "TEXT DEFAULT 'telegram'" },
+      { table: 'files', column: 'category_id', type: 'INTEGER' },
+      { table: 'files', column: 'chat_id', type: 'TEXT' },
+      { table: 'files', column: 'remark', type: 'TEXT' },
+      { table: 'files', column: 'custom_suffix', type: 'TEXT' },
+      { table: 'user_settings', column: 'storage_type', type: "TEXT DEFAULT 'telegram'" },
+      { table: 'user_settings', column: 'current_category_id', type: 'INTEGER' },
+      { table: 'user_settings', column: 'waiting_for', type: 'TEXT' },
+      { table: 'user_settings', column: 'editing_file_id', type: 'TEXT' },
+      { table: 'user_settings', column: 'custom_suffix', type: 'TEXT' },
+      `INSERT OR IGNORE INTO categories (name) VALUES ('默认分类')`,
+      `UPDATE files SET category_id = (SELECT id FROM categories WHERE name = '默认分类') WHERE category_id IS NULL`,
+      `UPDATE user_settings SET current_category_id = (SELECT id FROM categories WHERE name = '默认分类') WHERE current_category_id IS NULL`
+    ]
+  },
+  {
+    version: 3,
+    name: '创建Telegram分片表',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS file_parts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT NOT NULL,
+        part_index INTEGER NOT NULL,
+        tg_file_id TEXT NOT NULL,
+        message_id INTEGER NOT NULL,
+        size INTEGER NOT NULL,
+        UNIQUE (group_id, part_index)
+      )`
+    ]
+  },
+  {
+    version: 4,
+    name: '文件私有标记',
+    steps: [
+      { table: 'files', column: 'is_private', type: 'INTEGER NOT NULL DEFAULT 0' }
+    ]
+  },
+  {
+    version: 5,
+    name: '文件过期时间',
+    steps: [
+      { table: 'files', column: 'expires_at', type: 'INTEGER' }
+    ]
+  },
+  {
+    version: 6,
+    name: '用户账号与文件归属',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        created_at INTEGER
+      )`,
+      { table: 'files', column: 'owner_id', type: 'INTEGER' }
+    ]
+  },
+  {
+    version: 7,
+    name: '登录会话',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        last_seen INTEGER,
+        ip TEXT,
+        user_agent TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`
+    ]
+  },
+  {
+    version: 8,
+    name: 'API令牌',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        scope TEXT NOT NULL DEFAULT 'full',
+        user_id INTEGER,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER
+      )`
+    ]
+  },
+  {
+    version: 9,
+    name: '文件内容哈希',
+    steps: [
+      { table: 'files', column: 'content_hash', type: 'TEXT' },
+      'CREATE INDEX IF NOT EXISTS idx_files_content_hash ON files(content_hash)'
+    ]
+  },
+  {
+    version: 10,
+    name: '回收站',
+    steps: [
+      { table: 'files', column: 'deleted_at', type: 'INTEGER' }
+    ]
+  },
+  {
+    version: 11,
+    name: '操作日志',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_type TEXT NOT NULL,
+        actor TEXT,
+        action TEXT NOT NULL,
+        target TEXT,
+        old_value TEXT,
+        new_value TEXT,
+        ip TEXT,
+        created_at INTEGER NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 12,
+    name: '初始化状态记录',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS app_settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at INTEGER NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 13,
+    name: 'Telegram更新去重',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS telegram_updates (
+        update_id INTEGER PRIMARY KEY,
+        received_at INTEGER NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 14,
+    name: 'Telegram后台处理状态',
+    steps: [
+      { table: 'telegram_updates', column: 'status', type: "TEXT NOT NULL DEFAULT 'processing'" },
+      { table: 'telegram_updates', column: 'chat_id', type: 'TEXT' },
+      { table: 'telegram_updates', column: 'progress_message_id', type: 'INTEGER' }
+    ]
+  },
+  {
+    version: 15,
+    name: 'Telegram相册批量上传',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS telegram_media_groups (
+        media_group_id TEXT PRIMARY KEY,
+        chat_id TEXT NOT NULL,
+        progress_message_id INTEGER,
+        created_at INTEGER NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS telegram_media_group_items (
+        media_group_id TEXT NOT NULL,
+        message_id INTEGER NOT NULL,
+        chat_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing',
+        url TEXT,
+        file_name TEXT,
+        mime_type TEXT,
+        error TEXT,
+        reported INTEGER NOT NULL DEFAULT 0,
+        received_at INTEGER NOT NULL,
+        PRIMARY KEY (media_group_id, message_id)
+      )`
+    ]
+  },
+  {
+    version: 16,
+    name: '机器人链接格式设置',
+    steps: [
+      { table: 'user_settings', column: 'link_format', type: "TEXT NOT NULL DEFAULT 'url'" },
+      { table: 'user_settings', column: 'link_template', type: 'TEXT' },
+      { table: 'user_settings', column: 'send_qr', type: 'INTEGER NOT NULL DEFAULT 1' }
+    ]
+  },
+  {
+    version: 17,
+    name: '机器人界面语言',
+    steps: [
+      { table: 'user_settings', column: 'language', type: 'TEXT' }
+    ]
+  }
+];
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+// Isolate-level memo: once this isolate has seen the latest version, later
+// requests skip the schema_migrations round trip entirely.
+let verifiedSchemaVersion = 0;
+async function readSchemaVersion(config) {
+  try {
+    const row = await config.database.prepare('SELECT MAX(version) as version FROM schema_migrations').first();
+    return (row && row.version) || 0;
+  } catch (error) {
+    if (!error.message.includes('no such table')) {
+      throw error;
+    }
+    return 0;
+  }
+}
+async function isSchemaReady(config) {
+  if (verifiedSchemaVersion < LATEST_SCHEMA_VERSION) {
+    verifiedSchemaVersion = await readSchemaVersion(config);
+  }
+  return verifiedSchemaVersion >= LATEST_SCHEMA_VERSION;
+}
 async function initDatabase(config) {
-  console.log("开始数据库初始化...");
   if (!config || !config.database) {
     console.error("数据库配置缺失");
     throw new Error("数据库配置无效，请检查D1数据库是否正确绑定");
@@ -8,6 +273,7 @@ async function initDatabase(config) {
     config.fileCache = new Map();
     config.fileCacheTTL = 3600000;
   }
+  console.log("开始数据库初始化...");
   const maxRetries = 3;
   let lastError = null;
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -15,26 +281,16 @@ async function initDatabase(config) {
       console.log(`正在测试数据库连接... (尝试 ${attempt}/${maxRetries})`);
       await config.database.prepare("SELECT 1").run();
       console.log("数据库连接成功");
-      console.log("正在验证数据库结构...");
-      const structureValid = await validateDatabaseStructure(config);
-      if (!structureValid) {
-        throw new Error("数据库结构验证失败");
+      const { version, applied } = await runMigrations(config);
+      if (applied.length) {
+        console.log(`已应用 ${applied.length} 个数据库迁移，当前版本 ${version}`);
       }
+      await ensureInitialAdmin(config);
       console.log("数据库初始化成功");
       return true;
     } catch (error) {
       lastError = error;
       console.error(`数据库初始化尝试 ${attempt} 失败:`, error);
-      if (error.message.includes('no such table')) {
-        console.log("检测到数据表不存在，尝试创建...");
-        try {
-          await recreateAllTables(config);
-          console.log("数据表创建成功");
-          return true;
-        } catch (tableError) {
-          console.error("创建数据表失败:", tableError);
-        }
-      }
       if (attempt < maxRetries) {
         const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
         console.log(`等待 ${delay}ms 后重试...`);
@@ -44,315 +300,1027 @@ async function initDatabase(config) {
   }
   throw new Error(`数据库初始化失败 (${maxRetries} 次尝试): ${lastError?.message || '未知错误'}`);
 }
-async function recreateAllTables(config) {
-  try {
-    await config.database.prepare(`
-      CREATE TABLE IF NOT EXISTS categories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL UNIQUE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `).run();
-    await config.database.prepare(`
-      CREATE TABLE IF NOT EXISTS user_settings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        chat_id TEXT NOT NULL UNIQUE,
-        storage_type TEXT DEFAULT 'telegram',
-        current_category_id INTEGER,
-        waiting_for TEXT,
-        editing_file_id TEXT,
-        FOREIGN KEY (current_category_id) REFERENCES categories(id)
-      )
-    `).run();
-    await config.database.prepare(`
-      CREATE TABLE IF NOT EXISTS files (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        url TEXT NOT NULL,
-        fileId TEXT,
-        message_id INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        file_name TEXT,
-        file_size INTEGER,
-        mime_type TEXT,
-        storage_type TEXT DEFAULT 'telegram',
-        category_id INTEGER,
-        chat_id TEXT,
-        remark TEXT,
-        FOREIGN KEY (category_id) REFERENCES categories(id)
-      )
-    `).run();
-    await config.database.prepare(`
-      INSERT OR IGNORE INTO categories (name) VALUES ('默认分类')
-    `).run();
-    return true;
-  } catch (error) {
-    console.error("重新创建表失败:", error);
-    throw error;
-  }
+async function getAppliedMigrations(config) {
+  await config.database.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    )
+  `).run();
+  const { results } = await config.database.prepare(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  ).all();
+  return results || [];
 }
-async function validateDatabaseStructure(config) {
-  try {
-    const tables = ['categories', 'user_settings', 'files'];
-    for (const table of tables) {
-      try {
-        await config.database.prepare(`SELECT 1 FROM ${table} LIMIT 1`).run();
-      } catch (error) {
-        if (error.message.includes('no such table')) {
-          console.log(`表 ${table} 不存在，尝试重新创建所有表...`);
-          await recreateAllTables(config);
-          return true;
-        }
-        throw error;
-      }
-    }
-    const tableStructures = {
-      categories: [
-        { name: 'id', type: 'INTEGER' },
-        { name: 'name', type: 'TEXT' },
-        { name: 'created_at', type: 'DATETIME' }
-      ],
-      user_settings: [
-        { name: 'id', type: 'INTEGER' },
-        { name: 'chat_id', type: 'TEXT' },
-        { name: 'storage_type', type: 'TEXT' },
-        { name: 'current_category_id', type: 'INTEGER' },
-        { name: 'waiting_for', type: 'TEXT' },
-        { name: 'editing_file_id', type: 'TEXT' }
-      ],
-      files: [
-        { name: 'id', type: 'INTEGER' },
-        { name: 'url', type: 'TEXT' },
-        { name: 'fileId', type: 'TEXT' },
-        { name: 'message_id', type: 'INTEGER' },
-        { name: 'created_at', type: 'DATETIME' },
-        { name: 'file_name', type: 'TEXT' },
-        { name: 'file_size', type: 'INTEGER' },
-        { name: 'mime_type', type: 'TEXT' },
-        { name: 'storage_type', type: 'TEXT' },
-        { name: 'category_id', type: 'INTEGER' },
-        { name: 'chat_id', type: 'TEXT' },
-        { name: 'remark', type: 'TEXT' }
-      ]
-    };
-    for (const [table, expectedColumns] of Object.entries(tableStructures)) {
-      const tableInfo = await config.database.prepare(`PRAGMA table_info(${table})`).all();
-      const actualColumns = tableInfo.results;
-      for (const expectedColumn of expectedColumns) {
-        const found = actualColumns.some(col =>
-          col.name.toLowerCase() === expectedColumn.name.toLowerCase() &&
-          col.type.toUpperCase().includes(expectedColumn.type)
-        );
-        if (!found) {
-          console.log(`表 ${table} 缺少列 ${expectedColumn.name}，尝试添加...`);
-          try {
-            await config.database.prepare(`ALTER TABLE ${table} ADD COLUMN ${expectedColumn.name} ${expectedColumn.type}`).run();
-  } catch (error) {
-            if (!error.message.includes('duplicate column name')) {
-              throw error;
-            }
-          }
-        }
-      }
+async function getSchemaVersion(config) {
+  const applied = await getAppliedMigrations(config);
+  return applied.length ? applied[applied.length - 1].version : 0;
+}
+async function buildMigrationStatements(config, migration) {
+  const columnsByTable = new Map();
+  const statements = [];
+  for (const step of migration.steps) {
+    if (typeof step === 'string') {
+      statements.push(config.database.prepare(step));
+      continue;
     }
-    console.log('检查默认分类...');
-    const defaultCategory = await config.database.prepare('SELECT id FROM categories WHERE name = ?')
-      .bind('默认分类').first();
-    if (!defaultCategory) {
-      console.log('默认分类不存在，正在创建...');
-      try {
-        const result = await config.database.prepare('INSERT INTO categories (name, created_at) VALUES (?, ?)')
-          .bind('默认分类', Date.now()).run();
-        const newDefaultId = result.meta && result.meta.last_row_id;
-        console.log(`默认分类创建成功，ID: ${newDefaultId}`);
-        if (newDefaultId) {
-          const filesResult = await config.database.prepare('SELECT COUNT(*) as count FROM files WHERE category_id IS NULL').first();
-          if (filesResult && filesResult.count > 0) {
-            console.log(`发现 ${filesResult.count} 个无分类文件，将它们分配到默认分类...`);
-            await config.database.prepare('UPDATE files SET category_id = ? WHERE category_id IS NULL')
-              .bind(newDefaultId).run();
-          }
-          const settingsResult = await config.database.prepare('SELECT COUNT(*) as count FROM user_settings WHERE current_category_id IS NULL').first();
-          if (settingsResult && settingsResult.count > 0) {
-            console.log(`发现 ${settingsResult.count} 条用户设置没有当前分类，更新为默认分类...`);
-            await config.database.prepare('UPDATE user_settings SET current_category_id = ? WHERE current_category_id IS NULL')
-              .bind(newDefaultId).run();
-          }
-        }
-      } catch (error) {
-        console.error('创建默认分类失败:', error);
-        throw new Error('无法创建默认分类: ' + error.message);
-      }
-    } else {
-      console.log(`默认分类存在，ID: ${defaultCategory.id}`);
+    if (!columnsByTable.has(step.table)) {
+      const tableInfo = await config.database.prepare(`PRAGMA table_info(${step.table})`).all();
+      columnsByTable.set(step.table, new Set((tableInfo.results || []).map(col => col.name.toLowerCase())));
     }
-    const checkAgain = await config.database.prepare('SELECT id FROM categories WHERE name = ?')
-      .bind('默认分类').first();
-    if (!checkAgain) {
-      throw new Error('验证失败：即使尝试创建后，默认分类仍然不存在');
+    if (!columnsByTable.get(step.table).has(step.column.toLowerCase())) {
+      statements.push(config.database.prepare(`ALTER TABLE ${step.table} ADD COLUMN ${step.column} ${step.type}`));
     }
-    return true;
-  } catch (error) {
-    console.error('验证数据库结构时出错:', error);
-    return false;
   }
+  statements.push(
+    config.database.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+      .bind(migration.version, migration.name, Date.now())
+  );
+  return statements;
 }
-async function recreateCategoriesTable(config) {
-  try {
-    const existingData = await config.database.prepare('SELECT * FROM categories').all();
-    await config.database.prepare('DROP TABLE IF EXISTS categories').run();
-    await config.database.prepare(`
-      CREATE TABLE categories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL UNIQUE,
-        created_at INTEGER NOT NULL
-      )
-    `).run();
-    if (existingData && existingData.results && existingData.results.length > 0) {
-      for (const row of existingData.results) {
-        await config.database.prepare('INSERT OR IGNORE INTO categories (id, name, created_at) VALUES (?, ?, ?)')
-          .bind(row.id || null, row.name || '未命名分类', row.created_at || Date.now()).run();
+async function runMigrations(config) {
+  let currentVersion = await getSchemaVersion(config);
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= currentVersion) continue;
+    console.log(`[Migration] 正在应用迁移 ${migration.version}: ${migration.name}`);
+    const statements = await buildMigrationStatements(config, migration);
+    try {
+      await config.database.batch(statements);
+    } catch (error) {
+      // 另一个请求可能已并发应用了同一迁移，此时整批已回滚，直接以数据库记录为准
+      const latestVersion = await getSchemaVersion(config);
+      if (latestVersion >= migration.version) {
+        console.log(`[Migration] 迁移 ${migration.version} 已由其他请求应用`);
+        currentVersion = latestVersion;
+        continue;
       }
-      console.log(`已恢复 ${existingData.results.length} 个分类数据`);
+      throw new Error(`迁移 ${migration.version} (${migration.name}) 失败: ${error.message}`);
     }
-    console.log("分类表重建完成");
-  } catch (error) {
-    console.error(`重建分类表失败: ${error.message}`);
+    applied.push(migration.version);
+    currentVersion = migration.version;
   }
+  verifiedSchemaVersion = currentVersion;
+  return { version: currentVersion, applied };
 }
-async function recreateUserSettingsTable(config) {
-  try {
-    await config.database.prepare('DROP TABLE IF EXISTS user_settings').run();
-    await config.database.prepare(`
-      CREATE TABLE user_settings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        chat_id TEXT NOT NULL UNIQUE,
-        storage_type TEXT DEFAULT 'r2',
-        category_id INTEGER,
-        custom_suffix TEXT,
-        waiting_for TEXT,
-        editing_file_id TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `).run();
-    console.log('用户设置表重新创建成功');
-    return true;
-  } catch (error) {
-    console.error('重新创建用户设置表失败:', error);
-    return false;
+const SUPPORTED_LANGUAGES = { 'zh-CN': '简体中文', en: 'English' };
+const DEFAULT_LANGUAGE = 'zh-CN';
+// Keys missing from a language fall back to the default language, then to the key itself.
+// "{name}" placeholders are filled by t(); placeholders without a value are left as they are.
+const MESSAGES = {
+  'zh-CN': {
+    'common.language': '语言',
+    'common.confirm': '确认',
+    'common.cancel': '取消',
+    'common.ok': '确定',
+    'common.close': '关闭',
+    'common.none': '无',
+    'common.noCategory': '无分类',
+    'common.noCategories': '暂无分类',
+    'common.expire.never': '永不过期',
+    'common.expire.1h': '1 小时后过期',
+    'common.expire.1d': '1 天后过期',
+    'common.expire.7d': '7 天后过期',
+    'common.expire.30d': '30 天后过期',
+    'role.admin': '管理员',
+    'role.uploader': '上传者',
+    'role.viewer': '访客',
+    'page.description': 'Telegram文件存储与分享平台',
+
+    'login.description': '文件存储与分享平台',
+    'login.title': '登录',
+    'login.subtitle': '请输入管理员账号和密码',
+    'login.username': '用户名',
+    'login.password': '密码',
+    'login.submit': '登录',
+    'login.success': '登录成功',
+    'login.failed': '认证失败',
+    'login.js.missingFields': '请输入用户名和密码',
+    'login.js.redirecting': '登录成功，正在跳转...',
+    'login.js.invalid': '用户名或密码错误',
+    'login.js.requestFailed': '登录请求失败，请稍后重试',
+
+    'upload.title': '文件上传',
+    'upload.manage': '管理文件',
+    'upload.selectCategory': '选择分类',
+    'upload.newCategoryPlaceholder': '输入新分类名称',
+    'upload.createCategory': '新建分类',
+    'upload.dropHint': '点击选择 或 拖拽文件到此处',
+    'upload.urlPlaceholder': '上传完成后的链接将显示在这里',
+    'upload.copyUrl': '复制URL',
+    'upload.copyMarkdown': '复制Markdown',
+    'upload.copyHtml': '复制HTML',
+    'upload.notice': '提示',
+    'upload.js.emptyCategory': '分类名称不能为空！',
+    'upload.js.createCategoryFailed': '创建分类失败：{error}',
+    'upload.js.tooLarge': '文件超过{size}MB限制',
+    'upload.js.unknownError': '未知错误',
+    'upload.js.parseFailed': '✗ 响应解析失败',
+    'upload.js.copied': '已复制到剪贴板',
+    'upload.js.copyFailed': '复制失败，请手动复制',
+
+    'admin.title': '文件管理',
+    'admin.searchPlaceholder': '搜索文件名/备注...',
+    'admin.allCategories': '所有分类',
+    'admin.sortToggle': '切换排序',
+    'admin.sort': '排序',
+    'admin.listView': '列表视图',
+    'admin.gridView': '网格视图',
+    'admin.nav.users': '用户管理',
+    'admin.nav.tokens': 'API 令牌',
+    'admin.nav.audit': '操作日志',
+    'admin.nav.migrations': '数据库迁移',
+    'admin.nav.diagnostics': '系统诊断',
+    'admin.nav.duplicates': '重复文件',
+    'admin.nav.trash': '回收站',
+    'admin.nav.sessions': '登录会话',
+    'admin.nav.sharex': 'ShareX 配置',
+    'admin.nav.picgo': 'PicGo 配置',
+    'admin.nav.upload': '返回上传',
+    'admin.nav.logout': '退出登录',
+    'admin.fileActions': '文件操作：',
+    'admin.selectAll': '全选/取消',
+    'admin.deleteSelected': '删除选中',
+    'admin.addRemark': '添加备注',
+    'admin.setExpiry': '设置过期',
+    'admin.categoryActions': '分类管理：',
+    'admin.moveToPlaceholder': '移动到分类...',
+    'admin.move': '移动',
+    'admin.deleteCategoryPlaceholder': '删除分类...',
+    'admin.deleteCategory': '删除分类',
+    'admin.column.name': '名称',
+    'admin.column.size': '大小',
+    'admin.column.modified': '修改时间',
+    'admin.column.category': '分类',
+    'admin.column.remark': '备注',
+    'admin.column.actions': '操作',
+    'admin.modal.confirmTitle': '确认操作',
+    'admin.modal.renameTitle': '重命名文件',
+    'admin.modal.renamePlaceholder': '输入新的文件名 (不含扩展名)',
+    'admin.modal.remarkTitle': '添加/修改备注',
+    'admin.modal.remarkPlaceholder': '输入备注信息...',
+    'admin.modal.expireTitle': '设置过期时间',
+    'admin.modal.shareTitle': '分享文件',
+    'admin.modal.sharePrivate': '私有文件（仅签名链接可访问）',
+    'admin.modal.shareLinkPlaceholder': '点击生成链接',
+    'admin.modal.shareQrAlt': '分享链接二维码',
+    'admin.card.newName': '新名称:',
+    'admin.card.originalName': '原名:',
+    'admin.card.owner': '上传者:',
+    'admin.card.size': '大小:',
+    'admin.card.uploaded': '上传于:',
+    'admin.card.expires': '过期于:',
+    'admin.card.category': '分类:',
+    'admin.card.remark': '备注:',
+    'admin.card.private': '私有',
+    'admin.card.share': '分享',
+    'admin.card.delete': '删除',
+    'admin.card.rename': '重命名',
+    'admin.card.preview': '预览',
+    'admin.js.selectFirst': '请先选择文件！',
+    'admin.js.confirmTrashOne': '确定要将这个文件移入回收站吗？',
+    'admin.js.confirmTrashSelected': '确定要将选中的 {count} 个文件移入回收站吗？',
+    'admin.js.batchDeleteFailed': '批量删除失败',
+    'admin.js.batchDeleteError': '批量删除失败: {error}',
+    'admin.js.trashed': '已移入回收站',
+    'admin.js.selectCategoryToDelete': '请选择要删除的分类',
+    'admin.js.confirmDeleteCategory': '确定要删除分类 "{name}" 吗？相关文件将移至默认分类。',
+    'admin.js.deleteCategoryError': '删除分类失败: {error}',
+    'admin.js.updateRemarkFailed': '更新备注失败',
+    'admin.js.updateRemarkError': '更新备注时出错：{error}',
+    'admin.js.setExpiryFailed': '设置过期时间失败',
+    'admin.js.setExpiryError': '设置过期时间时出错：{error}',
+    'admin.js.configFailed': '生成配置失败',
+    'admin.js.configDownloaded': '配置文件已下载，其中包含新生成的仅上传令牌，请妥善保管。',
+    'admin.js.configError': '生成配置时出错：{error}',
+    'admin.js.selectTargetCategory': '请选择一个目标分类！',
+    'admin.js.confirmMove': '确定要将选中的 {count} 个文件移动到分类 "{name}" 吗？',
+    'admin.js.moveFailed': '移动分类失败',
+    'admin.js.moveError': '移动分类时出错：{error}',
+    'admin.js.renameError': '重命名时出错：{error}',
+    'admin.js.deleteFailed': '删除失败',
+    'admin.js.fileTrashed': '文件已移入回收站',
+    'admin.js.fileDeleteError': '文件删除失败: {error}',
+    'admin.js.updatePrivateFailed': '更新私有状态失败',
+    'admin.js.shareFailed': '生成分享链接失败',
+    'admin.js.shareError': '生成分享链接失败: {error}',
+    'admin.js.shareGenerate': '生成并复制',
+    'admin.js.shareCopied': '已复制 ✓',
+    'common.backToAdmin': '返回文件管理',
+    'common.create': '创建',
+    'common.delete': '删除',
+    'common.actions': '操作',
+    'common.createdAt': '创建时间',
+    'common.selectFirst': '请先选择文件！',
+    'common.uncategorized': '未分类',
+
+    'users.title': '用户管理',
+    'users.self': '当前用户',
+    'users.resetPassword': '重置密码',
+    'users.create': '新建用户',
+    'users.username': '用户名',
+    'users.passwordPlaceholder': '密码（至少6位）',
+    'users.list': '用户列表',
+    'users.role': '角色',
+    'users.js.newPassword': '请输入用户 "{username}" 的新密码（至少6位）',
+    'users.js.confirmDelete': '确定要删除用户 "{username}" 吗？',
+
+    'sessions.title': '登录会话',
+    'sessions.current': '当前会话',
+    'sessions.unknown': '未知',
+    'sessions.unknownDevice': '未知设备',
+    'sessions.revoke': '注销',
+    'sessions.user': '用户',
+    'sessions.device': '设备',
+    'sessions.lastSeen': '最近活动',
+    'sessions.expiresAt': '过期时间',
+    'sessions.empty': '暂无活动会话',
+    'sessions.js.confirmRevoke': '确定要注销这个会话吗？',
+
+    'audit.title': '操作日志',
+    'audit.exportCsv': '导出 CSV',
+    'audit.actor': '操作者',
+    'audit.allActions': '所有操作',
+    'audit.targetPlaceholder': '对象（链接/分类/用户）',
+    'audit.filter': '筛选',
+    'audit.reset': '重置',
+    'audit.time': '时间',
+    'audit.source': '来源',
+    'audit.action': '操作',
+    'audit.target': '对象',
+    'audit.oldValue': '原值',
+    'audit.newValue': '新值',
+    'audit.empty': '暂无记录',
+    'audit.prev': '上一页',
+    'audit.next': '下一页',
+    'audit.page': '第 {page} / {total} 页',
+    'audit.actorType.web': '网页',
+    'audit.actorType.telegram': 'Telegram',
+    'audit.actorType.api': 'API',
+    'audit.actorType.system': '系统',
+    'audit.actions.file.upload': '上传文件',
+    'audit.actions.file.delete': '删除文件',
+    'audit.actions.file.restore': '恢复文件',
+    'audit.actions.file.purge': '彻底删除文件',
+    'audit.actions.file.rename': '重命名文件',
+    'audit.actions.file.move': '移动分类',
+    'audit.actions.file.remark': '修改备注',
+    'audit.actions.file.private': '修改私有状态',
+    'audit.actions.file.expiry': '修改过期时间',
+    'audit.actions.category.create': '创建分类',
+    'audit.actions.category.rename': '重命名分类',
+    'audit.actions.category.delete': '删除分类',
+    'audit.actions.user.create': '创建用户',
+    'audit.actions.user.update': '修改用户',
+    'audit.actions.user.delete': '删除用户',
+    'audit.actions.session.revoke': '注销会话',
+    'audit.actions.token.create': '创建API令牌',
+    'audit.actions.token.revoke': '撤销API令牌',
+    'audit.actions.schema.migrate': '数据库迁移',
+    'audit.actions.app.setup': '运行初始化',
+
+    'diagnostics.title': '系统诊断',
+    'diagnostics.heading': '系统诊断：{status}',
+    'diagnostics.status.ok': '全部正常',
+    'diagnostics.status.degraded': '部分异常',
+    'diagnostics.status.error': '数据库不可用',
+    'diagnostics.check.database': 'D1 数据库',
+    'diagnostics.check.r2': 'R2 存储桶',
+    'diagnostics.check.s3': 'S3 存储',
+    'diagnostics.check.bot': '机器人令牌 (getMe)',
+    'diagnostics.check.webhook': 'Webhook (getWebhookInfo)',
+    'diagnostics.check.storageChat': '存储群组权限',
+    'diagnostics.badge.skipped': '未配置',
+    'diagnostics.badge.ok': '正常',
+    'diagnostics.badge.failed': '异常',
+    'diagnostics.checks': '检查项',
+    'diagnostics.item': '项目',
+    'diagnostics.state': '状态',
+    'diagnostics.detail': '详情',
+    'diagnostics.duration': '耗时',
+    'diagnostics.config': '生效配置',
+    'diagnostics.configKey': '配置项',
+    'diagnostics.configValue': '值',
+
+    'migrations.title': '数据库迁移',
+    'migrations.applied': '已应用',
+    'migrations.pending': '待应用',
+    'migrations.summary': '当前版本 {current}，最新版本 {latest}。迁移只会新增表和列，不会删除已有数据；部署新版本后请访问 /setup 或在此页面执行待应用的迁移。',
+    'migrations.apply': '应用 {count} 个待执行迁移',
+    'migrations.version': '版本',
+    'migrations.name': '说明',
+    'migrations.status': '状态',
+    'migrations.appliedAt': '应用时间',
+    'migrations.js.confirmApply': '确定要立即执行待应用的数据库迁移吗？',
+
+    'trash.title': '回收站',
+    'trash.summary': '已删除的文件会在回收站中保留 {days} 天，期间链接无法访问，恢复后立即生效。',
+    'trash.restoreSelected': '恢复选中',
+    'trash.purgeSelected': '彻底删除选中',
+    'trash.purgeAll': '清空回收站',
+    'trash.file': '文件',
+    'trash.size': '大小',
+    'trash.category': '分类',
+    'trash.deletedAt': '删除时间',
+    'trash.purgeAt': '自动清除时间',
+    'trash.empty': '回收站是空的',
+    'trash.js.confirmPurgeSelected': '确定要彻底删除选中的 {count} 个文件吗？此操作不可恢复。',
+    'trash.js.confirmPurgeAll': '确定要清空回收站吗？此操作不可恢复。',
+
+    'duplicates.title': '重复文件',
+    'duplicates.earliest': '最早',
+    'duplicates.alias': '别名',
+    'duplicates.groupLinks': '（{count} 个链接）',
+    'duplicates.file': '文件',
+    'duplicates.size': '大小',
+    'duplicates.category': '分类',
+    'duplicates.storage': '存储',
+    'duplicates.uploadedAt': '上传时间',
+    'duplicates.intro': '新上传的文件会自动计算 SHA-256 并去重。较早上传的文件需要先计算哈希才能出现在下面的报告中。',
+    'duplicates.pending': '待计算：{count} 个文件',
+    'duplicates.unreadable': '，无法读取：{count} 个',
+    'duplicates.backfill': '计算历史文件哈希',
+    'duplicates.empty': '暂无重复文件',
+    'duplicates.js.remaining': '{msg}，剩余 {count} 个',
+    'duplicates.js.backfillFailed': '计算哈希失败：{error}',
+    'duplicates.js.confirmDelete': '确定要删除这个重复链接吗？',
+    'duplicates.js.deleteFailed': '删除失败：{error}',
+
+    'tokens.title': 'API 令牌',
+    'tokens.scope.full': '完全访问',
+    'tokens.scope.upload': '仅上传',
+    'tokens.scope.read': '只读',
+    'tokens.neverUsed': '从未使用',
+    'tokens.revoke': '撤销',
+    'tokens.create': '新建令牌',
+    'tokens.namePlaceholder': '令牌名称，例如 CI 上传',
+    'tokens.list': '令牌列表',
+    'tokens.name': '名称',
+    'tokens.token': '令牌',
+    'tokens.scope': '权限',
+    'tokens.owner': '创建者',
+    'tokens.lastUsed': '最近使用',
+    'tokens.empty': '暂无令牌',
+    'tokens.js.confirmRevoke': '确定要撤销令牌 "{name}" 吗？使用该令牌的脚本将立即失效。',
+
+    'bot.command.start': '打开控制面板',
+    'bot.command.get': '回复文件获取下载直链',
+    'bot.command.del': '回复文件将其移入回收站',
+    'bot.command.name': '回复文件修改文件名',
+    'bot.command.private': '回复文件切换私有/公开',
+    'bot.command.expire': '回复文件设置过期时间，如 /expire 7d',
+    'bot.command.share': '回复私有文件生成签名链接，如 /share 12h',
+    'bot.back': '« 返回',
+    'bot.unknownFile': '未知文件',
+    'bot.uncategorized': '未分类',
+    'bot.fileGone': '⚠️ 文件不存在或已被删除',
+    'bot.fileNotFound': '⚠️ 未在数据库中找到此文件的记录。',
+    'bot.replyNotFound': '⚠️ 未在数据库中找到此文件的记录。请回复机器人发送的【文件上传成功】消息。',
+    'bot.noShareSecret': '⚠️ 未配置 SHARE_SECRET，无法将文件设为私有。',
+    'bot.invalidDuration': '⚠️ 无法识别的有效期，请使用如 30m、12h、7d 的格式。',
+    'bot.unknownFileType': '❌ 无法识别的文件类型',
+    'bot.sendFileHint': '请发送图片或文件进行上传，或使用 /start 查看主菜单',
+    'bot.processFailed': '❌ 处理失败: {error}',
+    'bot.callbackFailed': '❌ 处理请求时出错: {error}',
+    'bot.timeout': '❌ 文件处理超时，可能未保存成功，请重新发送',
+    'bot.get.usage': '⚠️ 使用 /get 命令时，请回复一个文件。',
+    'bot.get.success': '✅ 获取成功！\n下载直链： {url}',
+    'bot.del.usage': '⚠️ 使用 /del 命令时，请回复一个文件消息。',
+    'bot.del.notFound': '⚠️ 未在数据库中找到此文件的记录，无法删除。请回复机器人发送的【文件上传成功】消息。',
+    'bot.del.done': '🗑️ 文件 "{name}" 已移入回收站，{days} 天后自动清除，可在网页管理的回收站中恢复。',
+    'bot.del.failed': '❌ 删除文件时出错: {error}',
+    'bot.name.usage': '⚠️ 使用 /name 命令时，请回复一个文件。',
+    'bot.name.notFound': '⚠️ 未在数据库中找到此文件的记录，无法重命名。',
+    'bot.name.prompt': '📝 请回复此消息，输入文件的新名称（不含扩展名）',
+    'bot.private.usage': '⚠️ 使用 /private 命令时，请回复一个文件消息。',
+    'bot.private.public': '🔓 文件 "{name}" 已设为公开。',
+    'bot.private.private': '🔒 文件 "{name}" 已设为私有，请使用 /share 生成签名链接。',
+    'bot.expire.usage': '⚠️ 使用 /expire 命令时，请回复一个文件消息并附带有效期，例如 /expire 7d，或使用 /expire never 取消过期。',
+    'bot.expire.set': '⏰ 文件 "{name}" 将于 {date} 过期。',
+    'bot.expire.never': '♾️ 文件 "{name}" 已设为永不过期。',
+    'bot.share.usage': '⚠️ 使用 /share 命令时，请回复一个文件消息，可附带有效期，例如 /share 12h、/share 7d。',
+    'bot.share.public': '🔗 该文件为公开文件，链接永久有效：\n{url}',
+    'bot.share.created': '🔗 分享链接已生成（有效期至 {date}）：\n{url}',
+    'bot.share.failed': '❌ 生成分享链接失败: {error}',
+    'bot.rename.success': '✅ 重命名成功！\n\n新链接：{url}',
+    'bot.rename.failed': '❌ 重命名失败: {error}',
+    'bot.category.exists': '⚠️ 分类"{name}"已存在',
+    'bot.category.created': '✅ 分类"{name}"创建成功并已设为当前分类',
+    'bot.category.failed': '❌ 创建分类失败: {error}',
+    'bot.category.empty': '⚠️ 暂无分类，请先创建分类',
+    'bot.category.choose': '📂 请选择要使用的分类：',
+    'bot.category.prompt': '📝 请回复此消息，输入新分类名称',
+    'bot.template.invalid': '⚠️ 模板必须包含 {url}，且不超过 {max} 个字符，请重新输入',
+    'bot.template.saved': '✅ 已使用自定义链接模板：\n<code>{template}</code>',
+    'bot.template.prompt': '✏️ 请回复此消息，输入链接模板，可使用 {url}、{name}、{size}、{remark} 占位符，必须包含 {url}',
+    'bot.template.current': '当前模板：\n<code>{template}</code>',
+    'bot.remark.updated': '✅ 备注已更新：{remark}',
+    'bot.remark.cleared': '✅ 备注已清空',
+    'bot.remark.failed': '❌ 修改备注失败: {error}',
+    'bot.stats.title': '📊 您的 R2 存储使用统计',
+    'bot.stats.files': '📁 R2 文件数: {count}',
+    'bot.stats.size': '💾 R2 存储量: {size}',
+    'bot.storage.r2': 'R2对象存储',
+    'bot.storage.s3': 'S3兼容存储',
+    'bot.storage.telegram': 'Telegram存储',
+    'bot.menu.title': '图床助手v1',
+    'bot.menu.storage': '📂 当前存储：{storage}',
+    'bot.menu.category': '📁 当前分类：{category}',
+    'bot.menu.noCategory': '未选择分类',
+    'bot.menu.linkFormat': '🔗 链接格式：{format}',
+    'bot.menu.language': '🌐 语言：{language}',
+    'bot.menu.files': '📊 已上传：{count} 个文件',
+    'bot.menu.space': '💾 已用空间：{size}',
+    'bot.menu.notification': '➡️ 现在您可以直接发送图片或文件，上传完成后会自动生成图床直链\n➡️ 所有上传的文件都可以在网页后台管理，支持删除、查看、分类等操作',
+    'bot.menu.prompt': '👇 请选择操作：',
+    'bot.keyboard.switchStorage': '📤 切换存储',
+    'bot.keyboard.chooseCategory': '📋 选择分类',
+    'bot.keyboard.createCategory': '📝 创建分类',
+    'bot.keyboard.r2Stats': '📊 R2统计',
+    'bot.keyboard.linkFormat': '🔗 链接格式',
+    'bot.keyboard.qrOn': '🔳 二维码：开',
+    'bot.keyboard.qrOff': '🔳 二维码：关',
+    'bot.keyboard.browse': '📂 文件浏览',
+    'bot.keyboard.language': '🌐 语言 / Language',
+    'bot.language.title': '🌐 <b>语言 / Language</b>\n当前：{language}',
+    'bot.language.auto': '🔄 跟随 Telegram（{language}）',
+    'bot.linkFormat.template': '自定义模板',
+    'bot.linkFormat.customButton': '✏️ 自定义模板',
+    'bot.linkFormat.menu': '🔗 <b>链接格式</b>\n上传成功后回复的链接格式，当前：{format}\n\n示例：\n<code>{sample}</code>',
+    'bot.browser.all': '全部',
+    'bot.browser.allCategories': '全部分类',
+    'bot.browser.deletedCategory': '已删除的分类',
+    'bot.browser.prev': '◀️ 上一页',
+    'bot.browser.next': '下一页 ▶️',
+    'bot.browser.categoryFilter': '📁 分类：{name}',
+    'bot.browser.storageFilter': '💾 存储：{name}',
+    'bot.browser.title': '📂 <b>文件浏览</b>（第 {page}/{pages} 页，共 {count} 个）\n点击文件查看详情和操作',
+    'bot.browser.empty': '📂 <b>文件浏览</b>\n⚠️ 没有符合条件的文件',
+    'bot.browser.chooseCategory': '📁 请选择要筛选的分类：',
+    'bot.browser.backToList': '« 返回列表',
+    'bot.detail.size': '💾 大小：{size}',
+    'bot.detail.category': '📁 分类：{name}',
+    'bot.detail.storage': '存储：{name}',
+    'bot.detail.uploaded': '📅 上传：{date}',
+    'bot.detail.private': '🔒 状态：私有',
+    'bot.detail.public': '🔓 状态：公开',
+    'bot.detail.expiry': '⏰ 过期：{expiry}',
+    'bot.detail.remark': '📝 备注：{remark}',
+    'bot.detail.signedUntil': '⏳ 以下为签名链接，有效期至 {date}',
+    'bot.detail.rename': '✏️ 重命名',
+    'bot.detail.move': '📁 移动分类',
+    'bot.detail.editRemark': '📝 备注',
+    'bot.detail.makePublic': '🔓 设为公开',
+    'bot.detail.makePrivate': '🔒 设为私有',
+    'bot.detail.delete': '🗑️ 删除',
+    'bot.detail.renamePrompt': '✏️ 请回复此消息，输入「{name}」的新名称（不含扩展名）',
+    'bot.detail.remarkPrompt': '📝 请回复此消息，输入「{name}」的新备注，发送 - 清空备注',
+    'bot.detail.moveTo': '📁 将「{name}」移动到：',
+    'bot.detail.confirmTrash': '🗑️ 确定要将「{name}」移入回收站吗？\n{days} 天内可在网页管理的回收站中恢复。',
+    'bot.detail.confirmDelete': '✅ 确认删除',
+    'bot.detail.cancel': '« 取消',
+    'bot.album.processing': '⏳ 正在处理相册中的文件，请稍候...',
+    'bot.album.progress': '⏳ 正在处理相册：已完成 {finished}/{total} 个文件...',
+    'bot.album.success': '✅ 相册上传成功，共 {count} 个文件',
+    'bot.album.partial': '⚠️ 相册上传完成：成功 {succeeded} 个，失败 {failed} 个',
+    'bot.album.copyMarkdown': '📋 复制全部 Markdown',
+    'bot.album.expired': '⚠️ 相册记录已过期，请在文件浏览中复制链接',
+    'bot.caption.category': '📁 分类：{name}',
+    'bot.caption.categoryMissing': '⚠️ 分类「{name}」不存在，已使用当前分类',
+    'bot.caption.nameTaken': '⚠️ 名称「{name}」已被使用，已使用默认名称',
+    'bot.caption.expiry': '⏰ 过期时间：{date}',
+    'bot.caption.invalidExpiry': '⚠️ 无法识别的过期时间，文件将永久保存',
+    'bot.caption.private': '🔒 私有文件，请使用 /share 生成签名链接',
+    'bot.caption.noShareSecret': '⚠️ 未配置 SHARE_SECRET，文件将公开保存',
+    'bot.caption.remark': '📝 备注：{remark}',
+    'bot.upload.processing': '⏳ 正在处理您的文件，请稍候...',
+    'bot.upload.received': '⏳ 文件已接收，正在上传到存储...',
+    'bot.upload.tooLarge': '文件超过{size}MB限制',
+    'bot.upload.success': '✅ 文件上传成功',
+    'bot.upload.duplicate': '♻️ 文件已存在，已返回现有链接',
+    'bot.upload.aliased': '♻️ 文件已存在，已创建新链接（未重复存储）',
+    'bot.upload.directLink': '📝 图床直链：',
+    'bot.upload.formattedLink': '📋 {format}：',
+    'bot.upload.scanQr': '🔍 扫描上方二维码快速访问',
+    'bot.upload.failed': '❌ 上传失败: {error}'
+  },
+  en: {
+    'common.language': 'Language',
+    'common.confirm': 'Confirm',
+    'common.cancel': 'Cancel',
+    'common.ok': 'OK',
+    'common.close': 'Close',
+    'common.none': 'None',
+    'common.noCategory': 'Uncategorized',
+    'common.noCategories': 'No categories',
+    'common.expire.never': 'Never expires',
+    'common.expire.1h': 'Expires in 1 hour',
+    'common.expire.1d': 'Expires in 1 day',
+    'common.expire.7d': 'Expires in 7 days',
+    'common.expire.30d': 'Expires in 30 days',
+    'role.admin': 'Admin',
+    'role.uploader': 'Uploader',
+    'role.viewer': 'Viewer',
+    'page.description': 'File storage and sharing on Telegram',
+
+    'login.description': 'File storage and sharing',
+    'login.title': 'Sign in',
+    'login.subtitle': 'Enter your username and password',
+    'login.username': 'Username',
+    'login.password': 'Password',
+    'login.submit': 'Sign in',
+    'login.success': 'Signed in',
+    'login.failed': 'Authentication failed',
+    'login.js.missingFields': 'Please enter your username and password',
+    'login.js.redirecting': 'Signed in, redirecting...',
+    'login.js.invalid': 'Incorrect username or password',
+    'login.js.requestFailed': 'Sign-in request failed, please try again later',
+
+    'upload.title': 'Upload files',
+    'upload.manage': 'Manage files',
+    'upload.selectCategory': 'Choose a category',
+    'upload.newCategoryPlaceholder': 'New category name',
+    'upload.createCategory': 'Create category',
+    'upload.dropHint': 'Click to choose files or drop them here',
+    'upload.urlPlaceholder': 'Links to uploaded files will appear here',
+    'upload.copyUrl': 'Copy URL',
+    'upload.copyMarkdown': 'Copy Markdown',
+    'upload.copyHtml': 'Copy HTML',
+    'upload.notice': 'Notice',
+    'upload.js.emptyCategory': 'Category name cannot be empty!',
+    'upload.js.createCategoryFailed': 'Failed to create category: {error}',
+    'upload.js.tooLarge': 'File exceeds the {size}MB limit',
+    'upload.js.unknownError': 'Unknown error',
+    'upload.js.parseFailed': '✗ Could not read the server response',
+    'upload.js.copied': 'Copied to clipboard',
+    'upload.js.copyFailed': 'Copy failed, please copy manually',
+
+    'admin.title': 'File manager',
+    'admin.searchPlaceholder': 'Search name/remark...',
+    'admin.allCategories': 'All categories',
+    'admin.sortToggle': 'Toggle sort order',
+    'admin.sort': 'Sort',
+    'admin.listView': 'List view',
+    'admin.gridView': 'Grid view',
+    'admin.nav.users': 'Users',
+    'admin.nav.tokens': 'API tokens',
+    'admin.nav.audit': 'Audit log',
+    'admin.nav.migrations': 'Migrations',
+    'admin.nav.diagnostics': 'Diagnostics',
+    'admin.nav.duplicates': 'Duplicates',
+    'admin.nav.trash': 'Trash',
+    'admin.nav.sessions': 'Sessions',
+    'admin.nav.sharex': 'ShareX config',
+    'admin.nav.picgo': 'PicGo config',
+    'admin.nav.upload': 'Back to upload',
+    'admin.nav.logout': 'Sign out',
+    'admin.fileActions': 'Files:',
+    'admin.selectAll': 'Select all/none',
+    'admin.deleteSelected': 'Delete selected',
+    'admin.addRemark': 'Add remark',
+    'admin.setExpiry': 'Set expiry',
+    'admin.categoryActions': 'Categories:',
+    'admin.moveToPlaceholder': 'Move to category...',
+    'admin.move': 'Move',
+    'admin.deleteCategoryPlaceholder': 'Delete category...',
+    'admin.deleteCategory': 'Delete category',
+    'admin.column.name': 'Name',
+    'admin.column.size': 'Size',
+    'admin.column.modified': 'Modified',
+    'admin.column.category': 'Category',
+    'admin.column.remark': 'Remark',
+    'admin.column.actions': 'Actions',
+    'admin.modal.confirmTitle': 'Confirm',
+    'admin.modal.renameTitle': 'Rename file',
+    'admin.modal.renamePlaceholder': 'New file name (without extension)',
+    'admin.modal.remarkTitle': 'Add/edit remark',
+    'admin.modal.remarkPlaceholder': 'Enter a remark...',
+    'admin.modal.expireTitle': 'Set expiry',
+    'admin.modal.shareTitle': 'Share file',
+    'admin.modal.sharePrivate': 'Private file (signed links only)',
+    'admin.modal.shareLinkPlaceholder': 'Click to generate a link',
+    'admin.modal.shareQrAlt': 'QR code for the share link',
+    'admin.card.newName': 'Name:',
+    'admin.card.originalName': 'Original:',
+    'admin.card.owner': 'Uploader:',
+    'admin.card.size': 'Size:',
+    'admin.card.uploaded': 'Uploaded:',
+    'admin.card.expires': 'Expires:',
+    'admin.card.category': 'Category:',
+    'admin.card.remark': 'Remark:',
+    'admin.card.private': 'Private',
+    'admin.card.share': 'Share',
+    'admin.card.delete': 'Delete',
+    'admin.card.rename': 'Rename',
+    'admin.card.preview': 'Preview',
+    'admin.js.selectFirst': 'Please select files first!',
+    'admin.js.confirmTrashOne': 'Move this file to the trash?',
+    'admin.js.confirmTrashSelected': 'Move the {count} selected files to the trash?',
+    'admin.js.batchDeleteFailed': 'Batch delete failed',
+    'admin.js.batchDeleteError': 'Batch delete failed: {error}',
+    'admin.js.trashed': 'Moved to the trash',
+    'admin.js.selectCategoryToDelete': 'Please choose a category to delete',
+    'admin.js.confirmDeleteCategory': 'Delete category "{name}"? Its files will be moved to the default category.',
+    'admin.js.deleteCategoryError': 'Failed to delete category: {error}',
+    'admin.js.updateRemarkFailed': 'Failed to update remark',
+    'admin.js.updateRemarkError': 'Error while updating remark: {error}',
+    'admin.js.setExpiryFailed': 'Failed to set expiry',
+    'admin.js.setExpiryError': 'Error while setting expiry: {error}',
+    'admin.js.configFailed': 'Failed to generate config',
+    'admin.js.configDownloaded': 'Config downloaded. It contains a newly created upload-only token, keep it safe.',
+    'admin.js.configError': 'Error while generating config: {error}',
+    'admin.js.selectTargetCategory': 'Please choose a target category!',
+    'admin.js.confirmMove': 'Move the {count} selected files to category "{name}"?',
+    'admin.js.moveFailed': 'Failed to move files',
+    'admin.js.moveError': 'Error while moving files: {error}',
+    'admin.js.renameError': 'Error while renaming: {error}',
+    'admin.js.deleteFailed': 'Delete failed',
+    'admin.js.fileTrashed': 'File moved to the trash',
+    'admin.js.fileDeleteError': 'Failed to delete file: {error}',
+    'admin.js.updatePrivateFailed': 'Failed to update private status',
+    'admin.js.shareFailed': 'Failed to generate share link',
+    'admin.js.shareError': 'Failed to generate share link: {error}',
+    'admin.js.shareGenerate': 'Generate and copy',
+    'admin.js.shareCopied': 'Copied ✓',
+    'common.backToAdmin': 'Back to files',
+    'common.create': 'Create',
+    'common.delete': 'Delete',
+    'common.actions': 'Actions',
+    'common.createdAt': 'Created',
+    'common.selectFirst': 'Please select files first!',
+    'common.uncategorized': 'Uncategorized',
+
+    'users.title': 'Users',
+    'users.self': 'You',
+    'users.resetPassword': 'Reset password',
+    'users.create': 'New user',
+    'users.username': 'Username',
+    'users.passwordPlaceholder': 'Password (at least 6 characters)',
+    'users.list': 'All users',
+    'users.role': 'Role',
+    'users.js.newPassword': 'Enter a new password for "{username}" (at least 6 characters)',
+    'users.js.confirmDelete': 'Delete user "{username}"?',
+
+    'sessions.title': 'Sessions',
+    'sessions.current': 'This session',
+    'sessions.unknown': 'Unknown',
+    'sessions.unknownDevice': 'Unknown device',
+    'sessions.revoke': 'Sign out',
+    'sessions.user': 'User',
+    'sessions.device': 'Device',
+    'sessions.lastSeen': 'Last active',
+    'sessions.expiresAt': 'Expires',
+    'sessions.empty': 'No active sessions',
+    'sessions.js.confirmRevoke': 'Sign out this session?',
+
+    'audit.title': 'Audit log',
+    'audit.exportCsv': 'Export CSV',
+    'audit.actor': 'Actor',
+    'audit.allActions': 'All actions',
+    'audit.targetPlaceholder': 'Target (link/category/user)',
+    'audit.filter': 'Filter',
+    'audit.reset': 'Reset',
+    'audit.time': 'Time',
+    'audit.source': 'Source',
+    'audit.action': 'Action',
+    'audit.target': 'Target',
+    'audit.oldValue': 'Old value',
+    'audit.newValue': 'New value',
+    'audit.empty': 'No entries',
+    'audit.prev': 'Previous',
+    'audit.next': 'Next',
+    'audit.page': 'Page {page} of {total}',
+    'audit.actorType.web': 'Web',
+    'audit.actorType.telegram': 'Telegram',
+    'audit.actorType.api': 'API',
+    'audit.actorType.system': 'System',
+    'audit.actions.file.upload': 'Upload file',
+    'audit.actions.file.delete': 'Delete file',
+    'audit.actions.file.restore': 'Restore file',
+    'audit.actions.file.purge': 'Purge file',
+    'audit.actions.file.rename': 'Rename file',
+    'audit.actions.file.move': 'Move to category',
+    'audit.actions.file.remark': 'Edit remark',
+    'audit.actions.file.private': 'Change privacy',
+    'audit.actions.file.expiry': 'Change expiry',
+    'audit.actions.category.create': 'Create category',
+    'audit.actions.category.rename': 'Rename category',
+    'audit.actions.category.delete': 'Delete category',
+    'audit.actions.user.create': 'Create user',
+    'audit.actions.user.update': 'Update user',
+    'audit.actions.user.delete': 'Delete user',
+    'audit.actions.session.revoke': 'Revoke session',
+    'audit.actions.token.create': 'Create API token',
+    'audit.actions.token.revoke': 'Revoke API token',
+    'audit.actions.schema.migrate': 'Database migration',
+    'audit.actions.app.setup': 'Run setup',
+
+    'diagnostics.title': 'Diagnostics',
+    'diagnostics.heading': 'Diagnostics: {status}',
+    'diagnostics.status.ok': 'all checks passed',
+    'diagnostics.status.degraded': 'some checks failed',
+    'diagnostics.status.error': 'database unavailable',
+    'diagnostics.check.database': 'D1 database',
+    'diagnostics.check.r2': 'R2 bucket',
+    'diagnostics.check.s3': 'S3 storage',
+    'diagnostics.check.bot': 'Bot token (getMe)',
+    'diagnostics.check.webhook': 'Webhook (getWebhookInfo)',
+    'diagnostics.check.storageChat': 'Storage chat permissions',
+    'diagnostics.badge.skipped': 'Not configured',
+    'diagnostics.badge.ok': 'OK',
+    'diagnostics.badge.failed': 'Failed',
+    'diagnostics.checks': 'Checks',
+    'diagnostics.item': 'Check',
+    'diagnostics.state': 'Status',
+    'diagnostics.detail': 'Details',
+    'diagnostics.duration': 'Time',
+    'diagnostics.config': 'Effective configuration',
+    'diagnostics.configKey': 'Setting',
+    'diagnostics.configValue': 'Value',
+
+    'migrations.title': 'Database migrations',
+    'migrations.applied': 'Applied',
+    'migrations.pending': 'Pending',
+    'migrations.summary': 'Current version {current}, latest version {latest}. Migrations only add tables and columns and never delete existing data. After deploying a new version, visit /setup or apply pending migrations here.',
+    'migrations.apply': 'Apply {count} pending migrations',
+    'migrations.version': 'Version',
+    'migrations.name': 'Description',
+    'migrations.status': 'Status',
+    'migrations.appliedAt': 'Applied at',
+    'migrations.js.confirmApply': 'Apply the pending database migrations now?',
+
+    'trash.title': 'Trash',
+    'trash.summary': 'Deleted files stay in the trash for {days} days. Their links do not work meanwhile and come back as soon as the file is restored.',
+    'trash.restoreSelected': 'Restore selected',
+    'trash.purgeSelected': 'Purge selected',
+    'trash.purgeAll': 'Empty trash',
+    'trash.file': 'File',
+    'trash.size': 'Size',
+    'trash.category': 'Category',
+    'trash.deletedAt': 'Deleted',
+    'trash.purgeAt': 'Purged on',
+    'trash.empty': 'The trash is empty',
+    'trash.js.confirmPurgeSelected': 'Permanently delete the {count} selected files? This cannot be undone.',
+    'trash.js.confirmPurgeAll': 'Empty the trash? This cannot be undone.',
+
+    'duplicates.title': 'Duplicate files',
+    'duplicates.earliest': 'Earliest',
+    'duplicates.alias': 'Alias',
+    'duplicates.groupLinks': ' ({count} links)',
+    'duplicates.file': 'File',
+    'duplicates.size': 'Size',
+    'duplicates.category': 'Category',
+    'duplicates.storage': 'Storage',
+    'duplicates.uploadedAt': 'Uploaded',
+    'duplicates.intro': 'New uploads are hashed with SHA-256 and deduplicated automatically. Older files need their hashes computed before they show up in this report.',
+    'duplicates.pending': 'Waiting to be hashed: {count} files',
+    'duplicates.unreadable': ', unreadable: {count}',
+    'duplicates.backfill': 'Hash existing files',
+    'duplicates.empty': 'No duplicate files',
+    'duplicates.js.remaining': '{msg}, {count} remaining',
+    'duplicates.js.backfillFailed': 'Hashing failed: {error}',
+    'duplicates.js.confirmDelete': 'Delete this duplicate link?',
+    'duplicates.js.deleteFailed': 'Delete failed: {error}',
+
+    'tokens.title': 'API tokens',
+    'tokens.scope.full': 'Full access',
+    'tokens.scope.upload': 'Upload only',
+    'tokens.scope.read': 'Read only',
+    'tokens.neverUsed': 'Never',
+    'tokens.revoke': 'Revoke',
+    'tokens.create': 'New token',
+    'tokens.namePlaceholder': 'Token name, e.g. CI uploads',
+    'tokens.list': 'All tokens',
+    'tokens.name': 'Name',
+    'tokens.token': 'Token',
+    'tokens.scope': 'Scope',
+    'tokens.owner': 'Owner',
+    'tokens.lastUsed': 'Last used',
+    'tokens.empty': 'No tokens yet',
+    'tokens.js.confirmRevoke': 'Revoke token "{name}"? Scripts using it will stop working immediately.',
+
+    'bot.command.start': 'Open the control panel',
+    'bot.command.get': 'Reply to a file to get its direct link',
+    'bot.command.del': 'Reply to a file to move it to the trash',
+    'bot.command.name': 'Reply to a file to rename it',
+    'bot.command.private': 'Reply to a file to toggle private/public',
+    'bot.command.expire': 'Reply to a file to set its expiry, e.g. /expire 7d',
+    'bot.command.share': 'Reply to a private file to create a signed link, e.g. /share 12h',
+    'bot.back': '« Back',
+    'bot.unknownFile': 'Unknown file',
+    'bot.uncategorized': 'Uncategorized',
+    'bot.fileGone': '⚠️ The file does not exist or has been deleted',
+    'bot.fileNotFound': '⚠️ No record of this file was found in the database.',
+    'bot.replyNotFound': '⚠️ No record of this file was found in the database. Please reply to the bot\'s "upload succeeded" message.',
+    'bot.noShareSecret': '⚠️ SHARE_SECRET is not configured, files cannot be made private.',
+    'bot.invalidDuration': '⚠️ Unrecognized duration, please use a format like 30m, 12h or 7d.',
+    'bot.unknownFileType': '❌ Unrecognized file type',
+    'bot.sendFileHint': 'Send an image or file to upload it, or use /start to open the main menu',
+    'bot.processFailed': '❌ Processing failed: {error}',
+    'bot.callbackFailed': '❌ Error while handling the request: {error}',
+    'bot.timeout': '❌ Processing timed out and the file may not have been saved, please send it again',
+    'bot.get.usage': '⚠️ Reply to a file when using /get.',
+    'bot.get.success': '✅ Done!\nDirect link: {url}',
+    'bot.del.usage': '⚠️ Reply to a file message when using /del.',
+    'bot.del.notFound': '⚠️ No record of this file was found in the database, it cannot be deleted. Please reply to the bot\'s "upload succeeded" message.',
+    'bot.del.done': '🗑️ File "{name}" was moved to the trash. It will be purged in {days} days and can be restored from the trash in the web admin.',
+    'bot.del.failed': '❌ Error while deleting the file: {error}',
+    'bot.name.usage': '⚠️ Reply to a file when using /name.',
+    'bot.name.notFound': '⚠️ No record of this file was found in the database, it cannot be renamed.',
+    'bot.name.prompt': '📝 Reply to this message with the new file name (without extension)',
+    'bot.private.usage': '⚠️ Reply to a file message when using /private.',
+    'bot.private.public': '🔓 File "{name}" is now public.',
+    'bot.private.private': '🔒 File "{name}" is now private, use /share to create a signed link.',
+    'bot.expire.usage': '⚠️ Reply to a file message with a duration when using /expire, e.g. /expire 7d, or /expire never to remove the expiry.',
+    'bot.expire.set': '⏰ File "{name}" will expire at {date}.',
+    'bot.expire.never': '♾️ File "{name}" will never expire.',
+    'bot.share.usage': '⚠️ Reply to a file message when using /share, optionally with a duration, e.g. /share 12h or /share 7d.',
+    'bot.share.public': '🔗 This file is public, its link never expires:\n{url}',
+    'bot.share.created': '🔗 Share link created (valid until {date}):\n{url}',
+    'bot.share.failed': '❌ Failed to create the share link: {error}',
+    'bot.rename.success': '✅ Renamed!\n\nNew link: {url}',
+    'bot.rename.failed': '❌ Rename failed: {error}',
+    'bot.category.exists': '⚠️ Category "{name}" already exists',
+    'bot.category.created': '✅ Category "{name}" was created and is now the current category',
+    'bot.category.failed': '❌ Failed to create the category: {error}',
+    'bot.category.empty': '⚠️ There are no categories yet, please create one first',
+    'bot.category.choose': '📂 Choose the category to use:',
+    'bot.category.prompt': '📝 Reply to this message with the new category name',
+    'bot.template.invalid': '⚠️ The template must contain {url} and be at most {max} characters, please try again',
+    'bot.template.saved': '✅ Now using the custom link template:\n<code>{template}</code>',
+    'bot.template.prompt': '✏️ Reply to this message with a link template. You can use the {url}, {name}, {size} and {remark} placeholders, and {url} is required',
+    'bot.template.current': 'Current template:\n<code>{template}</code>',
+    'bot.remark.updated': '✅ Remark updated: {remark}',
+    'bot.remark.cleared': '✅ Remark cleared',
+    'bot.remark.failed': '❌ Failed to update the remark: {error}',
+    'bot.stats.title': '📊 Your R2 storage usage',
+    'bot.stats.files': '📁 R2 files: {count}',
+    'bot.stats.size': '💾 R2 storage used: {size}',
+    'bot.storage.r2': 'R2 object storage',
+    'bot.storage.s3': 'S3-compatible storage',
+    'bot.storage.telegram': 'Telegram storage',
+    'bot.menu.title': 'Image Host Assistant v1',
+    'bot.menu.storage': '📂 Storage: {storage}',
+    'bot.menu.category': '📁 Category: {category}',
+    'bot.menu.noCategory': 'None selected',
+    'bot.menu.linkFormat': '🔗 Link format: {format}',
+    'bot.menu.language': '🌐 Language: {language}',
+    'bot.menu.files': '📊 Uploaded: {count} files',
+    'bot.menu.space': '💾 Space used: {size}',
+    'bot.menu.notification': '➡️ Send an image or file directly and a direct link is generated once the upload finishes\n➡️ Every uploaded file can be managed in the web admin: delete, view, categorize and more',
+    'bot.menu.prompt': '👇 Choose an action:',
+    'bot.keyboard.switchStorage': '📤 Switch storage',
+    'bot.keyboard.chooseCategory': '📋 Choose category',
+    'bot.keyboard.createCategory': '📝 New category',
+    'bot.keyboard.r2Stats': '📊 R2 stats',
+    'bot.keyboard.linkFormat': '🔗 Link format',
+    'bot.keyboard.qrOn': '🔳 QR code: on',
+    'bot.keyboard.qrOff': '🔳 QR code: off',
+    'bot.keyboard.browse': '📂 Browse files',
+    'bot.keyboard.language': '🌐 Language / 语言',
+    'bot.language.title': '🌐 <b>Language / 语言</b>\nCurrent: {language}',
+    'bot.language.auto': '🔄 Follow Telegram ({language})',
+    'bot.linkFormat.template': 'Custom template',
+    'bot.linkFormat.customButton': '✏️ Custom template',
+    'bot.linkFormat.menu': '🔗 <b>Link format</b>\nFormat of the link sent after an upload, currently: {format}\n\nExample:\n<code>{sample}</code>',
+    'bot.browser.all': 'All',
+    'bot.browser.allCategories': 'All categories',
+    'bot.browser.deletedCategory': 'Deleted category',
+    'bot.browser.prev': '◀️ Previous',
+    'bot.browser.next': 'Next ▶️',
+    'bot.browser.categoryFilter': '📁 Category: {name}',
+    'bot.browser.storageFilter': '💾 Storage: {name}',
+    'bot.browser.title': '📂 <b>Files</b> (page {page}/{pages}, {count} in total)\nTap a file for details and actions',
+    'bot.browser.empty': '📂 <b>Files</b>\n⚠️ No files match the filters',
+    'bot.browser.chooseCategory': '📁 Choose a category to filter by:',
+    'bot.browser.backToList': '« Back to list',
+    'bot.detail.size': '💾 Size: {size}',
+    'bot.detail.category': '📁 Category: {name}',
+    'bot.detail.storage': 'Storage: {name}',
+    'bot.detail.uploaded': '📅 Uploaded: {date}',
+    'bot.detail.private': '🔒 Status: private',
+    'bot.detail.public': '🔓 Status: public',
+    'bot.detail.expiry': '⏰ Expires: {expiry}',
+    'bot.detail.remark': '📝 Remark: {remark}',
+    'bot.detail.signedUntil': '⏳ The links below are signed and valid until {date}',
+    'bot.detail.rename': '✏️ Rename',
+    'bot.detail.move': '📁 Move',
+    'bot.detail.editRemark': '📝 Remark',
+    'bot.detail.makePublic': '🔓 Make public',
+    'bot.detail.makePrivate': '🔒 Make private',
+    'bot.detail.delete': '🗑️ Delete',
+    'bot.detail.renamePrompt': '✏️ Reply to this message with the new name for "{name}" (without extension)',
+    'bot.detail.remarkPrompt': '📝 Reply to this message with the new remark for "{name}", or send - to clear it',
+    'bot.detail.moveTo': '📁 Move "{name}" to:',
+    'bot.detail.confirmTrash': '🗑️ Move "{name}" to the trash?\nIt can be restored from the trash in the web admin within {days} days.',
+    'bot.detail.confirmDelete': '✅ Delete',
+    'bot.detail.cancel': '« Cancel',
+    'bot.album.processing': '⏳ Processing the files in this album, please wait...',
+    'bot.album.progress': '⏳ Processing album: {finished}/{total} files done...',
+    'bot.album.success': '✅ Album uploaded, {count} files in total',
+    'bot.album.partial': '⚠️ Album upload finished: {succeeded} succeeded, {failed} failed',
+    'bot.album.copyMarkdown': '📋 Copy all as Markdown',
+    'bot.album.expired': '⚠️ This album record has expired, please copy the links from the file browser',
+    'bot.caption.category': '📁 Category: {name}',
+    'bot.caption.categoryMissing': '⚠️ Category "{name}" does not exist, the current category was used',
+    'bot.caption.nameTaken': '⚠️ The name "{name}" is already taken, the default name was used',
+    'bot.caption.expiry': '⏰ Expires: {date}',
+    'bot.caption.invalidExpiry': '⚠️ Unrecognized expiry, the file will be kept forever',
+    'bot.caption.private': '🔒 Private file, use /share to create a signed link',
+    'bot.caption.noShareSecret': '⚠️ SHARE_SECRET is not configured, the file was saved as public',
+    'bot.caption.remark': '📝 Remark: {remark}',
+    'bot.upload.processing': '⏳ Processing your file, please wait...',
+    'bot.upload.received': '⏳ File received, uploading to storage...',
+    'bot.upload.tooLarge': 'File exceeds the {size}MB limit',
+    'bot.upload.success': '✅ File uploaded',
+    'bot.upload.duplicate': '♻️ The file already exists, here is the existing link',
+    'bot.upload.aliased': '♻️ The file already exists, a new link was created without storing it again',
+    'bot.upload.directLink': '📝 Direct link:',
+    'bot.upload.formattedLink': '📋 {format}:',
+    'bot.upload.scanQr': '🔍 Scan the QR code above to open it',
+    'bot.upload.failed': '❌ Upload failed: {error}'
   }
+};
+function t(lang, key, params = {}) {
+  const messages = MESSAGES[lang] || MESSAGES[DEFAULT_LANGUAGE];
+  const text = messages[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined && params[name] !== null ? String(params[name]) : match);
 }
-async function recreateFilesTable(config) {
-  console.log('开始重建文件表...');
-  try {
-    console.log('备份现有数据...');
-    const existingData = await config.database.prepare('SELECT * FROM files').all();
-    console.log('删除现有表...');
-    await config.database.prepare('DROP TABLE IF EXISTS files').run();
-    console.log('创建新表...');
-    await config.database.prepare(`
-      CREATE TABLE files (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        url TEXT NOT NULL,
-        fileId TEXT NOT NULL,
-        message_id INTEGER NOT NULL DEFAULT 0,
-        created_at INTEGER NOT NULL,
-        file_name TEXT,
-        file_size INTEGER,
-        mime_type TEXT,
-        chat_id TEXT,
-        storage_type TEXT NOT NULL DEFAULT 'telegram',
-        category_id INTEGER,
-        custom_suffix TEXT,
-        remark TEXT,
-        FOREIGN KEY (category_id) REFERENCES categories(id)
-      )
-    `).run();
-    console.log('恢复数据...');
-    if (existingData && existingData.results && existingData.results.length > 0) {
-      console.log(`恢复 ${existingData.results.length} 条记录...`);
-      for (const row of existingData.results) {
-        const timestamp = row.created_at || Math.floor(Date.now() / 1000);
-        const messageId = row.message_id || 0;
-        try {
-          await config.database.prepare(`
-            INSERT INTO files (
-              url, fileId, message_id, created_at, file_name, file_size,
-              mime_type, chat_id, storage_type, category_id, custom_suffix, remark
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `).bind(
-            row.url,
-            row.fileId || row.url,
-            messageId,
-            timestamp,
-            row.file_name,
-            row.file_size,
-            row.mime_type,
-            row.chat_id,
-            row.storage_type || 'telegram',
-            row.category_id,
-            row.custom_suffix,
-            row.remark
-          ).run();
-        } catch (e) {
-          console.error(`恢复记录失败: ${e.message}`, row);
-        }
-      }
-    }
-    console.log('文件表重建完成!');
-    return true;
-  } catch (error) {
-    console.error('重建文件表失败:', error);
-    return false;
+// Maps Telegram language_code values and Accept-Language tags ("en-US", "zh-hans") onto a supported language
+function normalizeLanguage(code) {
+  const value = String(code || '').trim().toLowerCase();
+  if (!value) {
+    return null;
   }
+  const languages = Object.keys(SUPPORTED_LANGUAGES);
+  const primary = value.split(/[-_]/)[0];
+  return languages.find(lang => lang.toLowerCase() === value) ||
+    languages.find(lang => lang.split('-')[0].toLowerCase() === primary) ||
+    null;
 }
-async function checkAndAddMissingColumns(config) {
-  try {
-    await ensureColumnExists(config, 'files', 'custom_suffix', 'TEXT');
-    await ensureColumnExists(config, 'files', 'chat_id', 'TEXT');
-    await ensureColumnExists(config, 'files', 'remark', 'TEXT');
-    await ensureColumnExists(config, 'user_settings', 'custom_suffix', 'TEXT');
-    await ensureColumnExists(config, 'user_settings', 'waiting_for', 'TEXT');
-    await ensureColumnExists(config, 'user_settings', 'editing_file_id', 'TEXT');
-    await ensureColumnExists(config, 'user_settings', 'current_category_id', 'INTEGER');
-    return true;
-  } catch (error) {
-    console.error('检查并添加缺失列失败:', error);
-    return false;
+// The switcher's cookie wins over Accept-Language
+function getRequestLanguage(request) {
+  const cookie = (request.headers.get('Cookie') || '').match(/(?:^|;\s*)lang=([^;]+)/);
+  const chosen = cookie && normalizeLanguage(cookie[1]);
+  if (chosen) {
+    return chosen;
   }
-}
-async function ensureColumnExists(config, tableName, columnName, columnType) {
-  console.log(`确保列 ${columnName} 存在于表 ${tableName} 中...`);
-  try {
-    console.log(`检查列 ${columnName} 是否存在于 ${tableName}...`);
-    const tableInfo = await config.database.prepare(`PRAGMA table_info(${tableName})`).all();
-    const columnExists = tableInfo.results.some(col => col.name === columnName);
-    if (columnExists) {
-      console.log(`列 ${columnName} 已存在于表 ${tableName} 中`);
-      return true;
+  const accepted = (request.headers.get('Accept-Language') || '').split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag, quality: quality ? parseFloat(quality.slice(2)) : 1 };
+    })
+    .filter(item => item.tag && item.quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+  for (const item of accepted) {
+    const lang = normalizeLanguage(item.tag);
+    if (lang) {
+      return lang;
     }
-    console.log(`列 ${columnName} 不存在于表 ${tableName}，尝试添加...`);
-    try {
-      await config.database.prepare(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnType}`).run();
-      console.log(`列 ${columnName} 已成功添加到表 ${tableName}`);
-      return true;
-    } catch (alterError) {
-      console.warn(`添加列 ${columnName} 到 ${tableName} 时发生错误: ${alterError.message}. 尝试再次检查列是否存在...`, alterError);
-      const tableInfoAfterAttempt = await config.database.prepare(`PRAGMA table_info(${tableName})`).all();
-      if (tableInfoAfterAttempt.results.some(col => col.name === columnName)) {
-         console.log(`列 ${columnName} 在添加尝试失败后被发现存在于表 ${tableName} 中。`);
-         return true;
-      } else {
-         console.error(`添加列 ${columnName} 到 ${tableName} 失败，并且再次检查后列仍不存在。`);
-         return false;
-      }
+  }
+  return DEFAULT_LANGUAGE;
+}
+function renderLanguageSwitcher(lang) {
+  const options = Object.entries(SUPPORTED_LANGUAGES)
+    .map(([code, name]) => `<option value="${code}"${code === lang ? ' selected' : ''}>${name}</option>`)
+    .join('');
+  return `<select class="language-switcher" title="${t(lang, 'common.language')}" onchange="document.cookie = 'lang=' + this.value + '; Path=/; Max-Age=31536000; SameSite=Lax'; location.reload();" style="padding: 0.4rem 0.6rem; border: 1px solid #dfe6e9; border-radius: 6px; background: #fff; color: #2c3e50; font-size: 0.9rem; cursor: pointer;">${options}</select>`;
+}
+// Strings for a page's inline script, keyed without their prefix and safe to embed in <script>
+function getClientMessages(lang, ...prefixes) {
+  const messages = {};
+  for (const key of Object.keys(MESSAGES[DEFAULT_LANGUAGE])) {
+    const prefix = prefixes.find(item => key.startsWith(item));
+    if (prefix) {
+      messages[key.slice(prefix.length)] = t(lang, key);
     }
-  } catch (error) {
-    console.error(`检查或添加表 ${tableName} 中的列 ${columnName} 时发生严重错误: ${error.message}`, error);
-    return false;
   }
+  return JSON.stringify(messages).replace(/</g, '\\u003c');
+}
+const BOT_COMMANDS = ['start', 'get', 'del', 'name', 'private', 'expire', 'share'];
+function getBotCommands(lang) {
+  return BOT_COMMANDS.map(command => ({ command, description: t(lang, `bot.command.${command}`) }));
+}
+// One command list per language; Telegram shows the one matching the user's client language
+async function getBotCommandsHash() {
+  return await sha256Hex(JSON.stringify(Object.keys(SUPPORTED_LANGUAGES).map(getBotCommands)));
+}
+async function callTelegramApi(config, method, params = {}) {
+  const response = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params)
+  });
+  const result = await response.json().catch(() => null);
+  if (!result) {
+    return { ok: false, description: `HTTP ${response.status}` };
+  }
+  return result;
 }
-async function setWebhook(webhookUrl, botToken) {
-  if (!botToken) {
+async function setWebhook(config, webhookUrl, secretToken) {
+  if (!config.tgBotToken) {
     console.log('未配置Telegram机器人令牌，跳过webhook设置');
     return true;
   }
@@ -361,16 +1329,7 @@ async function setWebhook(webhookUrl, botToken) {
   while (retryCount < maxRetries) {
     try {
       console.log(`尝试设置webhook: ${webhookUrl}`);
-      const response = await fetch(
-        `https://api.telegram.org/bot${botToken}/setWebhook?url=${webhookUrl}`
-      );
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`Telegram API错误: HTTP ${response.status} - ${errorText}`);
-        retryCount++;
-        continue;
-      }
-      const result = await response.json();
+      const result = await callTelegramApi(config, 'setWebhook', { url: webhookUrl, secret_token: secretToken });
       if (!result.ok) {
         if (result.error_code === 429) {
           const retryAfter = result.parameters?.retry_after || 1;
@@ -383,8 +1342,8 @@ async function setWebhook(webhookUrl, botToken) {
         return false;
       }
       console.log(`Webhook设置成功: ${webhookUrl}`);
-    return true;
-  } catch (error) {
+      return true;
+    } catch (error) {
       console.error(`设置webhook时出错: ${error.message}`);
       retryCount++;
       if (retryCount < maxRetries) {
@@ -397,52 +1356,454 @@ async function setWebhook(webhookUrl, botToken) {
   console.error('多次尝试后仍未能设置webhook');
   return false;
 }
-export default {
-  async fetch(request, env) {
-    if (!env.DATABASE) {
-      console.error("缺少DATABASE配置");
-      return new Response('缺少必要配置: DATABASE 环境变量未设置', { status: 500 });
+// Derived from the bot token unless WEBHOOK_SECRET is set, so the webhook can
+// verify it without a D1 lookup. Telegram only allows [A-Za-z0-9_-] here.
+async function getWebhookSecret(config) {
+  return config.webhookSecret || (await sha256Hex(`webhook:${config.tgBotToken}`));
+}
+async function getAppSetting(config, key) {
+  try {
+    const row = await config.database.prepare('SELECT value FROM app_settings WHERE key = ?').bind(key).first();
+    return row && row.value ? JSON.parse(row.value) : null;
+  } catch (error) {
+    if (error.message.includes('no such table')) {
+      return null;
     }
-    const config = {
-      domain: env.DOMAIN || request.headers.get("host") || '',
-      database: env.DATABASE,
-      username: env.USERNAME || '',
-      password: env.PASSWORD || '',
-      enableAuth: env.ENABLE_AUTH === 'true' || false,
-      tgBotToken: env.TG_BOT_TOKEN || '',
-      tgChatId: env.TG_CHAT_ID ? env.TG_CHAT_ID.split(",") : [],
-      tgStorageChatId: env.TG_STORAGE_CHAT_ID || env.TG_CHAT_ID || '',
-      cookie: Number(env.COOKIE) || 7,
-      maxSizeMB: Number(env.MAX_SIZE_MB) || 20,
-      bucket: env.BUCKET,
-      fileCache: new Map(),
-      fileCacheTTL: 3600000,
-      buttonCache: new Map(),
-      buttonCacheTTL: 600000,
-      menuCache: new Map(),
-      menuCacheTTL: 300000,
-      notificationCache: '',
-      notificationCacheTTL: 3600000,
-      lastNotificationFetch: 0
-    };
-    if (config.enableAuth && (!config.username || !config.password)) {
-        console.error("启用了认证但未配置用户名或密码");
-        return new Response('认证配置错误: 缺少USERNAME或PASSWORD环境变量', { status: 500 });
+    throw error;
+  }
+}
+async function setAppSetting(config, key, value) {
+  await config.database.prepare(`
+    INSERT INTO app_settings (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `).bind(key, JSON.stringify(value), Date.now()).run();
+}
+// /setup runs before the database is known to be usable, so besides an admin
+// session it accepts HTTP Basic auth with the USERNAME/PASSWORD variables.
+async function authorizeSetup(request, config) {
+  if (!config.enableAuth) {
+    return { username: config.username || 'admin' };
+  }
+  const header = request.headers.get('Authorization') || '';
+  if (header.startsWith('Basic ')) {
+    let decoded = '';
+    try {
+      decoded = new TextDecoder().decode(Uint8Array.from(atob(header.slice(6)), char => char.charCodeAt(0)));
+    } catch (error) {
+      return null;
     }
-    const url = new URL(request.url);
-    const { pathname } = url;
-    console.log(`[Auth] Request Path: ${pathname}, Method: ${request.method}`);
-    if (pathname === '/favicon.ico') {
-      console.log('[Auth] Handling favicon.ico request.');
-      return new Response(null, { status: 204 });
+    const separator = decoded.indexOf(':');
+    const username = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+    if (separator > 0 && timingSafeEqual(username, config.username) && timingSafeEqual(password, config.password)) {
+      return { username };
     }
-    const isAuthEnabled = config.enableAuth;
-    const isAuthenticated = authenticate(request, config);
-    const isLoginPage = pathname === '/login';
+    return null;
+  }
+  const user = await authenticate(request, config);
+  return hasRole(user, 'admin') ? user : null;
+}
+async function getSetupStatus(config) {
+  const appliedMigrations = await getAppliedMigrations(config);
+  const schemaVersion = appliedMigrations.length ? appliedMigrations[appliedMigrations.length - 1].version : 0;
+  const state = schemaVersion >= LATEST_SCHEMA_VERSION ? await getAppSetting(config, 'setup') : null;
+  const status = {
+    schemaVersion,
+    latestSchemaVersion: LATEST_SCHEMA_VERSION,
+    state,
+    webhookUrl: config.tgBotToken ? `https://${config.domain}/webhook` : null,
+    webhookInfo: null,
+    webhookUpToDate: true,
+    commandsUpToDate: true
+  };
+  if (config.tgBotToken) {
+    const info = await callTelegramApi(config, 'getWebhookInfo');
+    status.webhookInfo = info.ok ? info.result : { error: info.description || '获取失败' };
+    const secretHash = await sha256Hex(await getWebhookSecret(config));
+    status.webhookUpToDate = !!(info.ok && info.result.url === status.webhookUrl &&
+      state && state.webhookUrl === status.webhookUrl && state.webhookSecretHash === secretHash);
+    status.commandsUpToDate = !!(state && state.commandsHash === (await getBotCommandsHash()));
+  }
+  return status;
+}
+async function runSetup(config, force = false) {
+  const steps = [];
+  await initDatabase(config);
+  const schemaVersion = await getSchemaVersion(config);
+  steps.push({ name: '数据库迁移', status: 'ok', detail: `当前版本 ${schemaVersion}` });
+  const previous = (await getAppSetting(config, 'setup')) || {};
+  const state = { ...previous, schemaVersion };
+  if (config.tgBotToken) {
+    const webhookUrl = `https://${config.domain}/webhook`;
+    const secret = await getWebhookSecret(config);
+    const secretHash = await sha256Hex(secret);
+    const info = await callTelegramApi(config, 'getWebhookInfo');
+    const registered = info.ok && info.result.url === webhookUrl &&
+      previous.webhookUrl === webhookUrl && previous.webhookSecretHash === secretHash;
+    if (registered && !force) {
+      steps.push({ name: 'Webhook', status: 'skipped', detail: `已指向 ${webhookUrl}` });
+    } else if (await setWebhook(config, webhookUrl, secret)) {
+      state.webhookUrl = webhookUrl;
+      state.webhookSecretHash = secretHash;
+      steps.push({ name: 'Webhook', status: 'ok', detail: `已设置为 ${webhookUrl}` });
+    } else {
+      steps.push({ name: 'Webhook', status: 'failed', detail: '设置失败，请检查 DOMAIN 和 TG_BOT_TOKEN' });
+    }
+    const commandsHash = await getBotCommandsHash();
+    if (previous.commandsHash === commandsHash && !force) {
+      steps.push({ name: '机器人命令', status: 'skipped', detail: '命令列表未变化' });
+    } else {
+      let result;
+      for (const lang of Object.keys(SUPPORTED_LANGUAGES)) {
+        // The default language's list also serves clients in languages without a catalog
+        const scope = lang === DEFAULT_LANGUAGE ? {} : { language_code: lang.split('-')[0] };
+        result = await callTelegramApi(config, 'setMyCommands', { commands: getBotCommands(lang), ...scope });
+        if (!result.ok) {
+          break;
+        }
+      }
+      if (result.ok) {
+        state.commandsHash = commandsHash;
+        steps.push({ name: '机器人命令', status: 'ok', detail: `已注册 ${BOT_COMMANDS.length} 个命令` });
+      } else {
+        steps.push({ name: '机器人命令', status: 'failed', detail: result.description || '注册失败' });
+      }
+    }
+  } else {
+    steps.push({ name: 'Webhook', status: 'skipped', detail: '未配置 TG_BOT_TOKEN' });
+  }
+  state.completedAt = Date.now();
+  await setAppSetting(config, 'setup', state);
+  return { steps, failed: steps.some(step => step.status === 'failed') };
+}
+async function handleSetupRequest(request, config) {
+  const setupUser = await authorizeSetup(request, config);
+  if (!setupUser) {
+    return new Response('需要管理员身份：请先登录，或使用 USERNAME/PASSWORD 进行 HTTP Basic 认证。', {
+      status: 401,
+      headers: {
+        'Content-Type': 'text/plain;charset=UTF-8',
+        'WWW-Authenticate': 'Basic realm="setup", charset="UTF-8"',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+  try {
+    if (request.method === 'POST') {
+      const { force } = await request.json().catch(() => ({}));
+      const { steps, failed } = await runSetup(config, force === true);
+      config.auditActor = { actorType: 'web', actor: setupUser.username, ip: getClientIp(request) };
+      await recordAudit(config, {
+        action: 'app.setup',
+        newValue: steps.map(step => `${step.name}: ${step.status}`).join('; ')
+      });
+      return new Response(JSON.stringify({ status: failed ? 0 : 1, msg: failed ? '初始化部分失败' : '初始化完成', steps }), {
+        status: failed ? 502 : 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+      });
+    }
+    const status = await getSetupStatus(config);
+    return new Response(generateSetupPage(status), {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8', 'Cache-Control': 'no-store' }
+    });
+  } catch (error) {
+    console.error('[Setup] 初始化失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `初始化失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+  }
+}
+const HEALTH_PROBE_KEY = '__health_check__';
+function redactSecret(value) {
+  if (!value) {
+    return '未设置';
+  }
+  return `已设置（${value.length} 位，已隐藏）`;
+}
+function getEffectiveConfig(config) {
+  return {
+    domain: config.domain,
+    enableAuth: config.enableAuth,
+    maxSizeMB: config.maxSizeMB,
+    cookie: config.cookie,
+    tgChatIdCount: config.tgChatId.length,
+    tgStorageChatId: config.tgStorageChatId || '未设置',
+    tgChunkSizeMB: config.tgChunkSizeMB,
+    trashRetentionDays: config.trashRetentionDays,
+    captionCreateCategory: config.captionCreateCategory,
+    tgBotToken: config.tgBotToken ? `${config.tgBotToken.split(':')[0]}:（已隐藏）` : '未设置',
+    password: redactSecret(config.password),
+    shareSecret: redactSecret(config.shareSecret),
+    webhookSecret: config.webhookSecret ? redactSecret(config.webhookSecret) : '由 TG_BOT_TOKEN 派生',
+    r2Bound: !!config.bucket,
+    s3: isS3Configured(config)
+      ? { endpoint: config.s3.endpoint, bucket: config.s3.bucket, region: config.s3.region, accessKeyId: redactSecret(config.s3.accessKeyId), secretAccessKey: redactSecret(config.s3.secretAccessKey) }
+      : '未配置'
+  };
+}
+// Each check resolves to { ok, detail }; ok is null when the feature is not configured.
+async function runDiagnosticCheck(check) {
+  const startedAt = Date.now();
+  try {
+    const result = await check();
+    return { ...result, ms: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, detail: error.message, ms: Date.now() - startedAt };
+  }
+}
+async function checkDatabaseHealth(config) {
+  await config.database.prepare('SELECT 1').run();
+  const schemaVersion = await readSchemaVersion(config);
+  return {
+    ok: schemaVersion >= LATEST_SCHEMA_VERSION,
+    detail: `表结构版本 ${schemaVersion}/${LATEST_SCHEMA_VERSION}${schemaVersion < LATEST_SCHEMA_VERSION ? '，请访问 /setup' : ''}`,
+    schemaVersion
+  };
+}
+async function checkR2Health(config) {
+  if (!config.bucket) {
+    return { ok: null, detail: '未绑定 BUCKET' };
+  }
+  await config.bucket.head(HEALTH_PROBE_KEY);
+  return { ok: true, detail: 'R2 存储桶可访问' };
+}
+async function checkS3Health(config) {
+  if (!isS3Configured(config)) {
+    return { ok: null, detail: '未配置 S3' };
+  }
+  const response = await s3Request(config, 'HEAD', HEALTH_PROBE_KEY);
+  const ok = response.ok || response.status === 404;
+  return { ok, detail: ok ? 'S3 存储桶可访问' : `HTTP ${response.status}` };
+}
+async function checkBotHealth(config) {
+  if (!config.tgBotToken) {
+    return { ok: null, detail: '未配置 TG_BOT_TOKEN' };
+  }
+  const result = await callTelegramApi(config, 'getMe');
+  if (!result.ok) {
+    return { ok: false, detail: result.description || 'getMe 失败' };
+  }
+  return { ok: true, detail: `@${result.result.username}`, botId: result.result.id };
+}
+async function checkWebhookHealth(config) {
+  if (!config.tgBotToken) {
+    return { ok: null, detail: '未配置 TG_BOT_TOKEN' };
+  }
+  const result = await callTelegramApi(config, 'getWebhookInfo');
+  if (!result.ok) {
+    return { ok: false, detail: result.description || 'getWebhookInfo 失败' };
+  }
+  const info = result.result;
+  const expectedUrl = `https://${config.domain}/webhook`;
+  const problems = [];
+  if (info.url !== expectedUrl) {
+    problems.push(`当前地址 ${info.url || '未设置'}，期望 ${expectedUrl}`);
+  }
+  if (info.last_error_date) {
+    problems.push(`最近错误 ${formatDate(info.last_error_date * 1000)}：${info.last_error_message}`);
+  }
+  return {
+    ok: info.url === expectedUrl,
+    detail: [`待处理更新 ${info.pending_update_count || 0}`, ...problems].join('；')
+  };
+}
+async function checkStorageChatHealth(config, botId) {
+  if (!config.tgBotToken || !config.tgStorageChatId) {
+    return { ok: null, detail: '未配置 TG_STORAGE_CHAT_ID' };
+  }
+  const chat = await callTelegramApi(config, 'getChat', { chat_id: config.tgStorageChatId });
+  if (!chat.ok) {
+    return { ok: false, detail: chat.description || '无法访问存储群组' };
+  }
+  if (!botId) {
+    return { ok: false, detail: `${chat.result.title || chat.result.id}：无法获取机器人 ID` };
+  }
+  const member = await callTelegramApi(config, 'getChatMember', { chat_id: config.tgStorageChatId, user_id: botId });
+  if (!member.ok) {
+    return { ok: false, detail: member.description || '无法获取机器人权限' };
+  }
+  const { status } = member.result;
+  // Channels only accept posts from administrators with can_post_messages
+  const canPost = chat.result.type === 'channel'
+    ? status === 'creator' || (status === 'administrator' && member.result.can_post_messages !== false)
+    : ['creator', 'administrator', 'member'].includes(status) || (status === 'restricted' && member.result.can_send_documents !== false);
+  return {
+    ok: canPost,
+    detail: `${chat.result.title || chat.result.id}（${chat.result.type}），机器人身份 ${status}${canPost ? '' : '，无法发送文件'}`
+  };
+}
+async function runDiagnostics(config) {
+  const checks = {
+    database: await runDiagnosticCheck(() => checkDatabaseHealth(config)),
+    r2: await runDiagnosticCheck(() => checkR2Health(config)),
+    s3: await runDiagnosticCheck(() => checkS3Health(config)),
+    bot: await runDiagnosticCheck(() => checkBotHealth(config)),
+    webhook: await runDiagnosticCheck(() => checkWebhookHealth(config))
+  };
+  checks.storageChat = await runDiagnosticCheck(() => checkStorageChatHealth(config, checks.bot.botId));
+  const failed = Object.values(checks).some(check => check.ok === false);
+  return { status: checks.database.ok === false ? 'error' : (failed ? 'degraded' : 'ok'), checks };
+}
+async function handleHealthRequest(request, config) {
+  // Unauthenticated, so only D1 is probed; storage and bot checks stay on /admin/diagnostics
+  const database = await runDiagnosticCheck(() => checkDatabaseHealth(config));
+  const status = database.ok === false ? 'error' : 'ok';
+  return new Response(JSON.stringify({ status, schemaVersion: database.schemaVersion ?? null, checks: { database: database.ok }, timestamp: Date.now() }), {
+    status: status === 'error' ? 503 : 200,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
+async function handleDiagnosticsRequest(request, config) {
+  try {
+    const diagnostics = await runDiagnostics(config);
+    const effectiveConfig = getEffectiveConfig(config);
+    if (new URL(request.url).searchParams.get('format') === 'json') {
+      return new Response(JSON.stringify({ ...diagnostics, config: effectiveConfig }, null, 2), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+      });
+    }
+    return new Response(generateDiagnosticsPage(diagnostics, effectiveConfig, config.lang), {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8', 'Cache-Control': 'no-store' }
+    });
+  } catch (error) {
+    console.error(`[Diagnostics Error] ${error.message}`);
+    return new Response(`系统诊断失败：${error.message}`, { status: 500 });
+  }
+}
+function createConfig(env, request = null) {
+  return {
+    domain: env.DOMAIN || (request && request.headers.get("host")) || '',
+    database: env.DATABASE,
+    username: env.USERNAME || '',
+    password: env.PASSWORD || '',
+    enableAuth: env.ENABLE_AUTH === 'true' || false,
+    tgBotToken: env.TG_BOT_TOKEN || '',
+    tgChatId: env.TG_CHAT_ID ? env.TG_CHAT_ID.split(",") : [],
+    tgStorageChatId: env.TG_STORAGE_CHAT_ID || env.TG_CHAT_ID || '',
+    cookie: Number(env.COOKIE) || 7,
+    maxSizeMB: Number(env.MAX_SIZE_MB) || 20,
+    shareSecret: env.SHARE_SECRET || '',
+    shareMaxTtlDays: Number(env.SHARE_MAX_TTL_DAYS) || 30,
+    // Bot API getFile refuses anything over 20MB, so larger parts could never be read back
+    tgChunkSizeMB: Math.min(Math.max(Number(env.TG_CHUNK_SIZE_MB) || 19, 1), 20),
+    trashRetentionDays: Number(env.TRASH_RETENTION_DAYS) || 30,
+    captionCreateCategory: env.CAPTION_CREATE_CATEGORY === 'true',
+    webhookSecret: env.WEBHOOK_SECRET || '',
+    // Web pages follow the browser; Telegram updates replace this with the user's language
+    lang: request ? getRequestLanguage(request) : DEFAULT_LANGUAGE,
+    bucket: env.BUCKET,
+    s3: {
+      endpoint: env.S3_ENDPOINT || '',
+      bucket: env.S3_BUCKET || '',
+      region: env.S3_REGION || 'us-east-1',
+      accessKeyId: env.S3_ACCESS_KEY_ID || '',
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY || ''
+    },
+    fileCache: new Map(),
+    fileCacheTTL: 3600000,
+    buttonCache: new Map(),
+    buttonCacheTTL: 600000,
+    menuCache: new Map(),
+    menuCacheTTL: 300000,
+    notificationCache: '',
+    notificationCacheTTL: 3600000,
+    lastNotificationFetch: 0
+  };
+}
+export default {
+  async fetch(request, env, ctx) {
+    if (!env.DATABASE) {
+      console.error("缺少DATABASE配置");
+      return new Response('缺少必要配置: DATABASE 环境变量未设置', { status: 500 });
+    }
+    const config = createConfig(env, request);
+    if (config.enableAuth && (!config.username || !config.password)) {
+        console.error("启用了认证但未配置用户名或密码");
+        return new Response('认证配置错误: 缺少USERNAME或PASSWORD环境变量', { status: 500 });
+    }
+    const url = new URL(request.url);
+    const { pathname } = url;
+    console.log(`[Auth] Request Path: ${pathname}, Method: ${request.method}`);
+    if (pathname === '/favicon.ico') {
+      console.log('[Auth] Handling favicon.ico request.');
+      return new Response(null, { status: 204 });
+    }
+    if (pathname === '/setup') {
+      return await handleSetupRequest(request, config);
+    }
+    if (pathname === '/health') {
+      return await handleHealthRequest(request, config);
+    }
+    const isAuthEnabled = config.enableAuth;
+    const isLoginPage = pathname === '/login';
     const isPublicApi = pathname === '/webhook' || pathname === '/config' || pathname === '/bing';
+    try {
+      if (!isPublicApi && !(await isSchemaReady(config))) {
+        console.log(`[DB] Schema version ${verifiedSchemaVersion} is behind ${LATEST_SCHEMA_VERSION}, setup required.`);
+        return new Response(`数据库尚未初始化或需要升级（当前版本 ${verifiedSchemaVersion}，需要 ${LATEST_SCHEMA_VERSION}），请管理员访问 /setup 完成初始化。`, {
+          status: 503,
+          headers: {
+            'Content-Type': 'text/plain;charset=UTF-8',
+            'Cache-Control': 'no-store'
+          }
+        });
+      }
+    } catch (error) {
+      console.error(`[DB] Database check FAILED: ${error.message}`);
+      return new Response(`数据库连接失败: ${error.message}`, {
+        status: 500,
+        headers: {
+            'Content-Type': 'text/plain;charset=UTF-8',
+            'Cache-Control': 'no-store'
+        }
+      });
+    }
+    const currentUser = await authenticate(request, config);
+    const isAuthenticated = !!currentUser;
+    if (currentUser) {
+      config.auditActor = { actorType: 'web', actor: currentUser.username, ip: getClientIp(request) };
+    }
     console.log(`[Auth] isAuthEnabled: ${isAuthEnabled}, isAuthenticated: ${isAuthenticated}, isLoginPage: ${isLoginPage}, isPublicApi: ${isPublicApi}`);
-    const protectedPaths = ['/', '/upload', '/admin', '/create-category', '/delete-category', '/update-suffix', '/delete', '/delete-multiple', '/search', '/update-remark', '/change-category'];
-    const requiresAuth = isAuthEnabled && protectedPaths.includes(pathname);
+    // Minimum role required for each protected path
+    const protectedPaths = {
+      '/': 'uploader',
+      '/upload': 'uploader',
+      '/admin': 'viewer',
+      '/search': 'viewer',
+      '/share': 'viewer',
+      '/qr': 'viewer',
+      '/create-category': 'uploader',
+      '/update-suffix': 'uploader',
+      '/delete': 'uploader',
+      '/delete-multiple': 'uploader',
+      '/update-remark': 'uploader',
+      '/change-category': 'uploader',
+      '/update-private': 'uploader',
+      '/update-expiry': 'uploader',
+      '/delete-category': 'admin',
+      '/admin/users': 'admin',
+      '/admin/users/create': 'admin',
+      '/admin/users/update': 'admin',
+      '/admin/users/delete': 'admin',
+      '/admin/sessions': 'viewer',
+      '/admin/sessions/revoke': 'viewer',
+      '/admin/tokens': 'admin',
+      '/admin/tokens/create': 'admin',
+      '/admin/tokens/revoke': 'admin',
+      '/admin/uploader-config': 'uploader',
+      '/admin/duplicates': 'uploader',
+      '/admin/duplicates/backfill': 'uploader',
+      '/admin/trash': 'uploader',
+      '/admin/trash/restore': 'uploader',
+      '/admin/trash/purge': 'admin',
+      '/admin/audit': 'admin',
+      '/admin/migrations': 'admin',
+      '/admin/migrations/apply': 'admin',
+      '/admin/diagnostics': 'admin'
+    };
+    const requiredRole = protectedPaths[pathname];
+    const requiresAuth = isAuthEnabled && !!requiredRole;
     console.log(`[Auth] Path requires authentication: ${requiresAuth}`);
     if (requiresAuth && !isAuthenticated && !isLoginPage) {
         console.log(`[Auth] FAILED: Accessing protected path ${pathname} without authentication. Redirecting to login.`);
@@ -458,43 +1819,25 @@ export default {
         const redirectUrl = `${url.origin}/login?redirect=${encodeURIComponent(pathname + url.search)}`;
         return Response.redirect(redirectUrl, 302);
     }
+    if (requiresAuth && !hasRole(currentUser, requiredRole)) {
+        console.log(`[Auth] FAILED: User ${currentUser.username} (${currentUser.role}) lacks role ${requiredRole} for ${pathname}.`);
+        if (request.method === 'POST' || request.headers.get('Accept')?.includes('application/json')) {
+            return new Response(JSON.stringify({ status: 0, msg: "权限不足", error: "权限不足" }), {
+                status: 403,
+                headers: {
+                    'Content-Type': 'application/json;charset=UTF-8',
+                    'Cache-Control': 'no-store'
+                 }
+            });
+        }
+        return Response.redirect(`${url.origin}/admin`, 302);
+    }
     if (isAuthEnabled && isAuthenticated && isLoginPage) {
         const redirectTarget = url.searchParams.get('redirect') || '/upload';
         console.log(`[Auth] SUCCESS: Authenticated user accessing login page. Redirecting to ${redirectTarget}.`);
         return Response.redirect(`${url.origin}${redirectTarget}`, 302);
     }
     console.log(`[Auth] Check PASSED for path: ${pathname}`);
-    try {
-      if (!isPublicApi && !isLoginPage) {
-          await initDatabase(config);
-          console.log('[DB] Database initialized successfully.');
-      } else {
-          console.log('[DB] Skipping database initialization for public API or login page.');
-      }
-    } catch (error) {
-      console.error(`[DB] Database initialization FAILED: ${error.message}`);
-      return new Response(`数据库初始化失败: ${error.message}`, {
-        status: 500,
-        headers: {
-            'Content-Type': 'text/plain;charset=UTF-8',
-            'Cache-Control': 'no-store'
-        }
-      });
-    }
-    if (config.tgBotToken) {
-      try {
-        const webhookUrl = `https://${config.domain}/webhook`;
-        console.log(`[Webhook] Attempting to set webhook to: ${webhookUrl}`);
-        const webhookSet = await setWebhook(webhookUrl, config.tgBotToken);
-        if (!webhookSet) {
-            console.error('[Webhook] FAILED to set webhook after retries.');
-        } else {
-            console.log('[Webhook] Webhook set successfully (or already set).');
-        }
-      } catch (error) {
-        console.error(`[Webhook] FAILED to set webhook due to error: ${error.message}`);
-      }
-    }
     const routes = {
       '/': async () => {
           console.log('[Route] Handling / request.');
@@ -520,6 +1863,30 @@ export default {
       '/update-suffix': () => handleUpdateSuffixRequest(request, config),
       '/update-remark': () => handleUpdateRemarkRequest(request, config),
       '/change-category': () => handleChangeCategoryRequest(request, config),
+      '/admin/users': () => handleUsersPageRequest(request, config),
+      '/admin/users/create': () => handleCreateUserRequest(request, config),
+      '/admin/users/update': () => handleUpdateUserRequest(request, config),
+      '/admin/users/delete': () => handleDeleteUserRequest(request, config),
+      '/admin/sessions': () => handleSessionsPageRequest(request, config),
+      '/admin/sessions/revoke': () => handleRevokeSessionRequest(request, config),
+      '/logout': () => handleLogoutRequest(request, config),
+      '/admin/tokens': () => handleTokensPageRequest(request, config),
+      '/admin/tokens/create': () => handleCreateTokenRequest(request, config),
+      '/admin/tokens/revoke': () => handleRevokeTokenRequest(request, config),
+      '/admin/uploader-config': () => handleUploaderConfigRequest(request, config),
+      '/admin/duplicates': () => handleDuplicatesPageRequest(request, config),
+      '/admin/duplicates/backfill': () => handleBackfillHashesRequest(request, config),
+      '/admin/trash': () => handleTrashPageRequest(request, config),
+      '/admin/trash/restore': () => handleRestoreTrashRequest(request, config),
+      '/admin/trash/purge': () => handlePurgeTrashRequest(request, config),
+      '/admin/audit': () => handleAuditLogRequest(request, config),
+      '/admin/migrations': () => handleMigrationsPageRequest(request, config),
+      '/admin/migrations/apply': () => handleApplyMigrationsRequest(request, config),
+      '/admin/diagnostics': () => handleDiagnosticsRequest(request, config),
+      '/update-private': () => handleUpdatePrivateRequest(request, config),
+      '/update-expiry': () => handleUpdateExpiryRequest(request, config),
+      '/share': () => handleShareRequest(request, config),
+      '/qr': () => handleQrRequest(request, config),
       '/config': () => {
           console.log('[Route] Handling /config request.');
           const safeConfig = { maxSizeMB: config.maxSizeMB };
@@ -532,13 +1899,21 @@ export default {
       },
       '/webhook': () => {
           console.log('[Route] Handling /webhook request.');
-          return handleTelegramWebhook(request, config);
+          return handleTelegramWebhook(request, config, ctx);
       },
       '/bing': () => {
           console.log('[Route] Handling /bing request.');
           return handleBingImagesRequest(request, config);
       }
     };
+    if (pathname === '/api/upload') {
+      console.log(`[API] Handling token upload`);
+      return handleTokenUploadRequest(request, config);
+    }
+    if (pathname.startsWith('/api/v1/')) {
+      console.log(`[API] Handling ${request.method} ${pathname}`);
+      return handleApiRequest(request, config);
+    }
     const handler = routes[pathname];
     if (handler) {
       try {
@@ -557,9 +1932,88 @@ export default {
     }
     console.log(`[File] Handling file request for ${pathname}`);
     return await handleFileRequest(request, config);
+  },
+  async scheduled(event, env, ctx) {
+    if (!env.DATABASE) {
+      console.error("缺少DATABASE配置");
+      return;
+    }
+    const config = createConfig(env);
+    console.log(`[Scheduled] Triggered by cron: ${event.cron}`);
+    try {
+      if (!(await isSchemaReady(config))) {
+        console.log('[Scheduled] 数据库尚未初始化，请先访问 /setup，跳过本次清理');
+        return;
+      }
+      await purgeExpiredFiles(config);
+      await purgeTrashedFiles(config);
+      await config.database.prepare('DELETE FROM sessions WHERE expires_at <= ?').bind(Date.now()).run();
+      await reportStalledTelegramUpdates(config);
+      const updateCutoff = Date.now() - TELEGRAM_UPDATE_RETENTION_MS;
+      await config.database.batch([
+        config.database.prepare('DELETE FROM telegram_updates WHERE received_at < ?').bind(updateCutoff),
+        config.database.prepare('DELETE FROM telegram_media_groups WHERE created_at < ?').bind(updateCutoff),
+        config.database.prepare('DELETE FROM telegram_media_group_items WHERE received_at < ?').bind(updateCutoff)
+      ]);
+    } catch (error) {
+      console.error(`[Scheduled] 定时清理失败: ${error.message}`);
+    }
   }
 };
+async function purgeExpiredFiles(config) {
+  const expiredFiles = await config.database.prepare(
+    'SELECT * FROM files WHERE expires_at IS NOT NULL AND expires_at <= ? ORDER BY expires_at LIMIT 100'
+  ).bind(Date.now()).all();
+  const files = expiredFiles.results || [];
+  console.log(`[Scheduled] 发现 ${files.length} 个过期文件`);
+  let purged = 0;
+  for (const file of files) {
+    try {
+      await deleteStoredFile(config, file);
+      purged++;
+    } catch (error) {
+      console.error(`[Scheduled] 删除过期文件失败 (${file.url}): ${error.message}`);
+    }
+  }
+  console.log(`[Scheduled] 已清理 ${purged} 个过期文件`);
+  return purged;
+}
+async function purgeTrashedFiles(config) {
+  const cutoff = Date.now() - config.trashRetentionDays * 86400000;
+  const trashedFiles = await config.database.prepare(
+    'SELECT * FROM files WHERE deleted_at IS NOT NULL AND deleted_at <= ? ORDER BY deleted_at LIMIT 100'
+  ).bind(cutoff).all();
+  const files = trashedFiles.results || [];
+  console.log(`[Scheduled] 回收站中有 ${files.length} 个文件超过 ${config.trashRetentionDays} 天`);
+  let purged = 0;
+  for (const file of files) {
+    try {
+      await deleteStoredFile(config, file);
+      purged++;
+    } catch (error) {
+      console.error(`[Scheduled] 清除回收站文件失败 (${file.url}): ${error.message}`);
+    }
+  }
+  console.log(`[Scheduled] 已清除 ${purged} 个回收站文件`);
+  return purged;
+}
 
+async function findRepliedFile(config, replyToMessage) {
+    // Try to find the file by parsing the URL from the replied message's text first.
+    // This is more robust as users often reply to the bot's success message.
+    const replyText = replyToMessage.text || replyToMessage.caption;
+    if (replyText) {
+        const urlMatch = replyText.match(/(https?:\/\/[^\s?]+)/);
+        if (urlMatch && urlMatch[0]) {
+            const file = await config.database.prepare('SELECT * FROM files WHERE url = ? AND deleted_at IS NULL').bind(urlMatch[0]).first();
+            if (file) {
+                return file;
+            }
+        }
+    }
+    // If not found, try the old way (by message_id, for replying to the original file message).
+    return await config.database.prepare('SELECT * FROM files WHERE message_id = ? AND deleted_at IS NULL').bind(replyToMessage.message_id).first();
+}
 async function deleteMessage(chatId, messageId, botToken) {
     if (!botToken || !chatId || !messageId) return;
     try {
@@ -574,9 +2028,228 @@ async function deleteMessage(chatId, messageId, botToken) {
     }
 }
 
-async function handleTelegramWebhook(request, config) {
+// Telegram gives up on redelivering an update after 24 hours
+const TELEGRAM_UPDATE_RETENTION_MS = 48 * 3600000;
+// Background work outlives the response by at most a few minutes on Workers
+const TELEGRAM_UPDATE_STALL_MS = 15 * 60000;
+async function claimTelegramUpdate(config, updateId) {
+  if (typeof updateId !== 'number') {
+    return true;
+  }
+  const result = await config.database.prepare('INSERT OR IGNORE INTO telegram_updates (update_id, received_at) VALUES (?, ?)')
+    .bind(updateId, Date.now()).run();
+  return result.meta.changes > 0;
+}
+async function finishTelegramUpdate(config, updateId, status) {
+  if (typeof updateId !== 'number') {
+    return;
+  }
+  try {
+    await config.database.prepare('UPDATE telegram_updates SET status = ? WHERE update_id = ?').bind(status, updateId).run();
+  } catch (error) {
+    console.error('更新Telegram处理状态失败:', error);
+  }
+}
+async function trackTelegramProgress(config, chatId, progressMessageId) {
+  if (typeof config.telegramUpdateId !== 'number') {
+    return;
+  }
+  try {
+    await config.database.prepare('UPDATE telegram_updates SET chat_id = ?, progress_message_id = ? WHERE update_id = ?')
+      .bind(chatId, progressMessageId, config.telegramUpdateId).run();
+  } catch (error) {
+    console.error('记录Telegram处理进度失败:', error);
+  }
+}
+function getAllowedUpdateChatId(update, config) {
+  const source = update.message || (update.callback_query && update.callback_query.message);
+  const from = update.message ? update.message.from : (update.callback_query && update.callback_query.from);
+  if (!source || !source.chat || !from) {
+    return null;
+  }
+  if (config.tgChatId.length > 0 && !config.tgChatId.includes(String(from.id))) {
+    return null;
+  }
+  return String(source.chat.id);
+}
+// Prefer turning the "⏳ 正在处理" message into the error so the user is not left
+// with a stale progress message; fall back to a new message, retrying briefly.
+async function reportTelegramFailure(config, chatId, progressMessageId, text) {
+  if (progressMessageId) {
+    const edited = await callTelegramApi(config, 'editMessageText', { chat_id: chatId, message_id: progressMessageId, text })
+      .catch(error => ({ ok: false, description: error.message }));
+    if (edited.ok) {
+      return true;
+    }
+  }
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    if (await sendMessage(chatId, text, config.tgBotToken)) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+  }
+  console.error(`无法向 ${chatId} 发送失败通知: ${text}`);
+  return false;
+}
+async function reportStalledTelegramUpdates(config) {
+  const stalled = await config.database.prepare(
+    "SELECT update_id, chat_id, progress_message_id FROM telegram_updates WHERE status = 'processing' AND received_at < ?"
+  ).bind(Date.now() - TELEGRAM_UPDATE_STALL_MS).all();
+  for (const row of stalled.results || []) {
+    if (row.chat_id) {
+      // Only an explicit choice is known here; the Telegram client language is not stored
+      const setting = await config.database.prepare('SELECT language FROM user_settings WHERE chat_id = ?').bind(row.chat_id).first();
+      await reportTelegramFailure(config, row.chat_id, row.progress_message_id, t(setting && setting.language, 'bot.timeout'));
+    }
+    await finishTelegramUpdate(config, row.update_id, 'failed');
+  }
+  if (stalled.results && stalled.results.length) {
+    console.log(`[Scheduled] 已通知 ${stalled.results.length} 个超时的Telegram更新`);
+  }
+}
+// Album items arrive as separate updates within a second or two of each other;
+// the batch is only summarized once this long has passed since the first one.
+const MEDIA_GROUP_SETTLE_MS = 3000;
+async function joinMediaGroup(config, chatId, mediaGroupId, messageId, fileName) {
+  const now = Date.now();
+  await config.database.prepare(`
+    INSERT OR IGNORE INTO telegram_media_group_items (media_group_id, message_id, chat_id, file_name, received_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(mediaGroupId, messageId, chatId, fileName || null, now).run();
+  const claimed = await config.database.prepare('INSERT OR IGNORE INTO telegram_media_groups (media_group_id, chat_id, created_at) VALUES (?, ?, ?)')
+    .bind(mediaGroupId, chatId, now).run();
+  if (claimed.meta.changes > 0) {
+    const progressMessage = await sendMessage(chatId, t(config.lang, 'bot.album.processing'), config.tgBotToken);
+    const progressMessageId = progressMessage && progressMessage.result ? progressMessage.result.message_id : null;
+    await config.database.prepare('UPDATE telegram_media_groups SET progress_message_id = ? WHERE media_group_id = ?')
+      .bind(progressMessageId, mediaGroupId).run();
+    return progressMessageId;
+  }
+  const group = await config.database.prepare('SELECT progress_message_id FROM telegram_media_groups WHERE media_group_id = ?')
+    .bind(mediaGroupId).first();
+  return group ? group.progress_message_id : null;
+}
+async function completeMediaGroupItem(config, mediaGroupId, messageId, result) {
+  await config.database.prepare(`
+    UPDATE telegram_media_group_items SET status = ?, url = ?, file_name = COALESCE(?, file_name), mime_type = ?, error = ?
+    WHERE media_group_id = ? AND message_id = ?
+  `).bind(
+    result.error ? 'failed' : 'done',
+    result.url || null,
+    result.fileName || null,
+    result.mimeType || null,
+    result.error || null,
+    mediaGroupId,
+    messageId
+  ).run();
+  let group = await config.database.prepare('SELECT created_at FROM telegram_media_groups WHERE media_group_id = ?').bind(mediaGroupId).first();
+  const settleDelay = group ? group.created_at + MEDIA_GROUP_SETTLE_MS - Date.now() : 0;
+  if (settleDelay > 0) {
+    await new Promise(resolve => setTimeout(resolve, settleDelay));
+  }
+  // Only the update that finishes last gets the rows back, so the album gets exactly one summary
+  const claimed = await config.database.prepare(`
+    UPDATE telegram_media_group_items SET reported = 1
+    WHERE media_group_id = ?1 AND reported = 0
+      AND NOT EXISTS (SELECT 1 FROM telegram_media_group_items WHERE media_group_id = ?1 AND status = 'processing')
+    RETURNING *
+  `).bind(mediaGroupId).all();
+  group = await config.database.prepare('SELECT * FROM telegram_media_groups WHERE media_group_id = ?').bind(mediaGroupId).first();
+  if (!claimed.results || claimed.results.length === 0) {
+    const counts = await config.database.prepare(`
+      SELECT COUNT(*) as total, SUM(CASE WHEN status != 'processing' THEN 1 ELSE 0 END) as finished
+      FROM telegram_media_group_items WHERE media_group_id = ?
+    `).bind(mediaGroupId).first();
+    if (group && group.progress_message_id && counts.finished < counts.total) {
+      await editBotMessage(config, group.chat_id, group.progress_message_id, t(config.lang, 'bot.album.progress', counts));
+    }
+    return;
+  }
+  await sendMediaGroupSummary(config, group, claimed.results.sort((a, b) => a.message_id - b.message_id));
+}
+async function sendMediaGroupSummary(config, group, items) {
+  const succeeded = items.filter(item => item.url);
+  const lines = items.map((item, index) => {
+    const name = escapeTelegramHtml(item.file_name || (item.url ? getFileName(item.url) : t(config.lang, 'bot.unknownFile')));
+    return item.url
+      ? `${index + 1}. ${name}\n<code>${escapeTelegramHtml(item.url)}</code>`
+      : `${index + 1}. ❌ ${name}：${escapeTelegramHtml(item.error)}`;
+  });
+  const header = succeeded.length === items.length
+    ? t(config.lang, 'bot.album.success', { count: items.length })
+    : t(config.lang, 'bot.album.partial', { succeeded: succeeded.length, failed: items.length - succeeded.length });
+  const text = `${header}\n\n${lines.join('\n\n')}`;
+  const keyboard = succeeded.length
+    ? { inline_keyboard: [[{ text: t(config.lang, 'bot.album.copyMarkdown'), callback_data: `mgmd|${group.media_group_id}` }]] }
+    : undefined;
+  let sent = false;
+  if (group.progress_message_id) {
+    sent = (await editBotMessage(config, group.chat_id, group.progress_message_id, text, keyboard)).ok;
+  }
+  if (!sent) {
+    await callTelegramApi(config, 'sendMessage', {
+      chat_id: group.chat_id,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_markup: keyboard
+    });
+  }
+  // Items that straggle in after this point get a summary of their own instead of overwriting this one
+  await config.database.prepare('UPDATE telegram_media_groups SET progress_message_id = NULL WHERE media_group_id = ?')
+    .bind(group.media_group_id).run();
+}
+async function sendMediaGroupMarkdown(config, chatId, mediaGroupId) {
+  const items = await config.database.prepare(`
+    SELECT url, file_name, mime_type FROM telegram_media_group_items
+    WHERE media_group_id = ? AND chat_id = ? AND url IS NOT NULL
+    ORDER BY message_id
+  `).bind(mediaGroupId, chatId).all();
+  if (!items.results || items.results.length === 0) {
+    await sendMessage(chatId, t(config.lang, 'bot.album.expired'), config.tgBotToken);
+
+    return;
+  }
+  const markdown = items.results.map(item => formatFileLink(item, 'markdown')).join('\n');
+  await sendMessage(chatId, `<pre>${escapeTelegramHtml(markdown)}</pre>`, config.tgBotToken);
+}
+async function handleTelegramWebhook(request, config, ctx) {
+  const secretToken = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+  if (!timingSafeEqual(secretToken, await getWebhookSecret(config))) {
+    console.log('[Webhook] Rejected request with missing or invalid secret token.');
+    return new Response('Unauthorized', { status: 401 });
+  }
+  let update;
+  try {
+    update = await request.json();
+    if (!(await claimTelegramUpdate(config, update.update_id))) {
+      console.log(`[Webhook] Skipping duplicate update ${update.update_id}.`);
+      return new Response('OK');
+    }
+  } catch (error) {
+    console.error('Error accepting webhook:', error);
+    return new Response('Error processing webhook', { status: 500 });
+  }
+  // Acknowledge right away so slow uploads never hit Telegram's webhook timeout.
+  // The update row tracks the work, so a stalled upload is still reported later.
+  config.telegramUpdateId = update.update_id;
+  const work = processTelegramUpdate(update, config).then(
+    () => finishTelegramUpdate(config, update.update_id, 'done'),
+    () => finishTelegramUpdate(config, update.update_id, 'failed')
+  );
+  if (ctx) {
+    ctx.waitUntil(work);
+  } else {
+    await work;
+  }
+  return new Response('OK');
+}
+async function processTelegramUpdate(update, config) {
   try {
-    const update = await request.json();
+    if (update.inline_query) {
+      await handleInlineQuery(update.inline_query, config);
+      return;
+    }
     let chatId;
     let userId;
     let message;
@@ -593,7 +2266,7 @@ async function handleTelegramWebhook(request, config) {
       console.log(`[Webhook] Received callback_query from chat ID: ${chatId}, User ID: ${userId}`);
     } else {
       console.log('[Webhook] Received update without message or callback_query:', JSON.stringify(update));
-      return new Response('OK');
+      return;
     }
 
     // --- FIX #2: BOT GIVES NO RESPONSE TO UNAUTHORIZED USERS ---
@@ -601,10 +2274,12 @@ async function handleTelegramWebhook(request, config) {
     if (config.tgChatId && config.tgChatId.length > 0 && !config.tgChatId.includes(userId)) {
       console.log(`[Auth Check] FAILED: User ID ${userId} (from Chat ID: ${chatId}) is not in the allowed list [${config.tgChatId.join(', ')}]. Ignoring update.`);
       // Return immediately without sending any message.
-      return new Response('OK');
+      return;
     }
     
     console.log(`[Auth Check] PASSED: User ID ${userId} (from Chat ID: ${chatId}) is allowed.`);
+    const fromUser = update.message ? update.message.from : update.callback_query.from;
+    config.auditActor = { actorType: 'telegram', actor: fromUser.username ? `${userId} (@${fromUser.username})` : userId };
     
     // The logic to initialize user settings for the chat
     let userSetting = await config.database.prepare('SELECT * FROM user_settings WHERE chat_id = ?').bind(chatId).first();
@@ -624,11 +2299,14 @@ async function handleTelegramWebhook(request, config) {
       } else {
           defaultCategoryId = defaultCategory.id;
       }
-      // Default storage type for new chats is R2, as in the original code
-      await config.database.prepare('INSERT INTO user_settings (chat_id, storage_type, current_category_id) VALUES (?, ?, ?)')
+      // Default storage type for new chats is R2, as in the original code.
+      // Album items from a new chat arrive concurrently, so another update may have created the row first.
+      await config.database.prepare('INSERT OR IGNORE INTO user_settings (chat_id, storage_type, current_category_id) VALUES (?, ?, ?)')
          .bind(chatId, 'r2', defaultCategoryId).run();
       userSetting = { chat_id: chatId, storage_type: 'r2', current_category_id: defaultCategoryId };
     }
+    // A language picked in the panel overrides the one reported by the Telegram client
+    config.lang = normalizeLanguage(userSetting.language) || normalizeLanguage(fromUser.language_code) || DEFAULT_LANGUAGE;
     
     if (update.message) {
         const messageText = (update.message.text || '').trim();
@@ -644,155 +2322,205 @@ async function handleTelegramWebhook(request, config) {
                 case 'start':
                     await sendPanel(chatId, userSetting, config);
                     await deleteMessage(chatId, update.message.message_id, config.tgBotToken);
-                    return new Response('OK');
+                    return;
 
                 case 'get':
                     if (!replyToMessage) {
-                        await sendMessage(chatId, "⚠️ 使用 /get 命令时，请回复一个文件。", config.tgBotToken);
-                        return new Response('OK');
+                        await sendMessage(chatId, t(config.lang, 'bot.get.usage'), config.tgBotToken);
+                        return;
                     }
                     const fileForGet = await config.database.prepare(
-                        'SELECT url FROM files WHERE message_id = ?'
+                        'SELECT url FROM files WHERE message_id = ? AND deleted_at IS NULL'
                     ).bind(replyToMessage.message_id).first();
 
                     if (fileForGet) {
-                        await sendMessage(chatId, `✅ 获取成功！\n下载直链： ${fileForGet.url}`, config.tgBotToken, update.message.message_id);
+                        await sendMessage(chatId, t(config.lang, 'bot.get.success', { url: fileForGet.url }), config.tgBotToken, update.message.message_id);
                     } else {
-                        await sendMessage(chatId, "⚠️ 未在数据库中找到此文件的记录。", config.tgBotToken, update.message.message_id);
+                        await sendMessage(chatId, t(config.lang, 'bot.fileNotFound'), config.tgBotToken, update.message.message_id);
                     }
                      await deleteMessage(chatId, update.message.message_id, config.tgBotToken);
-                    return new Response('OK');
+                    return;
 
                 // --- FIX #1: REWRITE /del COMMAND LOGIC ---
                 case 'del':
                     if (!replyToMessage) {
-                        await sendMessage(chatId, "⚠️ 使用 /del 命令时，请回复一个文件消息。", config.tgBotToken);
-                        return new Response('OK');
-                    }
-
-                    // Try to find the file by parsing the URL from the replied message's text first.
-                    // This is more robust as users often reply to the bot's success message.
-                    let fileToDelete = null;
-                    if (replyToMessage.text) {
-                        const urlRegex = /(https?:\/\/[^\s]+)/;
-                        const urlMatch = replyToMessage.text.match(urlRegex);
-                        if (urlMatch && urlMatch[0]) {
-                            fileToDelete = await config.database.prepare('SELECT * FROM files WHERE url = ?').bind(urlMatch[0]).first();
-                        }
+                        await sendMessage(chatId, t(config.lang, 'bot.del.usage'), config.tgBotToken);
+                        return;
                     }
 
-                    // If not found, try the old way (by message_id, for replying to the original file message).
-                    if (!fileToDelete) {
-                       fileToDelete = await config.database.prepare('SELECT * FROM files WHERE message_id = ?').bind(replyToMessage.message_id).first();
-                    }
+                    const fileToDelete = await findRepliedFile(config, replyToMessage);
 
                     if (!fileToDelete) {
-                        await sendMessage(chatId, "⚠️ 未在数据库中找到此文件的记录，无法删除。请回复机器人发送的【文件上传成功】消息。", config.tgBotToken, update.message.message_id);
+                        await sendMessage(chatId, t(config.lang, 'bot.del.notFound'), config.tgBotToken, update.message.message_id);
                         await deleteMessage(chatId, update.message.message_id, config.tgBotToken);
-                        return new Response('OK');
+                        return;
                     }
                     
                     try {
-                        // Inlined deletion logic starts here
-                        console.log('准备通过 /del 删除文件:', { fileId: fileToDelete.fileId, url: fileToDelete.url, storageType: fileToDelete.storage_type });
-
-                        if (fileToDelete.storage_type === 'r2' && config.bucket && fileToDelete.fileId) {
-                            await config.bucket.delete(fileToDelete.fileId);
-                            console.log('已从R2存储中删除文件:', fileToDelete.fileId);
-                        } else if (fileToDelete.storage_type === 'telegram' && fileToDelete.message_id && fileToDelete.message_id > 0) {
-                             const deleteTgMsgResponse = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/deleteMessage?chat_id=${config.tgStorageChatId}&message_id=${fileToDelete.message_id}`);
-                             const deleteTgMsgResult = await deleteTgMsgResponse.json();
-                             if (deleteTgMsgResult.ok) {
-                                 console.log(`已从Telegram删除消息: ${fileToDelete.message_id}`);
-                             } else {
-                                 console.warn(`从Telegram删除消息失败 (可能已被删除): ${deleteTgMsgResult.description}`);
-                             }
-                        }
-
-                        await config.database.prepare('DELETE FROM files WHERE id = ?').bind(fileToDelete.id).run();
-                        console.log('已从数据库中删除文件记录');
-
-                        const cacheKey = `file:${getFileName(fileToDelete.url)}`;
-                        if (config.fileCache && config.fileCache.has(cacheKey)) {
-                            config.fileCache.delete(cacheKey);
-                            console.log(`已清除文件缓存: ${cacheKey}`);
-                        }
-                        // Inlined deletion logic ends here
+                        await trashFile(config, fileToDelete);
                         
-                        await sendMessage(chatId, `✅ 文件 "${fileToDelete.file_name || getFileName(fileToDelete.url)}" 已成功删除。`, config.tgBotToken);
+                        await sendMessage(chatId, t(config.lang, 'bot.del.done', {
+                            name: fileToDelete.file_name || getFileName(fileToDelete.url),
+                            days: config.trashRetentionDays
+                        }), config.tgBotToken);
                     
                     } catch (e) {
                         console.error(`[/del command] 删除文件时出错:`, e);
-                        await sendMessage(chatId, `❌ 删除文件时出错: ${e.message}`, config.tgBotToken);
+                        await sendMessage(chatId, t(config.lang, 'bot.del.failed', { error: e.message }), config.tgBotToken);
                     }
                     // Delete the user's /del command message
                     await deleteMessage(chatId, update.message.message_id, config.tgBotToken);
-                    return new Response('OK');
+                    return;
 
                 case 'name':
                      if (!replyToMessage) {
-                        await sendMessage(chatId, "⚠️ 使用 /name 命令时，请回复一个文件。", config.tgBotToken);
-                        return new Response('OK');
+                        await sendMessage(chatId, t(config.lang, 'bot.name.usage'), config.tgBotToken);
+                        return;
                     }
                     const fileToRename = await config.database.prepare(
-                        'SELECT * FROM files WHERE message_id = ?'
+                        'SELECT * FROM files WHERE message_id = ? AND deleted_at IS NULL'
                     ).bind(replyToMessage.message_id).first();
 
                     if (!fileToRename) {
-                        await sendMessage(chatId, "⚠️ 未在数据库中找到此文件的记录，无法重命名。", config.tgBotToken, update.message.message_id);
-                        return new Response('OK');
+                        await sendMessage(chatId, t(config.lang, 'bot.name.notFound'), config.tgBotToken, update.message.message_id);
+                        return;
                     }
                     
                     await config.database.prepare('UPDATE user_settings SET waiting_for = ?, editing_file_id = ? WHERE chat_id = ?')
                       .bind('rename_from_command', fileToRename.id, chatId).run();
                     
-                    await sendMessage(chatId, `📝 请回复此消息，输入文件的新名称（不含扩展名）`, config.tgBotToken, update.message.message_id);
+                    await sendMessage(chatId, t(config.lang, 'bot.name.prompt'), config.tgBotToken, update.message.message_id);
                     await deleteMessage(chatId, update.message.message_id, config.tgBotToken);
-                    return new Response('OK');
+                    return;
 
-            }
-        }
-      if (userSetting.waiting_for === 'rename_from_command' && messageText && userSetting.editing_file_id) {
-            const newSuffix = messageText;
-            const fileId = userSetting.editing_file_id;
-            try {
-                const file = await config.database.prepare('SELECT * FROM files WHERE id = ?').bind(fileId).first();
-                if (!file) {
-                    await sendMessage(chatId, "⚠️ 文件不存在或已被删除", config.tgBotToken);
-                } else {
-                    const response = await handleUpdateSuffixRequest({
-                        json: async () => ({ url: file.url, suffix: newSuffix })
-                    }, config);
-                    const result = await response.json();
-                    if (result.status === 1) {
-                         await sendMessage(chatId, `✅ 重命名成功！\n\n新链接：${result.newUrl}`, config.tgBotToken);
-                    } else {
-                        await sendMessage(chatId, `❌ 重命名失败: ${result.msg}`, config.tgBotToken);
+                case 'private':
+                    if (!replyToMessage) {
+                        await sendMessage(chatId, t(config.lang, 'bot.private.usage'), config.tgBotToken);
+                        return;
                     }
-                }
-            } catch(error) {
-                console.error('重命名失败:', error);
-                await sendMessage(chatId, `❌ 重命名失败: ${error.message}`, config.tgBotToken);
-            }
-            await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?').bind(chatId).run();
-            return new Response('OK');
-      }
-      else if (userSetting.waiting_for === 'new_category' && update.message.text) {
-        const categoryName = update.message.text.trim();
-        try {
-          const existingCategory = await config.database.prepare('SELECT id FROM categories WHERE name = ?').bind(categoryName).first();
+                    const fileToToggle = await findRepliedFile(config, replyToMessage);
+                    if (!fileToToggle) {
+                        await sendMessage(chatId, t(config.lang, 'bot.replyNotFound'), config.tgBotToken, update.message.message_id);
+                        return;
+                    }
+                    if (!fileToToggle.is_private && !config.shareSecret) {
+                        await sendMessage(chatId, t(config.lang, 'bot.noShareSecret'), config.tgBotToken, update.message.message_id);
+                        return;
+                    }
+                    await config.database.prepare('UPDATE files SET is_private = ? WHERE id = ?')
+                      .bind(fileToToggle.is_private ? 0 : 1, fileToToggle.id).run();
+                    await recordAudit(config, {
+                      action: 'file.private',
+                      target: fileToToggle.url,
+                      oldValue: fileToToggle.is_private ? '私有' : '公开',
+                      newValue: fileToToggle.is_private ? '公开' : '私有'
+                    });
+                    await sendMessage(chatId, t(config.lang, fileToToggle.is_private ? 'bot.private.public' : 'bot.private.private', {
+                      name: fileToToggle.file_name || getFileName(fileToToggle.url)
+                    }), config.tgBotToken, update.message.message_id);
+                    await deleteMessage(chatId, update.message.message_id, config.tgBotToken);
+                    return;
+
+                case 'expire':
+                    if (!replyToMessage || !args) {
+                        await sendMessage(chatId, t(config.lang, 'bot.expire.usage'), config.tgBotToken);
+                        return;
+                    }
+                    const clearExpiry = ['never', 'off', '永久', '取消'].includes(args.toLowerCase());
+                    const expireSeconds = clearExpiry ? null : parseDuration(args);
+                    if (!clearExpiry && !expireSeconds) {
+                        await sendMessage(chatId, t(config.lang, 'bot.invalidDuration'), config.tgBotToken, update.message.message_id);
+                        return;
+                    }
+                    const fileToExpire = await findRepliedFile(config, replyToMessage);
+                    if (!fileToExpire) {
+                        await sendMessage(chatId, t(config.lang, 'bot.replyNotFound'), config.tgBotToken, update.message.message_id);
+                        return;
+                    }
+                    const newExpiresAt = clearExpiry ? null : Date.now() + expireSeconds * 1000;
+                    await config.database.prepare('UPDATE files SET expires_at = ? WHERE id = ?')
+                      .bind(newExpiresAt, fileToExpire.id).run();
+                    await recordAudit(config, {
+                      action: 'file.expiry',
+                      target: fileToExpire.url,
+                      oldValue: describeExpiry(fileToExpire.expires_at),
+                      newValue: describeExpiry(newExpiresAt)
+                    });
+                    await sendMessage(chatId, t(config.lang, newExpiresAt ? 'bot.expire.set' : 'bot.expire.never', {
+                      name: fileToExpire.file_name || getFileName(fileToExpire.url),
+                      date: newExpiresAt ? formatDate(newExpiresAt) : null
+                    }), config.tgBotToken, update.message.message_id);
+                    await deleteMessage(chatId, update.message.message_id, config.tgBotToken);
+                    return;
+
+                case 'share':
+                    if (!replyToMessage) {
+                        await sendMessage(chatId, t(config.lang, 'bot.share.usage'), config.tgBotToken);
+                        return;
+                    }
+                    const shareTtl = args ? clampShareTtl(config, parseDuration(args)) : 86400;
+                    if (!shareTtl) {
+                        await sendMessage(chatId, t(config.lang, 'bot.invalidDuration'), config.tgBotToken, update.message.message_id);
+                        return;
+                    }
+                    const fileToShare = await findRepliedFile(config, replyToMessage);
+                    if (!fileToShare) {
+                        await sendMessage(chatId, t(config.lang, 'bot.replyNotFound'), config.tgBotToken, update.message.message_id);
+                        return;
+                    }
+                    if (!fileToShare.is_private) {
+                        await sendMessage(chatId, t(config.lang, 'bot.share.public', { url: fileToShare.url }), config.tgBotToken, update.message.message_id);
+                        return;
+                    }
+                    try {
+                        const signedUrl = await createSignedUrl(config, fileToShare.url, shareTtl);
+                        await sendMessage(chatId, t(config.lang, 'bot.share.created', {
+                            date: formatDate(Date.now() + shareTtl * 1000),
+                            url: signedUrl
+                        }), config.tgBotToken, update.message.message_id);
+                    } catch (e) {
+                        console.error(`[/share command] 生成分享链接失败:`, e);
+                        await sendMessage(chatId, t(config.lang, 'bot.share.failed', { error: e.message }), config.tgBotToken, update.message.message_id);
+                    }
+                    return;
+
+            }
+        }
+      if (userSetting.waiting_for === 'rename_from_command' && messageText && userSetting.editing_file_id) {
+            const newSuffix = messageText;
+            const fileId = userSetting.editing_file_id;
+            try {
+                const file = await config.database.prepare('SELECT * FROM files WHERE id = ? AND deleted_at IS NULL').bind(fileId).first();
+                if (!file) {
+                    await sendMessage(chatId, t(config.lang, 'bot.fileGone'), config.tgBotToken);
+                } else {
+                    const result = await renameStoredFile(config, file, newSuffix);
+                    await sendMessage(chatId, t(config.lang, 'bot.rename.success', { url: result.newUrl }), config.tgBotToken);
+                }
+            } catch(error) {
+                console.error('重命名失败:', error);
+                await sendMessage(chatId, t(config.lang, 'bot.rename.failed', { error: error.message }), config.tgBotToken);
+            }
+            await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?').bind(chatId).run();
+            return;
+      }
+      else if (userSetting.waiting_for === 'new_category' && update.message.text) {
+        const categoryName = update.message.text.trim();
+        try {
+          const existingCategory = await config.database.prepare('SELECT id FROM categories WHERE name = ?').bind(categoryName).first();
           if (existingCategory) {
-            await sendMessage(chatId, `⚠️ 分类"${categoryName}"已存在`, config.tgBotToken);
+            await sendMessage(chatId, t(config.lang, 'bot.category.exists', { name: categoryName }), config.tgBotToken);
           } else {
             const time = Date.now();
             await config.database.prepare('INSERT INTO categories (name, created_at) VALUES (?, ?)').bind(categoryName, time).run();
+            await recordAudit(config, { action: 'category.create', target: categoryName });
             const newCategory = await config.database.prepare('SELECT id FROM categories WHERE name = ?').bind(categoryName).first();
             await config.database.prepare('UPDATE user_settings SET current_category_id = ?, waiting_for = NULL WHERE chat_id = ?').bind(newCategory.id, chatId).run();
-            await sendMessage(chatId, `✅ 分类"${categoryName}"创建成功并已设为当前分类`, config.tgBotToken);
+            await sendMessage(chatId, t(config.lang, 'bot.category.created', { name: categoryName }), config.tgBotToken);
           }
         } catch (error) {
           console.error('创建分类失败:', error);
-          await sendMessage(chatId, `❌ 创建分类失败: ${error.message}`, config.tgBotToken);
+          await sendMessage(chatId, t(config.lang, 'bot.category.failed', { error: error.message }), config.tgBotToken);
         }
         await config.database.prepare('UPDATE user_settings SET waiting_for = NULL WHERE chat_id = ?').bind(chatId).run();
         userSetting.waiting_for = null;
@@ -803,144 +2531,66 @@ async function handleTelegramWebhook(request, config) {
           }
         }
         await sendPanel(chatId, userSetting, config);
-        return new Response('OK');
+        return;
       }
       else if (userSetting.waiting_for === 'new_suffix' && update.message.text && userSetting.editing_file_id) {
         const newSuffix = update.message.text.trim();
         const fileId = userSetting.editing_file_id;
         try {
-          const file = await config.database.prepare('SELECT * FROM files WHERE id = ?').bind(fileId).first();
+          const file = await config.database.prepare('SELECT * FROM files WHERE id = ? AND chat_id = ? AND deleted_at IS NULL').bind(fileId, chatId).first();
           if (!file) {
-            await sendMessage(chatId, "⚠️ 文件不存在或已被删除", config.tgBotToken);
+            await sendMessage(chatId, t(config.lang, 'bot.fileGone'), config.tgBotToken);
           } else {
-            const originalFileName = getFileName(file.url);
-            const fileExt = originalFileName.split('.').pop();
-            const newFileName = `${newSuffix}.${fileExt}`;
-            const fileUrl = `https://${config.domain}/${newFileName}`;
-            let success = false;
-            if (file.storage_type === 'telegram') {
-              await config.database.prepare('UPDATE files SET url = ? WHERE id = ?')
-                .bind(fileUrl, file.id).run();
-              success = true;
-            }
-            else if (file.storage_type === 'r2' && config.bucket) {
-              try {
-                const fileId = file.fileId || originalFileName;
-                const r2File = await config.bucket.get(fileId);
-                if (r2File) {
-                  const fileData = await r2File.arrayBuffer();
-                  await storeFile(fileData, newFileName, r2File.httpMetadata.contentType, config);
-                  await deleteFile(fileId, config);
-                  await config.database.prepare('UPDATE files SET fileId = ?, url = ? WHERE id = ?')
-                    .bind(newFileName, fileUrl, file.id).run();
-                  success = true;
-                } else {
-                  await config.database.prepare('UPDATE files SET url = ? WHERE id = ?')
-                    .bind(fileUrl, file.id).run();
-                  success = true;
-                }
-              } catch (error) {
-                console.error('处理R2文件重命名失败:', error);
-                await config.database.prepare('UPDATE files SET url = ? WHERE id = ?')
-                  .bind(fileUrl, file.id).run();
-                success = true;
-              }
-            }
-            else {
-              await config.database.prepare('UPDATE files SET url = ? WHERE id = ?')
-                .bind(fileUrl, file.id).run();
-              success = true;
-            }
-            if (success) {
-              await sendMessage(chatId, `✅ 重命名成功！\n\n新链接：${fileUrl}`, config.tgBotToken);
-            } else {
-              await sendMessage(chatId, "❌ 重命名失败，请稍后重试", config.tgBotToken);
-            }
+            const result = await renameStoredFile(config, file, newSuffix);
+            await sendMessage(chatId, t(config.lang, 'bot.rename.success', { url: result.newUrl }), config.tgBotToken);
           }
         } catch (error) {
           console.error('重命名失败:', error);
-          await sendMessage(chatId, `❌ 重命名失败: ${error.message}`, config.tgBotToken);
+          await sendMessage(chatId, t(config.lang, 'bot.rename.failed', { error: error.message }), config.tgBotToken);
         }
         await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?').bind(chatId).run();
         userSetting.waiting_for = null;
         userSetting.editing_file_id = null;
         await sendPanel(chatId, userSetting, config);
-        return new Response('OK');
+        return;
+      }
+      else if (userSetting.waiting_for === 'link_template' && update.message.text) {
+        const template = update.message.text.trim();
+        if (!template.includes('{url}') || template.length > LINK_TEMPLATE_MAX_LENGTH) {
+          await sendMessage(chatId, t(config.lang, 'bot.template.invalid', { max: LINK_TEMPLATE_MAX_LENGTH }), config.tgBotToken);
+          return;
+        }
+        await config.database.prepare("UPDATE user_settings SET link_template = ?, link_format = 'template', waiting_for = NULL WHERE chat_id = ?")
+          .bind(template, chatId).run();
+        userSetting.link_template = template;
+        userSetting.link_format = 'template';
+        userSetting.waiting_for = null;
+        await sendMessage(chatId, t(config.lang, 'bot.template.saved', { template: escapeTelegramHtml(template) }), config.tgBotToken);
+        await sendPanel(chatId, userSetting, config);
+        return;
       }
-      else if (userSetting.waiting_for === 'delete_file_input' && update.message.text) {
+      else if (userSetting.waiting_for === 'file_remark' && update.message.text && userSetting.editing_file_id) {
+        const input = update.message.text.trim();
+        const remark = input === '-' ? '' : input;
         try {
-          await config.database.prepare('UPDATE user_settings SET waiting_for = NULL WHERE chat_id = ?')
-            .bind(chatId).run();
-          userSetting.waiting_for = null;
-          const userInput = update.message.text.trim();
-          let fileToDelete = null;
-          if (userInput.startsWith('http://') || userInput.startsWith('https://')) {
-            fileToDelete = await config.database.prepare(
-              'SELECT id, fileId, message_id, storage_type, url, file_name FROM files WHERE url = ? AND chat_id = ?'
-            ).bind(userInput, chatId).first();
-          } else {
-            let fileName = userInput;
-            if (!fileName.includes('.')) {
-              await sendMessage(chatId, "⚠️ 请输入完整的文件名称（包含扩展名）或完整URL", config.tgBotToken);
-              await sendPanel(chatId, userSetting, config);
-              return new Response('OK');
-            }
-            fileToDelete = await config.database.prepare(
-              'SELECT id, fileId, message_id, storage_type, url, file_name FROM files WHERE (file_name = ? OR url LIKE ?) AND chat_id = ? ORDER BY created_at DESC LIMIT 1'
-            ).bind(fileName, `%/${fileName}`, chatId).first();
-          }
-          if (!fileToDelete) {
-            await sendMessage(chatId, "⚠️ 未找到匹配的文件，请输入完整的文件名称或URL", config.tgBotToken);
-            await sendPanel(chatId, userSetting, config);
-            return new Response('OK');
-          }
-          const fileName = fileToDelete.file_name || getFileName(fileToDelete.url);
-          console.log(`[TG Delete] 找到匹配文件: ID=${fileToDelete.id}, 名称=${fileName}, URL=${fileToDelete.url}`);
-          console.log(`[TG Delete] 开始删除: ID=${fileToDelete.id}, 类型=${fileToDelete.storage_type}, TGMsgID=${fileToDelete.message_id}, R2ID=${fileToDelete.fileId}`);
-          let storageDeleteSuccess = false;
-          if (fileToDelete.storage_type === 'r2' && config.bucket && fileToDelete.fileId) {
-            try {
-              await config.bucket.delete(fileToDelete.fileId);
-              console.log(`[TG Delete] R2文件已删除: ${fileToDelete.fileId}`);
-              storageDeleteSuccess = true;
-            } catch (r2Error) {
-              console.error(`[TG Delete] 从R2删除失败: ${r2Error.message}`);
-            }
-          } else if (fileToDelete.storage_type === 'telegram' && fileToDelete.message_id && fileToDelete.message_id !== -1 && fileToDelete.message_id !== 0) {
-            try {
-              const deleteTgMsgResponse = await fetch(
-                `https://api.telegram.org/bot${config.tgBotToken}/deleteMessage?chat_id=${config.tgStorageChatId}&message_id=${fileToDelete.message_id}`
-              );
-              const deleteTgMsgResult = await deleteTgMsgResponse.json();
-              if (deleteTgMsgResponse.ok && deleteTgMsgResult.ok) {
-                console.log(`[TG Delete] Telegram消息已删除: ${fileToDelete.message_id}`);
-                storageDeleteSuccess = true;
-              } else {
-                console.warn(`[TG Delete] 删除Telegram消息失败 ${fileToDelete.message_id}: ${JSON.stringify(deleteTgMsgResult)}`);
-              }
-            } catch (tgError) {
-              console.error(`[TG Delete] 删除Telegram消息错误: ${tgError.message}`);
-            }
+          const file = await config.database.prepare('SELECT id, url, remark FROM files WHERE id = ? AND chat_id = ? AND deleted_at IS NULL')
+            .bind(userSetting.editing_file_id, chatId).first();
+          if (!file) {
+            await sendMessage(chatId, t(config.lang, 'bot.fileGone'), config.tgBotToken);
           } else {
-            console.log(`[TG Delete] ID ${fileToDelete.id} 没有关联的存储文件/消息需要删除 (类型: ${fileToDelete.storage_type}, TGMsgID: ${fileToDelete.message_id}, R2ID: ${fileToDelete.fileId})`);
-            storageDeleteSuccess = true;
+            await config.database.prepare('UPDATE files SET remark = ? WHERE id = ?').bind(remark, file.id).run();
+            await recordAudit(config, { action: 'file.remark', target: file.url, oldValue: file.remark, newValue: remark });
+            await sendMessage(chatId, remark ? t(config.lang, 'bot.remark.updated', { remark: escapeTelegramHtml(remark) }) : t(config.lang, 'bot.remark.cleared'), config.tgBotToken);
           }
-          await config.database.prepare('DELETE FROM files WHERE id = ?').bind(fileToDelete.id).run();
-          console.log(`[TG Delete] 数据库记录已删除: ID=${fileToDelete.id}`);
-          const cacheKey = `file:${fileName}`;
-          if (config.fileCache && config.fileCache.has(cacheKey)) {
-            config.fileCache.delete(cacheKey);
-            console.log(`[TG Delete] 文件缓存已清除: ${cacheKey}`);
-          }
-          await sendMessage(chatId, `✅ 文件已成功删除: ${fileName}`, config.tgBotToken);
-          await sendPanel(chatId, userSetting, config);
-          return new Response('OK');
         } catch (error) {
-          console.error(`[TG Delete] 删除过程中出错:`, error);
-          await sendMessage(chatId, `❌ 删除文件时出错: ${error.message}`, config.tgBotToken);
-          await sendPanel(chatId, userSetting, config);
-          return new Response('OK');
+          console.error('修改备注失败:', error);
+          await sendMessage(chatId, t(config.lang, 'bot.remark.failed', { error: error.message }), config.tgBotToken);
         }
+        await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?').bind(chatId).run();
+        userSetting.waiting_for = null;
+        userSetting.editing_file_id = null;
+        await sendPanel(chatId, userSetting, config);
+        return;
       }
       else if (update.message.photo || update.message.document || update.message.video || update.message.audio || update.message.voice || update.message.video_note) {
         console.log('收到文件上传:', JSON.stringify({
@@ -973,9 +2623,9 @@ async function handleTelegramWebhook(request, config) {
           isDocument = false;
         }
         if (file) {
-          await handleMediaUpload(chatId, file, isDocument, config, userSetting, update.message.message_id);
+          await handleMediaUpload(chatId, file, isDocument, config, userSetting, update.message.message_id, update.message.caption, update.message.media_group_id);
         } else {
-          await sendMessage(chatId, "❌ 无法识别的文件类型", config.tgBotToken);
+          await sendMessage(chatId, t(config.lang, 'bot.unknownFileType'), config.tgBotToken);
         }
       }
       else {
@@ -989,141 +2639,28 @@ async function handleTelegramWebhook(request, config) {
         }
         if (fileField) {
           console.log(`找到未明确处理的文件类型: ${fileField}`, JSON.stringify(message[fileField]));
-          await handleMediaUpload(chatId, message[fileField], true, config, userSetting, update.message.message_id);
-        } else if (userSetting.waiting_for === 'edit_suffix_input_file' && message.text) {
-          try {
-            const userInput = message.text.trim();
-            let fileToEdit = null;
-            if (userInput.startsWith('http://') || userInput.startsWith('https://')) {
-              fileToEdit = await config.database.prepare(
-                'SELECT id, url, file_name FROM files WHERE url = ? AND chat_id = ?'
-              ).bind(userInput, chatId).first();
-            } else {
-              let fileName = userInput;
-              if (!fileName.includes('.')) {
-                await sendMessage(chatId, "⚠️ 请输入完整的文件名称（包含扩展名）或完整URL", config.tgBotToken);
-                await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?')
-                  .bind(chatId).run();
-                userSetting.waiting_for = null;
-                userSetting.editing_file_id = null;
-                await sendPanel(chatId, userSetting, config);
-                return new Response('OK');
-              }
-              fileToEdit = await config.database.prepare(
-                'SELECT id, url, file_name FROM files WHERE (file_name = ? OR url LIKE ?) AND chat_id = ? ORDER BY created_at DESC LIMIT 1'
-              ).bind(fileName, `%/${fileName}`, chatId).first();
-            }
-            if (!fileToEdit) {
-              await sendMessage(chatId, "⚠️ 未找到匹配的文件，请输入完整的文件名称或URL", config.tgBotToken);
-              await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?')
-                .bind(chatId).run();
-              userSetting.waiting_for = null;
-              userSetting.editing_file_id = null;
-              await sendPanel(chatId, userSetting, config);
-              return new Response('OK');
-            }
-            const fileName = fileToEdit.file_name || getFileName(fileToEdit.url);
-            const fileNameParts = fileName.split('.');
-            const extension = fileNameParts.pop();
-            const currentSuffix = fileNameParts.join('.');
-            await config.database.prepare('UPDATE user_settings SET waiting_for = ?, editing_file_id = ? WHERE chat_id = ?')
-              .bind('edit_suffix_input_new', fileToEdit.id, chatId).run();
-            userSetting.waiting_for = 'edit_suffix_input_new';
-            userSetting.editing_file_id = fileToEdit.id;
-            await sendMessage(
-              chatId,
-              `📝 找到文件: ${fileName}\n当前名称: ${currentSuffix}\n\n请回复此消息，输入文件的新名称（不含扩展名）`,
-              config.tgBotToken
-            );
-            return new Response('OK');
-          } catch (error) {
-            console.error('处理重命名文件选择失败:', error);
-            await sendMessage(chatId, `❌ 处理失败: ${error.message}`, config.tgBotToken);
-            await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?')
-              .bind(chatId).run();
-            userSetting.waiting_for = null;
-            userSetting.editing_file_id = null;
-            await sendPanel(chatId, userSetting, config);
-            return new Response('OK');
-          }
-        } else if (userSetting.waiting_for === 'edit_suffix_input_new' && message.text && userSetting.editing_file_id) {
-          const newSuffix = message.text.trim();
-          const fileId = userSetting.editing_file_id;
-          try {
-            const file = await config.database.prepare('SELECT * FROM files WHERE id = ?').bind(fileId).first();
-            if (!file) {
-              await sendMessage(chatId, "⚠️ 文件不存在或已被删除", config.tgBotToken);
-            } else {
-              const originalFileName = getFileName(file.url);
-              const fileExt = originalFileName.split('.').pop();
-              const newFileName = `${newSuffix}.${fileExt}`;
-              const fileUrl = `https://${config.domain}/${newFileName}`;
-              let success = false;
-              if (file.storage_type === 'telegram') {
-                await config.database.prepare('UPDATE files SET url = ?, file_name = ? WHERE id = ?')
-                  .bind(fileUrl, newFileName, file.id).run();
-                success = true;
-              }
-              else if (file.storage_type === 'r2' && config.bucket) {
-                try {
-                  const fileId = file.fileId || originalFileName;
-                  const r2File = await config.bucket.get(fileId);
-                  if (r2File) {
-                    const fileData = await r2File.arrayBuffer();
-                    await storeFile(fileData, newFileName, r2File.httpMetadata.contentType, config);
-                    await deleteFile(fileId, config);
-                    await config.database.prepare('UPDATE files SET fileId = ?, url = ?, file_name = ? WHERE id = ?')
-                      .bind(newFileName, fileUrl, newFileName, file.id).run();
-                    success = true;
-                  } else {
-                    await config.database.prepare('UPDATE files SET url = ?, file_name = ? WHERE id = ?')
-                      .bind(fileUrl, newFileName, file.id).run();
-                    success = true;
-                  }
-                } catch (error) {
-                  console.error('处理R2文件重命名失败:', error);
-                  await config.database.prepare('UPDATE files SET url = ?, file_name = ? WHERE id = ?')
-                    .bind(fileUrl, newFileName, file.id).run();
-                  success = true;
-                }
-              }
-              else {
-                await config.database.prepare('UPDATE files SET url = ?, file_name = ? WHERE id = ?')
-                  .bind(fileUrl, newFileName, file.id).run();
-                success = true;
-              }
-              if (success) {
-                await sendMessage(chatId, `✅ 重命名成功！\n\n新链接：${fileUrl}`, config.tgBotToken);
-              } else {
-                await sendMessage(chatId, "❌ 重命名失败，请稍后重试", config.tgBotToken);
-              }
-            }
-          } catch (error) {
-            console.error('重命名失败:', error);
-            await sendMessage(chatId, `❌ 重命名失败: ${error.message}`, config.tgBotToken);
-          }
-          await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?').bind(chatId).run();
-          userSetting.waiting_for = null;
-          userSetting.editing_file_id = null;
-          await sendPanel(chatId, userSetting, config);
-          return new Response('OK');
+          await handleMediaUpload(chatId, message[fileField], true, config, userSetting, update.message.message_id, message.caption, message.media_group_id);
         } else if (message.text && !match) { // If it's text but not a command we handled
-          await sendMessage(chatId, "请发送图片或文件进行上传，或使用 /start 查看主菜单", config.tgBotToken);
+          await sendMessage(chatId, t(config.lang, 'bot.sendFileHint'), config.tgBotToken);
         }
       }
     }
     else if (update.callback_query) {
       await handleCallbackQuery(update, config, userSetting);
     }
-    return new Response('OK');
   } catch (error) {
     console.error('Error handling webhook:', error);
-    return new Response('Error processing webhook', { status: 500 });
+    const chatId = getAllowedUpdateChatId(update, config);
+    if (chatId && !error.reported) {
+      await reportTelegramFailure(config, chatId, null, t(config.lang, 'bot.processFailed', { error: error.message }));
+
+    }
+    throw error;
   }
 }
 async function sendPanel(chatId, userSetting, config) {
   try {
-    const cacheKey = `menu:${chatId}:${userSetting.storage_type || 'default'}`;
+    const cacheKey = `menu:${chatId}:${userSetting.storage_type || 'default'}:${config.lang}`;
     if (config.menuCache && config.menuCache.has(cacheKey)) {
       const cachedData = config.menuCache.get(cacheKey);
       if (Date.now() - cachedData.timestamp < config.menuCacheTTL) {
@@ -1173,15 +2710,16 @@ async function sendPanel(chatId, userSetting, config) {
   }
 }
 async function generateMainMenu(chatId, userSetting, config) {
-  const storageText = userSetting.storage_type === 'r2' ? 'R2对象存储' : 'Telegram存储';
-  let categoryName = '未选择分类';
+  const lang = config.lang;
+  const storageText = t(lang, `bot.storage.${['r2', 's3'].includes(userSetting.storage_type) ? userSetting.storage_type : 'telegram'}`);
+  let categoryName = t(lang, 'bot.menu.noCategory');
   const categoryPromise = userSetting.current_category_id ?
       config.database.prepare('SELECT name FROM categories WHERE id = ?')
         .bind(userSetting.current_category_id).first()
       : Promise.resolve(null);
   const statsPromise = config.database.prepare(`
     SELECT COUNT(*) as total_files, SUM(file_size) as total_size
-    FROM files WHERE chat_id = ?
+    FROM files WHERE chat_id = ? AND deleted_at IS NULL
   `).bind(chatId).first();
   const notificationPromise = (async () => {
     const now = Date.now();
@@ -1205,39 +2743,338 @@ async function generateMainMenu(chatId, userSetting, config) {
   if (categoryResult) {
     categoryName = categoryResult.name;
   }
-  const defaultNotification =
-    "➡️ 现在您可以直接发送图片或文件，上传完成后会自动生成图床直链\n" +
-    "➡️ 所有上传的文件都可以在网页后台管理，支持删除、查看、分类等操作";
-  const messageBody = `☁️ <b>图床助手v1</b>
-  📂 当前存储：${storageText}
-  📁 当前分类：${categoryName}
-  📊 已上传：${stats && stats.total_files ? stats.total_files : 0} 个文件
-  💾 已用空间：${formatSize(stats && stats.total_size ? stats.total_size : 0)}
+  const defaultNotification = t(lang, 'bot.menu.notification');
+  const messageBody = `☁️ <b>${t(lang, 'bot.menu.title')}</b>
+  ${t(lang, 'bot.menu.storage', { storage: storageText })}
+  ${t(lang, 'bot.menu.category', { category: categoryName })}
+  ${t(lang, 'bot.menu.linkFormat', { format: escapeTelegramHtml(getLinkFormatName(userSetting, lang)) })}
+  ${t(lang, 'bot.menu.language', { language: SUPPORTED_LANGUAGES[lang] })}
+  ${t(lang, 'bot.menu.files', { count: stats && stats.total_files ? stats.total_files : 0 })}
+  ${t(lang, 'bot.menu.space', { size: formatSize(stats && stats.total_size ? stats.total_size : 0) })}
   ${notificationText || defaultNotification}
-  👇 请选择操作：`;
-  const keyboard = getKeyboardLayout(userSetting);
+  ${t(lang, 'bot.menu.prompt')}`;
+  const keyboard = getKeyboardLayout(userSetting, lang);
   return { messageBody, keyboard };
 }
-function getKeyboardLayout(userSetting) {
+const FILE_BROWSER_PAGE_SIZE = 8;
+const STORAGE_EMOJIS = { telegram: '✈️', r2: '☁️', s3: '🪣' };
+const STORAGE_FILTER_NAMES = { telegram: 'Telegram', r2: 'R2', s3: 'S3' };
+const LINK_FORMATS = {
+  url: { name: 'URL', format: (url) => url },
+  markdown: { name: 'Markdown', format: (url, name, isImage) => isImage ? `![${name}](${url})` : `[${name}](${url})` },
+  html: { name: 'HTML', format: (url, name, isImage) => isImage ? `<img src="${url}" alt="${name}">` : `<a href="${url}">${name}</a>` },
+  bbcode: { name: 'BBCode', format: (url, name, isImage) => isImage ? `[img]${url}[/img]` : `[url=${url}]${name}[/url]` }
+};
+function formatFileLink(file, format, url = file.url) {
+  const name = file.file_name || getFileName(file.url);
+  const isImage = (file.mime_type || '').startsWith('image/');
+  return (LINK_FORMATS[format] || LINK_FORMATS.url).format(url, name, isImage);
+}
+const LINK_TEMPLATE_MAX_LENGTH = 500;
+function getLinkFormatName(userSetting, lang) {
+  if (userSetting.link_format === 'template' && userSetting.link_template) {
+    return t(lang, 'bot.linkFormat.template');
+  }
+  return (LINK_FORMATS[userSetting.link_format] || LINK_FORMATS.url).name;
+}
+// Templates may use {url}, {name}, {size} and {remark}
+function formatUserLink(file, userSetting) {
+  if (userSetting.link_format === 'template' && userSetting.link_template) {
+    const fields = {
+      url: file.url,
+      name: file.file_name || getFileName(file.url),
+      size: formatSize(file.file_size || 0),
+      remark: file.remark || ''
+    };
+    return userSetting.link_template.replace(/\{(url|name|size|remark)\}/g, (match, field) => fields[field]);
+  }
+  return formatFileLink(file, userSetting.link_format);
+}
+async function renderLinkFormatMenu(config, chatId, messageId, userSetting) {
+  const current = userSetting.link_format === 'template' && userSetting.link_template ? 'template' : (LINK_FORMATS[userSetting.link_format] ? userSetting.link_format : 'url');
+  const sample = { url: `https://${config.domain}/example.png`, file_name: 'example.png', mime_type: 'image/png', file_size: 102400 };
+  const keyboard = Object.keys(LINK_FORMATS).map(format => [{
+    text: `${current === format ? '✅ ' : ''}${LINK_FORMATS[format].name}`,
+    callback_data: `set_link_format_${format}`
+  }]);
+  keyboard.push([{ text: `${current === 'template' ? '✅ ' : ''}${t(config.lang, 'bot.linkFormat.customButton')}`, callback_data: 'set_link_format_template' }]);
+  keyboard.push([{ text: t(config.lang, 'bot.back'), callback_data: 'back_to_panel' }]);
+  const text = t(config.lang, 'bot.linkFormat.menu', {
+    format: escapeTelegramHtml(getLinkFormatName(userSetting, config.lang)),
+    sample: escapeTelegramHtml(formatUserLink(sample, userSetting))
+  });
+  await editBotMessage(config, chatId, messageId, text, { inline_keyboard: keyboard });
+}
+function escapeTelegramHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+async function editBotMessage(config, chatId, messageId, text, keyboard) {
+  const result = await callTelegramApi(config, 'editMessageText', {
+    chat_id: chatId,
+    message_id: messageId,
+    text,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    reply_markup: keyboard
+  });
+  if (!result.ok && !(result.description || '').includes('message is not modified')) {
+    console.error(`编辑消息失败: ${result.description}`);
+  }
+  return result;
+}
+// Browser state travels in callback_data as "page.category.storage", where "a" means
+// no filter, to stay well inside Telegram's 64-byte limit.
+function parseBrowserState(state) {
+  const [page, category, storage] = (state || '').split('.');
+  return {
+    page: Math.max(parseInt(page, 10) || 0, 0),
+    category: parseInt(category, 10) || 'a',
+    storage: STORAGE_FILTER_NAMES[storage] ? storage : 'a'
+  };
+}
+function formatBrowserState({ page, category, storage }) {
+  return `${page}.${category}.${storage}`;
+}
+function getStorageFilterName(lang, storage) {
+  return storage === 'a' ? t(lang, 'bot.browser.all') : (STORAGE_FILTER_NAMES[storage] || storage);
+}
+async function getBrowserFile(config, chatId, fileId) {
+  return await config.database.prepare(`
+    SELECT f.*, c.name as category_name
+    FROM files f
+    LEFT JOIN categories c ON f.category_id = c.id
+    WHERE f.id = ? AND f.chat_id = ? AND f.deleted_at IS NULL
+  `).bind(fileId, chatId).first();
+}
+async function renderFileBrowser(config, chatId, messageId, state) {
+  const conditions = ['chat_id = ?', 'deleted_at IS NULL'];
+  const bindings = [chatId];
+  if (state.category !== 'a') {
+    conditions.push('category_id = ?');
+    bindings.push(state.category);
+  }
+  if (state.storage !== 'a') {
+    conditions.push('storage_type = ?');
+    bindings.push(state.storage);
+  }
+  const where = conditions.join(' AND ');
+  const total = await config.database.prepare(`SELECT COUNT(*) as count FROM files WHERE ${where}`).bind(...bindings).first();
+  const totalCount = total ? total.count : 0;
+  const totalPages = Math.max(Math.ceil(totalCount / FILE_BROWSER_PAGE_SIZE), 1);
+  const page = Math.min(state.page, totalPages - 1);
+  const files = await config.database.prepare(`
+    SELECT id, url, file_name, file_size, storage_type, is_private
+    FROM files WHERE ${where}
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(...bindings, FILE_BROWSER_PAGE_SIZE, page * FILE_BROWSER_PAGE_SIZE).all();
+  const current = formatBrowserState({ ...state, page });
+  const lang = config.lang;
+  const categoryName = state.category === 'a' ? t(lang, 'bot.browser.all') : ((await getCategoryName(config, state.category)) || t(lang, 'bot.browser.deletedCategory'));
+  const storageFilters = ['a', 'telegram', 'r2'].concat(isS3Configured(config) ? ['s3'] : []);
+  const nextStorage = storageFilters[(storageFilters.indexOf(state.storage) + 1) % storageFilters.length];
+  const keyboard = (files.results || []).map(file => [{
+    text: `${STORAGE_EMOJIS[file.storage_type] || '✈️'}${file.is_private ? '🔒' : ''} ${file.file_name || getFileName(file.url)} · ${formatSize(file.file_size || 0)}`,
+    callback_data: `fd|${file.id}|${current}`
+  }]);
+  const navigation = [];
+  if (page > 0) {
+    navigation.push({ text: t(lang, 'bot.browser.prev'), callback_data: `fb|${formatBrowserState({ ...state, page: page - 1 })}` });
+  }
+  if (page < totalPages - 1) {
+    navigation.push({ text: t(lang, 'bot.browser.next'), callback_data: `fb|${formatBrowserState({ ...state, page: page + 1 })}` });
+  }
+  if (navigation.length) {
+    keyboard.push(navigation);
+  }
+  keyboard.push([
+    { text: t(lang, 'bot.browser.categoryFilter', { name: categoryName }), callback_data: `fbcat|${current}` },
+    { text: t(lang, 'bot.browser.storageFilter', { name: getStorageFilterName(lang, state.storage) }), callback_data: `fb|${formatBrowserState({ ...state, page: 0, storage: nextStorage })}` }
+  ]);
+  keyboard.push([{ text: t(lang, 'bot.back'), callback_data: 'back_to_panel' }]);
+  const text = totalCount
+    ? t(lang, 'bot.browser.title', { page: page + 1, pages: totalPages, count: totalCount })
+    : t(lang, 'bot.browser.empty');
+  await editBotMessage(config, chatId, messageId, text, { inline_keyboard: keyboard });
+}
+async function renderCategoryFilter(config, chatId, messageId, state) {
+  const categories = await config.database.prepare('SELECT id, name FROM categories ORDER BY id').all();
+  const keyboard = [[{ text: t(config.lang, 'bot.browser.allCategories'), callback_data: `fb|${formatBrowserState({ ...state, page: 0, category: 'a' })}` }]]
+    .concat((categories.results || []).map(category => [{
+      text: `${state.category === category.id ? '✅ ' : ''}${category.name}`,
+      callback_data: `fb|${formatBrowserState({ ...state, page: 0, category: category.id })}`
+    }]));
+  keyboard.push([{ text: t(config.lang, 'bot.back'), callback_data: `fb|${formatBrowserState(state)}` }]);
+  await editBotMessage(config, chatId, messageId, t(config.lang, 'bot.browser.chooseCategory'), { inline_keyboard: keyboard });
+}
+const FILE_DETAIL_LINK_TTL = 86400;
+async function renderFileDetail(config, chatId, messageId, fileId, current) {
+  const lang = config.lang;
+  const file = await getBrowserFile(config, chatId, fileId);
+  if (!file) {
+    await editBotMessage(config, chatId, messageId, t(lang, 'bot.fileGone'), {
+      inline_keyboard: [[{ text: t(lang, 'bot.browser.backToList'), callback_data: `fb|${current}` }]]
+    });
+    return;
+  }
+  const fileName = file.file_name || getFileName(file.url);
+  // The plain URL of a private file is refused, so hand out a signed one like /share does
+  const signed = file.is_private && config.shareSecret;
+  const link = signed ? await createSignedUrl(config, file.url, FILE_DETAIL_LINK_TTL) : file.url;
+  const text = [
+    `📄 <b>${escapeTelegramHtml(fileName)}</b>`,
+    t(lang, 'bot.detail.size', { size: formatSize(file.file_size || 0) }),
+    t(lang, 'bot.detail.category', { name: escapeTelegramHtml(file.category_name || t(lang, 'bot.uncategorized')) }),
+    `${STORAGE_EMOJIS[file.storage_type] || '✈️'} ${t(lang, 'bot.detail.storage', { name: getStorageFilterName(lang, file.storage_type) })}`,
+    t(lang, 'bot.detail.uploaded', { date: formatDate(file.created_at) }),
+    t(lang, file.is_private ? 'bot.detail.private' : 'bot.detail.public'),
+    t(lang, 'bot.detail.expiry', { expiry: describeExpiry(file.expires_at, lang) }),
+    t(lang, 'bot.detail.remark', { remark: escapeTelegramHtml(file.remark || t(lang, 'common.none')) }),
+    '',
+    ...(signed ? [t(lang, 'bot.detail.signedUntil', { date: formatDate(Date.now() + FILE_DETAIL_LINK_TTL * 1000) })] : []),
+    `🔗 <code>${escapeTelegramHtml(link)}</code>`
+  ].join('\n');
+  const keyboard = [
+    Object.keys(LINK_FORMATS).map(format => ({
+      text: `📋 ${LINK_FORMATS[format].name}`,
+      copy_text: { text: formatFileLink(file, format, link) }
+    })),
+    [
+      { text: t(lang, 'bot.detail.rename'), callback_data: `fr|${file.id}|${current}` },
+      { text: t(lang, 'bot.detail.move'), callback_data: `fm|${file.id}|${current}` }
+    ],
+    [
+      { text: t(lang, 'bot.detail.editRemark'), callback_data: `fk|${file.id}|${current}` },
+      { text: t(lang, file.is_private ? 'bot.detail.makePublic' : 'bot.detail.makePrivate'), callback_data: `fp|${file.id}|${current}` }
+    ],
+    [{ text: t(lang, 'bot.detail.delete'), callback_data: `fx|${file.id}|${current}` }],
+    [{ text: t(lang, 'bot.browser.backToList'), callback_data: `fb|${current}` }]
+  ];
+  await editBotMessage(config, chatId, messageId, text, { inline_keyboard: keyboard });
+}
+async function handleFileBrowserCallback(config, chatId, messageId, cbData, userSetting) {
+  const [action, ...args] = cbData.split('|');
+  if (action === 'fb') {
+    await renderFileBrowser(config, chatId, messageId, parseBrowserState(args[0]));
+    return;
+  }
+  if (action === 'fbcat') {
+    await renderCategoryFilter(config, chatId, messageId, parseBrowserState(args[0]));
+    return;
+  }
+  const fileId = parseInt(args[0], 10);
+  const current = args[args.length - 1];
+  if (action === 'fd') {
+    await renderFileDetail(config, chatId, messageId, fileId, current);
+    return;
+  }
+  const file = await getBrowserFile(config, chatId, fileId);
+  if (!file) {
+    await renderFileDetail(config, chatId, messageId, fileId, current);
+    return;
+  }
+  const fileName = file.file_name || getFileName(file.url);
+  switch (action) {
+    case 'fr':
+    case 'fk': {
+      const waitingFor = action === 'fr' ? 'new_suffix' : 'file_remark';
+      await config.database.prepare('UPDATE user_settings SET waiting_for = ?, editing_file_id = ? WHERE chat_id = ?')
+        .bind(waitingFor, file.id, chatId).run();
+      userSetting.waiting_for = waitingFor;
+      userSetting.editing_file_id = file.id;
+      await sendMessage(chatId, t(config.lang, action === 'fr' ? 'bot.detail.renamePrompt' : 'bot.detail.remarkPrompt', {
+        name: escapeTelegramHtml(fileName)
+      }), config.tgBotToken);
+      return;
+    }
+    case 'fm': {
+      const categories = await config.database.prepare('SELECT id, name FROM categories ORDER BY id').all();
+      const keyboard = (categories.results || []).map(category => [{
+        text: `${file.category_id === category.id ? '✅ ' : ''}${category.name}`,
+        callback_data: `fmc|${file.id}|${category.id}|${current}`
+      }]);
+      keyboard.push([{ text: t(config.lang, 'bot.back'), callback_data: `fd|${file.id}|${current}` }]);
+      await editBotMessage(config, chatId, messageId, t(config.lang, 'bot.detail.moveTo', { name: escapeTelegramHtml(fileName) }), { inline_keyboard: keyboard });
+      return;
+    }
+    case 'fmc': {
+      const categoryId = parseInt(args[1], 10);
+      const categoryName = await getCategoryName(config, categoryId);
+      if (categoryName && categoryId !== file.category_id) {
+        await config.database.prepare('UPDATE files SET category_id = ? WHERE id = ?').bind(categoryId, file.id).run();
+        await recordAudit(config, { action: 'file.move', target: file.url, oldValue: file.category_name, newValue: categoryName });
+      }
+      break;
+    }
+    case 'fp':
+      if (!file.is_private && !config.shareSecret) {
+        await sendMessage(chatId, t(config.lang, 'bot.noShareSecret'), config.tgBotToken);
+        return;
+      }
+      await config.database.prepare('UPDATE files SET is_private = ? WHERE id = ?').bind(file.is_private ? 0 : 1, file.id).run();
+      clearFileCache(config, file.url);
+      await recordAudit(config, {
+        action: 'file.private',
+        target: file.url,
+        oldValue: file.is_private ? '私有' : '公开',
+        newValue: file.is_private ? '公开' : '私有'
+      });
+      break;
+    case 'fx':
+      await editBotMessage(config, chatId, messageId, t(config.lang, 'bot.detail.confirmTrash', {
+        name: escapeTelegramHtml(fileName),
+        days: config.trashRetentionDays
+      }), {
+        inline_keyboard: [[
+          { text: t(config.lang, 'bot.detail.confirmDelete'), callback_data: `fxy|${file.id}|${current}` },
+          { text: t(config.lang, 'bot.detail.cancel'), callback_data: `fd|${file.id}|${current}` }
+        ]]
+      });
+      return;
+    case 'fxy':
+      await trashFile(config, file);
+      await renderFileBrowser(config, chatId, messageId, parseBrowserState(current));
+      return;
+  }
+  await renderFileDetail(config, chatId, messageId, file.id, current);
+}
+function getKeyboardLayout(userSetting, lang) {
   const storageType = userSetting.storage_type || 'telegram';
   return {
     inline_keyboard: [
       [
-        { text: "📤 切换存储", callback_data: "switch_storage" },
-        { text: "📋 选择分类", callback_data: "list_categories" }
+        { text: t(lang, 'bot.keyboard.switchStorage'), callback_data: "switch_storage" },
+        { text: t(lang, 'bot.keyboard.chooseCategory'), callback_data: "list_categories" }
+      ],
+      [
+        { text: t(lang, 'bot.keyboard.createCategory'), callback_data: "create_category" },
+        { text: t(lang, 'bot.keyboard.r2Stats'), callback_data: "r2_stats" }
       ],
       [
-        { text: "📝 创建分类", callback_data: "create_category" },
-        { text: "📊 R2统计", callback_data: "r2_stats" }
+        { text: t(lang, 'bot.keyboard.linkFormat'), callback_data: "link_format" },
+        { text: t(lang, userSetting.send_qr === 0 ? 'bot.keyboard.qrOff' : 'bot.keyboard.qrOn'), callback_data: "toggle_qr" }
       ],
       [
-        { text: "📂 最近文件", callback_data: "recent_files" },
-        { text: "✏️ 重命名", callback_data: "edit_suffix_input" },
-        { text: "🗑️ 删除文件", callback_data: "delete_file_input" }
+        { text: t(lang, 'bot.keyboard.browse'), callback_data: "fb|0.a.a" },
+        { text: t(lang, 'bot.keyboard.language'), callback_data: "language" }
       ]
     ]
   };
 }
+async function renderLanguageMenu(config, chatId, messageId, userSetting, telegramLanguage) {
+  const chosen = normalizeLanguage(userSetting.language);
+  const keyboard = [[{
+    text: `${chosen ? '' : '✅ '}${t(config.lang, 'bot.language.auto', { language: SUPPORTED_LANGUAGES[telegramLanguage] })}`,
+    callback_data: 'set_lang_auto'
+  }]].concat(Object.entries(SUPPORTED_LANGUAGES).map(([code, name]) => [{
+    text: `${chosen === code ? '✅ ' : ''}${name}`,
+    callback_data: `set_lang_${code}`
+  }]));
+  keyboard.push([{ text: t(config.lang, 'bot.back'), callback_data: 'back_to_panel' }]);
+  const text = t(config.lang, 'bot.language.title', { language: SUPPORTED_LANGUAGES[config.lang] });
+  await editBotMessage(config, chatId, messageId, text, { inline_keyboard: keyboard });
+}
 // --- FIX #3: REWRITE handleCallbackQuery LOGIC ---
 async function handleCallbackQuery(update, config, userSetting) {
   const query = update.callback_query;
@@ -1259,21 +3096,17 @@ async function handleCallbackQuery(update, config, userSetting) {
   });
   
   try {
-     if (userSetting.waiting_for && !cbData.startsWith('delete_file_do_')) {
-       if (!(userSetting.waiting_for === 'new_suffix' && cbData.startsWith('edit_suffix_file_')) &&
-           !(userSetting.waiting_for === 'new_category' && cbData === 'create_category') &&
-           !(userSetting.waiting_for === 'delete_file_input' && cbData === 'delete_file_input') &&
-           !(userSetting.waiting_for === 'edit_suffix_input_file' && cbData === 'edit_suffix_input') &&
-           !(userSetting.waiting_for === 'edit_suffix_input_new' && userSetting.editing_file_id)) {
-           await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?')
-             .bind(chatId).run();
-           userSetting.waiting_for = null;
-           userSetting.editing_file_id = null;
-       }
+    if (userSetting.waiting_for && !(userSetting.waiting_for === 'new_category' && cbData === 'create_category')) {
+      await config.database.prepare('UPDATE user_settings SET waiting_for = NULL, editing_file_id = NULL WHERE chat_id = ?')
+        .bind(chatId).run();
+      userSetting.waiting_for = null;
+      userSetting.editing_file_id = null;
     }
 
     if (cbData === 'switch_storage') {
-      const newStorageType = userSetting.storage_type === 'r2' ? 'telegram' : 'r2';
+      const storageCycle = ['telegram', 'r2', 's3'].filter(type => type !== 's3' || isS3Configured(config));
+      const currentIndex = storageCycle.indexOf(userSetting.storage_type);
+      const newStorageType = storageCycle[(currentIndex + 1) % storageCycle.length];
       await config.database.prepare('UPDATE user_settings SET storage_type = ? WHERE chat_id = ?')
           .bind(newStorageType, chatId).run();
       
@@ -1300,14 +3133,14 @@ async function handleCallbackQuery(update, config, userSetting) {
       await answerPromise;
       const categories = await config.database.prepare('SELECT id, name FROM categories').all();
       if (!categories.results || categories.results.length === 0) {
-        await sendMessage(chatId, "⚠️ 暂无分类，请先创建分类", config.tgBotToken);
+        await sendMessage(chatId, t(config.lang, 'bot.category.empty'), config.tgBotToken);
         return;
       }
-      const categoriesText = "📂 请选择要使用的分类：";
+      const categoriesText = t(config.lang, 'bot.category.choose');
       const keyboard = {
         inline_keyboard: categories.results.map(cat => [
           { text: cat.name, callback_data: `set_category_${cat.id}` }
-        ]).concat([[{ text: "« 返回", callback_data: "back_to_panel" }]])
+        ]).concat([[{ text: t(config.lang, 'bot.back'), callback_data: "back_to_panel" }]])
       };
       // Edit the message to show category list
        await fetch(`https://api.telegram.org/bot${config.tgBotToken}/editMessageText`, {
@@ -1323,7 +3156,7 @@ async function handleCallbackQuery(update, config, userSetting) {
     }
     else if (cbData === 'create_category') {
       await answerPromise;
-      await sendMessage(chatId, "📝 请回复此消息，输入新分类名称", config.tgBotToken);
+      await sendMessage(chatId, t(config.lang, 'bot.category.prompt'), config.tgBotToken);
       await config.database.prepare('UPDATE user_settings SET waiting_for = ? WHERE chat_id = ?')
           .bind('new_category', chatId).run();
       userSetting.waiting_for = 'new_category';
@@ -1377,77 +3210,248 @@ async function handleCallbackQuery(update, config, userSetting) {
       const stats = await config.database.prepare(`
         SELECT COUNT(*) as total_files,
                SUM(file_size) as total_size
-        FROM files WHERE chat_id = ? AND storage_type = 'r2'
+        FROM files WHERE chat_id = ? AND storage_type = 'r2' AND deleted_at IS NULL
       `).bind(chatId).first();
       await answerPromise;
 
-      const statsMessage = `📊 您的 R2 存储使用统计
+      const statsMessage = `${t(config.lang, 'bot.stats.title')}
   ─────────────
-  📁 R2 文件数: ${stats.total_files || 0}
-  💾 R2 存储量: ${formatSize(stats.total_size || 0)}`;
+  ${t(config.lang, 'bot.stats.files', { count: stats.total_files || 0 })}
+  ${t(config.lang, 'bot.stats.size', { size: formatSize(stats.total_size || 0) })}`;
       
       // Send stats as a new message, but make it a reply to the panel
       await sendMessage(chatId, statsMessage, config.tgBotToken, messageId);
     }
-    else if (cbData === 'recent_files') {
-      const recentFiles = await config.database.prepare(`
-        SELECT id, url, created_at, file_name, storage_type
-        FROM files
-        WHERE chat_id = ?
-        ORDER BY created_at DESC
-        LIMIT 10
-      `).bind(chatId).all();
+    else if (cbData === 'link_format') {
       await answerPromise;
-
-      if (!recentFiles.results || recentFiles.results.length === 0) {
-        await sendMessage(chatId, "⚠️ 您还没有上传过文件", config.tgBotToken);
+      await renderLinkFormatMenu(config, chatId, messageId, userSetting);
+    }
+    else if (cbData.startsWith('set_link_format_')) {
+      const format = cbData.slice('set_link_format_'.length);
+      await answerPromise;
+      if (format === 'template') {
+        await config.database.prepare('UPDATE user_settings SET waiting_for = ? WHERE chat_id = ?').bind('link_template', chatId).run();
+        userSetting.waiting_for = 'link_template';
+        await sendMessage(chatId, `${t(config.lang, 'bot.template.prompt')}${userSetting.link_template ? `\n\n${t(config.lang, 'bot.template.current', { template: escapeTelegramHtml(userSetting.link_template) })}` : ''}`, config.tgBotToken);
         return;
       }
-      const filesList = recentFiles.results.map((file, i) => {
-        const fileName = file.file_name || getFileName(file.url);
-        const date = formatDate(file.created_at);
-        const storageEmoji = file.storage_type === 'r2' ? '☁️' : '✈️';
-        return `${i + 1}. ${fileName}\n   📅 ${date} ${storageEmoji}\n   🔗 ${file.url}`;
-      }).join('\n\n');
-      const keyboard = { inline_keyboard: [[{ text: "« 返回", callback_data: "back_to_panel" }]] };
-      
-      // Edit the panel to show recent files
-      await fetch(`https://api.telegram.org/bot${config.tgBotToken}/editMessageText`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          chat_id: chatId,
-          message_id: messageId,
-          text: "📋 您最近上传的文件：\n\n" + filesList,
-          reply_markup: keyboard,
-          disable_web_page_preview: true
-        })
-      });
+      if (LINK_FORMATS[format]) {
+        await config.database.prepare('UPDATE user_settings SET link_format = ? WHERE chat_id = ?').bind(format, chatId).run();
+        userSetting.link_format = format;
+      }
+      await renderLinkFormatMenu(config, chatId, messageId, userSetting);
     }
-    else if (cbData === 'edit_suffix_input') {
+    else if (cbData === 'toggle_qr') {
+      const sendQr = userSetting.send_qr === 0 ? 1 : 0;
+      await config.database.prepare('UPDATE user_settings SET send_qr = ? WHERE chat_id = ?').bind(sendQr, chatId).run();
       await answerPromise;
-      await config.database.prepare('UPDATE user_settings SET waiting_for = ? WHERE chat_id = ?')
-        .bind('edit_suffix_input_file', chatId).run();
-      userSetting.waiting_for = 'edit_suffix_input_file';
-      await sendMessage(chatId, "✏️ 请回复此消息，输入要重命名的文件完整名称（必须包含扩展名）或完整URL链接", config.tgBotToken);
+      const { messageBody, keyboard } = await generateMainMenu(chatId, { ...userSetting, send_qr: sendQr }, config);
+      await editBotMessage(config, chatId, messageId, messageBody, keyboard);
     }
-    else if (cbData === 'delete_file_input') {
+    else if (cbData === 'language') {
       await answerPromise;
-      await config.database.prepare('UPDATE user_settings SET waiting_for = ? WHERE chat_id = ?')
-        .bind('delete_file_input', chatId).run();
-      userSetting.waiting_for = 'delete_file_input';
-      await sendMessage(chatId, "🗑️ 请回复此消息，输入要删除的文件完整名称（必须包含扩展名）或完整URL链接", config.tgBotToken);
+      await renderLanguageMenu(config, chatId, messageId, userSetting, normalizeLanguage(query.from.language_code) || DEFAULT_LANGUAGE);
+    }
+    else if (cbData.startsWith('set_lang_')) {
+      const code = cbData.slice('set_lang_'.length);
+      const language = SUPPORTED_LANGUAGES[code] ? code : null;
+      await config.database.prepare('UPDATE user_settings SET language = ? WHERE chat_id = ?').bind(language, chatId).run();
+      await answerPromise;
+      config.lang = language || normalizeLanguage(query.from.language_code) || DEFAULT_LANGUAGE;
+      const { messageBody, keyboard } = await generateMainMenu(chatId, { ...userSetting, language }, config);
+      await editBotMessage(config, chatId, messageId, messageBody, keyboard);
+    }
+    else if (cbData.startsWith('mgmd|')) {
+      await answerPromise;
+      await sendMediaGroupMarkdown(config, chatId, cbData.slice('mgmd|'.length));
+    }
+    else if (cbData.includes('|')) {
+      await answerPromise;
+      await handleFileBrowserCallback(config, chatId, messageId, cbData, userSetting);
+    }
+    // Buttons on panels sent before the file browser existed
+    else if (['recent_files', 'edit_suffix_input', 'delete_file_input'].includes(cbData)) {
+      await answerPromise;
+      await renderFileBrowser(config, chatId, messageId, parseBrowserState(''));
     }
     
   } catch (error) {
     console.error('处理回调查询时出错:', error);
     try { await answerPromise; } catch {} // Try to answer anyway to avoid client hanging
-    await sendMessage(chatId, `❌ 处理请求时出错: ${error.message}`, config.tgBotToken);
+    await sendMessage(chatId, t(config.lang, 'bot.callbackFailed', { error: error.message }), config.tgBotToken);
+
+  }
+}
+const INLINE_PAGE_SIZE = 20;
+const INLINE_SHARE_TTL = 86400;
+function buildInlineResult(file, link) {
+  const title = file.file_name || getFileName(file.url);
+  const description = [formatSize(file.file_size || 0), file.category_name, file.remark].filter(Boolean).join(' · ');
+  // Telegram only accepts JPEG photo URLs and GIF animation URLs; other images use the fallbacks below
+  if (file.mime_type === 'image/jpeg') {
+    return { type: 'photo', id: String(file.id), photo_url: link, thumbnail_url: link, title, description, caption: link };
+  }
+  if (file.mime_type === 'image/gif') {
+    return { type: 'gif', id: String(file.id), gif_url: link, thumbnail_url: link, thumbnail_mime_type: 'image/gif', title, caption: link };
+  }
+  // Telegram can only re-send stored documents by file_id; URL documents are limited to PDF and ZIP
+  const isSingleTelegramDocument = file.storage_type === 'telegram' && file.fileId &&
+    !file.fileId.startsWith(TELEGRAM_PARTS_PREFIX) && getTelegramUploadMethod(file.mime_type, false).method === 'sendDocument';
+  if (isSingleTelegramDocument) {
+    return { type: 'document', id: String(file.id), title, description, document_file_id: file.fileId, caption: link };
+  }
+  if (['application/pdf', 'application/zip'].includes(file.mime_type)) {
+    return { type: 'document', id: String(file.id), title, description, document_url: link, mime_type: file.mime_type, caption: link };
+  }
+  return {
+    type: 'article',
+    id: String(file.id),
+    title,
+    description,
+    input_message_content: { message_text: `📄 ${title}\n${link}` }
+  };
+}
+async function handleInlineQuery(inlineQuery, config) {
+  const userId = inlineQuery.from.id.toString();
+  // Inline mode is reachable from any chat, so an empty TG_CHAT_ID never exposes files here
+  if (!config.tgChatId.includes(userId)) {
+    console.log(`[Inline] User ${userId} is not allowed, answering with no results.`);
+    await callTelegramApi(config, 'answerInlineQuery', { inline_query_id: inlineQuery.id, results: [], cache_time: 300, is_personal: true });
+    return;
+  }
+  const offset = Math.max(parseInt(inlineQuery.offset, 10) || 0, 0);
+  const files = await config.database.prepare(`
+    SELECT f.id, f.url, f.fileId, f.file_name, f.file_size, f.mime_type, f.storage_type, f.remark, f.is_private, c.name as category_name
+    FROM files f
+    LEFT JOIN categories c ON f.category_id = c.id
+    WHERE ${FILE_SEARCH_CONDITION}
+    AND f.deleted_at IS NULL AND (f.expires_at IS NULL OR f.expires_at > ?2)
+    ORDER BY f.created_at DESC
+    LIMIT ?3 OFFSET ?4
+  `).bind(`%${inlineQuery.query.trim()}%`, Date.now(), INLINE_PAGE_SIZE, offset).all();
+  const results = [];
+  for (const file of files.results || []) {
+    if (file.is_private && !config.shareSecret) {
+      continue;
+    }
+    const link = file.is_private ? await createSignedUrl(config, file.url, INLINE_SHARE_TTL) : file.url;
+    results.push(buildInlineResult(file, link));
+  }
+  const result = await callTelegramApi(config, 'answerInlineQuery', {
+    inline_query_id: inlineQuery.id,
+    results,
+    next_offset: (files.results || []).length === INLINE_PAGE_SIZE ? String(offset + INLINE_PAGE_SIZE) : '',
+    cache_time: 10,
+    is_personal: true
+  });
+  if (!result.ok) {
+    throw new Error(`回答内联查询失败: ${result.description}`);
+  }
+}
+const CAPTION_KEYS = {
+  '分类': 'category', cat: 'category', category: 'category',
+  '名称': 'name', name: 'name',
+  '过期': 'expire', expire: 'expire'
+};
+const CAPTION_PRIVATE_TAGS = ['private', '私有'];
+// Captions like "#截图 name:login-bug 过期:7d #private 登录页报错" file an upload in one step.
+// Text that is not a recognised directive becomes the remark unless "备注:" is given.
+function parseUploadCaption(caption) {
+  const parsed = { category: null, name: null, remark: null, expire: null, isPrivate: false };
+  const leftover = [];
+  for (const line of (caption || '').split('\n')) {
+    const text = line
+      .replace(/(?:^|\s)(?:备注|remark)\s*[:：=]\s*(.+)$/i, (match, value) => {
+        parsed.remark = value.trim();
+        return '';
+      })
+      .replace(/(?:^|\s)(分类|cat|category|名称|name|过期|expire)\s*[:：=]\s*(\S+)/gi, (match, key, value) => {
+        parsed[CAPTION_KEYS[key.toLowerCase()]] = value;
+        return '';
+      })
+      .replace(/(?:^|\s)#([^\s#]+)/g, (match, tag) => {
+        if (CAPTION_PRIVATE_TAGS.includes(tag.toLowerCase())) {
+          parsed.isPrivate = true;
+        } else if (!parsed.category) {
+          parsed.category = tag;
+        }
+        return '';
+      })
+      .trim();
+    if (text) {
+      leftover.push(text);
+    }
+  }
+  if (!parsed.remark && leftover.length) {
+    parsed.remark = leftover.join('\n');
+  }
+  return parsed;
+}
+async function resolveCaptionOptions(config, parsed, ext) {
+  const resolved = { categoryId: null, key: null, remark: parsed.remark, isPrivate: false, expiresAt: null, notes: [] };
+  if (parsed.category) {
+    const findCategory = () => config.database.prepare('SELECT id FROM categories WHERE name = ?').bind(parsed.category).first();
+    let category = await findCategory();
+    if (!category && config.captionCreateCategory) {
+      const created = await config.database.prepare('INSERT OR IGNORE INTO categories (name, created_at) VALUES (?, ?)')
+        .bind(parsed.category, Date.now()).run();
+      if (created.meta.changes > 0) {
+        await recordAudit(config, { action: 'category.create', target: parsed.category });
+      }
+      category = await findCategory();
+    }
+    if (category) {
+      resolved.categoryId = category.id;
+      resolved.notes.push(t(config.lang, 'bot.caption.category', { name: escapeTelegramHtml(parsed.category) }));
+    } else {
+      resolved.notes.push(t(config.lang, 'bot.caption.categoryMissing', { name: escapeTelegramHtml(parsed.category) }));
+    }
+  }
+  if (parsed.name) {
+    // "name:foo.png" on a PNG should still produce foo.png rather than foo.png.png
+    const baseName = ext && parsed.name.toLowerCase().endsWith(`.${ext.toLowerCase()}`) ? parsed.name.slice(0, -(ext.length + 1)) : parsed.name;
+    const key = `${baseName.replace(/[^a-zA-Z0-9\-\_\.]/g, '_')}.${ext}`;
+    const existing = await config.database.prepare('SELECT id FROM files WHERE url = ?').bind(`https://${config.domain}/${key}`).first();
+    if (existing) {
+      resolved.notes.push(t(config.lang, 'bot.caption.nameTaken', { name: escapeTelegramHtml(key) }));
+    } else {
+      resolved.key = key;
+    }
+  }
+  if (parsed.expire) {
+    const expiresIn = parseDuration(parsed.expire);
+    if (expiresIn) {
+      resolved.expiresAt = Date.now() + expiresIn * 1000;
+      resolved.notes.push(t(config.lang, 'bot.caption.expiry', { date: formatDate(resolved.expiresAt) }));
+    } else {
+      resolved.notes.push(t(config.lang, 'bot.caption.invalidExpiry'));
+    }
+  }
+  if (parsed.isPrivate) {
+    if (config.shareSecret) {
+      resolved.isPrivate = true;
+      resolved.notes.push(t(config.lang, 'bot.caption.private'));
+    } else {
+      resolved.notes.push(t(config.lang, 'bot.caption.noShareSecret'));
+    }
   }
+  if (resolved.remark) {
+    const preview = resolved.remark.length > 100 ? `${resolved.remark.slice(0, 100)}…` : resolved.remark;
+    resolved.notes.push(t(config.lang, 'bot.caption.remark', { remark: escapeTelegramHtml(preview) }));
+  }
+  return resolved;
 }
-async function handleMediaUpload(chatId, file, isDocument, config, userSetting, originalMessageId) {
-  const processingMessage = await sendMessage(chatId, "⏳ 正在处理您的文件，请稍候...", config.tgBotToken);
-  const processingMessageId = processingMessage && processingMessage.result ? processingMessage.result.message_id : null;
+const TELEGRAM_CAPTION_LIMIT = 1024;
+async function handleMediaUpload(chatId, file, isDocument, config, userSetting, originalMessageId, caption = '', mediaGroupId = null) {
+  // Album items share the group's progress message and summary instead of getting their own
+  let processingMessageId = null;
+  if (mediaGroupId) {
+    await trackTelegramProgress(config, chatId, await joinMediaGroup(config, chatId, mediaGroupId, originalMessageId, file.file_name));
+  } else {
+    const processingMessage = await sendMessage(chatId, t(config.lang, 'bot.upload.processing'), config.tgBotToken);
+    processingMessageId = processingMessage && processingMessage.result ? processingMessage.result.message_id : null;
+    await trackTelegramProgress(config, chatId, processingMessageId);
+  }
   try {
     console.log('原始文件信息:', JSON.stringify(file));
     const filePathPromise = fetch(`https://api.telegram.org/bot${config.tgBotToken}/getFile?file_id=${file.file_id}`)
@@ -1494,18 +3498,24 @@ async function handleMediaUpload(chatId, file, isDocument, config, userSetting,
           })
         }).catch(err => console.error('删除处理消息失败:', err));
       }
-      await sendMessage(chatId, `❌ 文件超过${config.maxSizeMB}MB限制`, config.tgBotToken);
+      if (mediaGroupId) {
+        await completeMediaGroupItem(config, mediaGroupId, originalMessageId, { error: t(config.lang, 'bot.upload.tooLarge', { size: config.maxSizeMB }) });
+        return;
+      }
+      await sendMessage(chatId, `❌ ${t(config.lang, 'bot.upload.tooLarge', { size: config.maxSizeMB })}`, config.tgBotToken);
       return;
     }
-    fetch(`https://api.telegram.org/bot${config.tgBotToken}/editMessageText`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        message_id: processingMessageId,
-        text: "⏳ 文件已接收，正在上传到存储..."
-      })
-    }).catch(err => console.error('更新处理消息失败:', err));
+    if (processingMessageId) {
+      fetch(`https://api.telegram.org/bot${config.tgBotToken}/editMessageText`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chat_id: chatId,
+          message_id: processingMessageId,
+          text: t(config.lang, 'bot.upload.received')
+        })
+      }).catch(err => console.error('更新处理消息失败:', err));
+    }
     if (categoryPromise) {
       const defaultCategory = await categoryPromise;
       if (defaultCategory) {
@@ -1542,147 +3552,40 @@ async function handleMediaUpload(chatId, file, isDocument, config, userSetting,
     if (!mimeType || mimeType === 'application/octet-stream') {
       mimeType = getContentType(ext);
     }
-    const mimeParts = mimeType.split('/');
-    const mainType = mimeParts[0] || '';
-    const subType = mimeParts[1] || '';
     console.log('处理文件:', JSON.stringify({
       fileName,
       ext,
       mimeType,
-      mainType,
-      subType,
       size: contentLength,
       filePath: data.result.file_path
     }));
     const storageType = userSetting && userSetting.storage_type ? userSetting.storage_type : 'r2';
-    let finalUrl, dbFileId, dbMessageId;
-    const timestamp = Date.now();
     const originalFileName = fileName.replace(/[^a-zA-Z0-9\-\_\.]/g, '_');
-    const key = `${timestamp}_${originalFileName}`;
-    if (storageType === 'r2' && config.bucket) {
-      const arrayBuffer = await fileResponse.arrayBuffer();
-      await config.bucket.put(key, arrayBuffer, {
-        httpMetadata: { contentType: mimeType }
-      });
-      finalUrl = `https://${config.domain}/${key}`;
-      dbFileId = key;
-      dbMessageId = originalMessageId; // Store original message ID for reference
-    } else {
-      let method = 'sendDocument';
-      let field = 'document';
-      let messageId = null;
-      let fileId = null;
-      // In groups, always send as a document to avoid confusion
-      const isGroup = chatId.toString().startsWith('-');
-      if (!isGroup && mainType === 'image' && !['svg+xml', 'x-icon'].includes(subType)) {
-        method = 'sendPhoto';
-        field = 'photo';
-      } else if (!isGroup && mainType === 'video') {
-        method = 'sendVideo';
-        field = 'video';
-      } else if (!isGroup && mainType === 'audio') {
-        method = 'sendAudio';
-        field = 'audio';
-      } else {
-        method = 'sendDocument';
-        field = 'document';
-      }
-      console.log('Telegram上传方法:', { method, field });
-      const arrayBuffer = await fileResponse.arrayBuffer();
-      const tgFormData = new FormData();
-      tgFormData.append('chat_id', config.tgStorageChatId);
-      const blob = new Blob([arrayBuffer], { type: mimeType });
-      tgFormData.append(field, blob, fileName);
-      if (field !== 'photo') {
-        tgFormData.append('caption', `File: ${fileName}\nType: ${mimeType}\nSize: ${formatSize(parseInt(contentLength || '0'))}`);
-      }
-      const tgResponse = await fetch(
-        `https://api.telegram.org/bot${config.tgBotToken}/${method}`,
-        { method: 'POST', body: tgFormData }
-      );
-      if (!tgResponse.ok) {
-        const errorText = await tgResponse.text();
-        console.error('Telegram API错误:', errorText);
-        if (method !== 'sendDocument') {
-          console.log('尝试使用sendDocument方法重新上传');
-          const retryFormData = new FormData();
-          retryFormData.append('chat_id', config.tgStorageChatId);
-          retryFormData.append('document', blob, fileName);
-          retryFormData.append('caption', `File: ${fileName}\nType: ${mimeType}\nSize: ${formatSize(parseInt(contentLength || '0'))}`);
-          const retryResponse = await fetch(
-            `https://api.telegram.org/bot${config.tgBotToken}/sendDocument`,
-            { method: 'POST', body: retryFormData }
-          );
-          if (!retryResponse.ok) {
-            console.error('Telegram文档上传也失败:', await retryResponse.text());
-            throw new Error('Telegram文件上传失败');
-          }
-          const retryData = await retryResponse.json();
-          const retryResult = retryData.result;
-          messageId = retryResult.message_id;
-          fileId = retryResult.document?.file_id;
-          if (!fileId || !messageId) {
-            throw new Error('重试上传后仍未获取到有效的文件ID');
-          }
-        } else {
-          throw new Error('Telegram参数配置错误: ' + errorText);
-        }
-      } else {
-        const tgData = await tgResponse.json();
-        const result = tgData.result;
-        messageId = result.message_id;
-        if (field === 'photo') {
-          const photos = result.photo;
-          fileId = photos[photos.length - 1]?.file_id;
-        } else if (field === 'video') {
-          fileId = result.video?.file_id;
-        } else if (field === 'audio') {
-          fileId = result.audio?.file_id;
-        } else {
-          fileId = result.document?.file_id;
-        }
-      }
-      if (!fileId) throw new Error('未获取到文件ID');
-      if (!messageId) throw new Error('未获取到tg消息ID');
-      finalUrl = `https://${config.domain}/${key}`;
-      dbFileId = fileId;
-      dbMessageId = messageId;
+    const key = `${Date.now()}_${originalFileName}`;
+    const arrayBuffer = await fileResponse.arrayBuffer();
+    const captionOptions = await resolveCaptionOptions(config, parseUploadCaption(caption), ext);
+    if (captionOptions.categoryId) {
+      categoryId = captionOptions.categoryId;
     }
-    await fetch(`https://api.telegram.org/bot${config.tgBotToken}/editMessageText`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        message_id: processingMessageId,
-        text: "⏳ 正在写入数据库..."
-      })
-    }).catch(err => console.error('更新处理消息失败:', err));
-    const time = Date.now();
-    await config.database.prepare(`
-      INSERT INTO files (
-        url,
-        fileId,
-        message_id,
-        created_at,
-        file_name,
-        file_size,
-        mime_type,
-        chat_id,
-        category_id,
-        storage_type
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      finalUrl,
-      dbFileId,
-      dbMessageId,
-      time,
+    if (captionOptions.key) {
+      fileName = captionOptions.key;
+    }
+    const { url: finalUrl, duplicate, aliased } = await saveFile(config, {
+      data: arrayBuffer,
       fileName,
-      contentLength,
+      key: captionOptions.key || key,
+      keepKey: !!captionOptions.key,
       mimeType,
-      chatId,
+      storageType,
       categoryId,
-      storageType
-    ).run();
+      chatId,
+      sourceMessageId: originalMessageId,
+      // In groups, always send as a document to avoid confusion
+      preferDocument: chatId.toString().startsWith('-'),
+      expiresAt: captionOptions.expiresAt,
+      isPrivate: captionOptions.isPrivate,
+      remark: captionOptions.remark
+    });
     if (processingMessageId) {
       await fetch(`https://api.telegram.org/bot${config.tgBotToken}/deleteMessage`, {
         method: 'POST',
@@ -1693,83 +3596,121 @@ async function handleMediaUpload(chatId, file, isDocument, config, userSetting,
         })
       }).catch(err => console.error('删除处理消息失败:', err));
     }
-    const qrCodeUrl = `https://api.qrserver.com/v1/create-qr-code/?size=150x150&data=${encodeURIComponent(finalUrl)}`;
-    await fetch(`https://api.telegram.org/bot${config.tgBotToken}/sendPhoto`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: chatId,
-        photo: qrCodeUrl,
-        caption: `✅ 文件上传成功\n\n📝 图床直链：\n${finalUrl}\n\n🔍 扫描上方二维码快速访问`,
-        parse_mode: 'HTML'
-      })
-    });
+    if (mediaGroupId) {
+      await completeMediaGroupItem(config, mediaGroupId, originalMessageId, { url: finalUrl, fileName, mimeType });
+      return;
+    }
+    const linkSetting = userSetting || {};
+    const link = formatUserLink({
+      url: finalUrl,
+      file_name: fileName,
+      mime_type: mimeType,
+      file_size: arrayBuffer.byteLength,
+      remark: captionOptions.remark
+    }, linkSetting);
+    // The plain URL always stays in the reply so /del, /private etc. can find the file from it
+    const status = t(config.lang, duplicate ? (aliased ? 'bot.upload.aliased' : 'bot.upload.duplicate') : 'bot.upload.success');
+    const replyText = `${status}\n\n${t(config.lang, 'bot.upload.directLink')}\n${finalUrl}\n\n${link !== finalUrl ? `${t(config.lang, 'bot.upload.formattedLink', { format: getLinkFormatName(linkSetting, config.lang) })}\n<code>${escapeTelegramHtml(link)}</code>\n\n` : ''}${captionOptions.notes.length ? `${captionOptions.notes.join('\n')}\n\n` : ''}`;
+    if (linkSetting.send_qr === 0) {
+      await sendMessage(chatId, replyText.trim(), config.tgBotToken);
+      return;
+    }
+    // Photo captions are capped at 1024 characters, so long replies go out as a separate message
+    const qrCaption = `${replyText}${t(config.lang, 'bot.upload.scanQr')}`;
+    const fitsCaption = qrCaption.length <= TELEGRAM_CAPTION_LIMIT;
+    const qrCode = new FormData();
+    qrCode.append('chat_id', chatId);
+    qrCode.append('photo', new Blob([await renderQrPng(encodeQrCode(finalUrl), 6)], { type: 'image/png' }), 'qrcode.png');
+    qrCode.append('caption', fitsCaption ? qrCaption : t(config.lang, 'bot.upload.scanQr'));
+    qrCode.append('parse_mode', 'HTML');
+    const response = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/sendPhoto`, { method: 'POST', body: qrCode });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.ok) {
+      console.error(`发送二维码失败: HTTP ${response.status}, ${result.description || ''}`);
+    }
+    if (!fitsCaption || !response.ok || !result.ok) {
+      await sendMessage(chatId, replyText.trim(), config.tgBotToken);
+    }
   } catch (error) {
     console.error("Error handling media upload:", error);
-    if (processingMessageId) {
-      await fetch(`https://api.telegram.org/bot${config.tgBotToken}/deleteMessage`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          chat_id: chatId,
-          message_id: processingMessageId
-        })
-      }).catch(err => console.error('删除处理消息失败:', err));
+    if (mediaGroupId) {
+      await completeMediaGroupItem(config, mediaGroupId, originalMessageId, { error: error.message })
+        .catch(groupError => console.error('记录相册上传结果失败:', groupError));
+    } else {
+      await reportTelegramFailure(config, chatId, processingMessageId, t(config.lang, 'bot.upload.failed', { error: error.message }));
+
     }
-    await sendMessage(chatId, `❌ 上传失败: ${error.message}`, config.tgBotToken);
+    error.reported = true;
+    throw error;
   }
 }
-async function getTelegramFileUrl(fileId, botToken, config) {
-  const response = await fetch(`https://api.telegram.org/bot${botToken}/getFile?file_id=${fileId}`);
-  const data = await response.json();
-  if (!data.ok) throw new Error('获取文件路径失败');
-  const filePath = data.result.file_path;
-  const fileName = filePath.split('/').pop();
-  const timestamp = Date.now();
-  const fileExt = fileName.split('.').pop();
-  const newFileName = `${timestamp}.${fileExt}`;
-  if (config && config.domain) {
-    return `https://${config.domain}/${newFileName}`;
-  } else {
-    return `https://api.telegram.org/file/bot${botToken}/${filePath}`;
+const ROLE_LEVELS = { viewer: 1, uploader: 2, admin: 3 };
+function hasRole(user, role) {
+  return !!user && (ROLE_LEVELS[user.role] || 0) >= (ROLE_LEVELS[role] || 0);
+}
+// Uploaders may only change their own files; files without an owner (bot uploads) are admin-only
+function canModifyFile(user, file) {
+  return hasRole(user, 'admin') || (!!user && user.id !== null && user.id !== undefined && file.owner_id === user.id);
+}
+async function getForbiddenFileUrls(config, user, urls) {
+  if (hasRole(user, 'admin')) {
+    return [];
   }
+  const owners = await getFileAuditValues(config, urls, 'f.owner_id');
+  return urls.filter(url => owners.has(url) && !canModifyFile(user, { owner_id: owners.get(url) }));
+}
+const SESSION_TOUCH_INTERVAL = 60000;
+function getClientIp(request) {
+  return request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For') || '';
 }
-function authenticate(request, config) {
+async function authenticate(request, config) {
   if (!config.enableAuth) {
     console.log('[Auth] Authentication disabled.');
-    return true;
+    return { id: null, username: config.username || 'admin', role: 'admin' };
   }
-  if (!config.username || !config.password) {
-    console.error("[Auth] FAILED: Missing USERNAME or PASSWORD configuration while auth is enabled.");
-    return false;
+  if (config.authUser !== undefined) {
+    return config.authUser;
   }
+  config.authUser = null;
   const cookies = request.headers.get("Cookie") || "";
   const authToken = cookies.match(/auth_token=([^;]+)/);
   if (!authToken) {
     console.log('[Auth] FAILED: No auth_token cookie found.');
-    return false;
+    return null;
   }
   try {
-    const tokenData = JSON.parse(atob(authToken[1]));
+    const session = await config.database.prepare(`
+      SELECT s.id as session_id, s.expires_at, s.last_seen, u.id, u.username, u.role
+      FROM sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.token_hash = ?
+    `).bind(await sha256Hex(authToken[1])).first();
+    if (!session) {
+      console.log("[Auth] FAILED: Session not found or revoked.");
+      return null;
+    }
     const now = Date.now();
-    if (now > tokenData.expiration) {
-      console.log("[Auth] FAILED: Token expired.");
-      return false;
+    if (now > session.expires_at) {
+      console.log("[Auth] FAILED: Session expired.");
+      await config.database.prepare('DELETE FROM sessions WHERE id = ?').bind(session.session_id).run();
+      return null;
     }
-    if (tokenData.username !== config.username) {
-      console.log("[Auth] FAILED: Token username mismatch.");
-      return false;
+    if (!session.last_seen || now - session.last_seen > SESSION_TOUCH_INTERVAL) {
+      await config.database.prepare('UPDATE sessions SET last_seen = ?, ip = ? WHERE id = ?')
+        .bind(now, getClientIp(request), session.session_id).run();
     }
-    console.log('[Auth] SUCCESS: Valid token found.');
-    return true;
+    const user = { id: session.id, username: session.username, role: session.role, sessionId: session.session_id };
+    console.log(`[Auth] SUCCESS: Valid session found for ${user.username} (${user.role}).`);
+    config.authUser = user;
+    return user;
   } catch (error) {
     console.error("[Auth] FAILED: Error validating token:", error);
-    return false;
+    return null;
   }
 }
 async function handleAuthRequest(request, config) {
   if (config.enableAuth) {
-    const isAuthenticated = authenticate(request, config);
+    const isAuthenticated = await authenticate(request, config);
     if (!isAuthenticated) {
       return handleLoginRequest(request, config);
     }
@@ -1780,18 +3721,31 @@ async function handleAuthRequest(request, config) {
 async function handleLoginRequest(request, config) {
   if (request.method === 'POST') {
     const { username, password } = await request.json();
-    if (username === config.username && password === config.password) {
+    const user = username && password
+      ? await config.database.prepare('SELECT * FROM users WHERE username = ?').bind(username).first()
+      : null;
+    // Unknown users are checked against a dummy hash so the response time does not reveal which usernames exist
+    const passwordValid = await verifyPassword(password || '', user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (user && passwordValid) {
       const expirationDate = new Date();
       const cookieDays = config.cookie || 7;
       expirationDate.setDate(expirationDate.getDate() + cookieDays);
-      const expirationTimestamp = expirationDate.getTime();
-      const tokenData = JSON.stringify({
-        username: config.username,
-        expiration: expirationTimestamp
-      });
-      const token = btoa(tokenData);
+      const token = bufferToHex(crypto.getRandomValues(new Uint8Array(32)));
+      const now = Date.now();
+      await config.database.prepare(`
+        INSERT INTO sessions (token_hash, user_id, created_at, expires_at, last_seen, ip, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        await sha256Hex(token),
+        user.id,
+        now,
+        expirationDate.getTime(),
+        now,
+        getClientIp(request),
+        request.headers.get('User-Agent') || ''
+      ).run();
       const cookie = `auth_token=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Expires=${expirationDate.toUTCString()}`;
-      return new Response("登录成功", {
+      return new Response(t(config.lang, 'login.success'), {
         status: 200,
         headers: {
           "Set-Cookie": cookie,
@@ -1799,15 +3753,65 @@ async function handleLoginRequest(request, config) {
         }
       });
     }
-    return new Response("认证失败", { status: 401 });
+    return new Response(t(config.lang, 'login.failed'), { status: 401 });
   }
-  const html = generateLoginPage();
+  const html = generateLoginPage(config.lang);
+
   return new Response(html, {
     headers: { 'Content-Type': 'text/html;charset=UTF-8' }
   });
 }
+async function handleLogoutRequest(request, config) {
+  const cookies = request.headers.get("Cookie") || "";
+  const authToken = cookies.match(/auth_token=([^;]+)/);
+  if (authToken) {
+    try {
+      await config.database.prepare('DELETE FROM sessions WHERE token_hash = ?').bind(await sha256Hex(authToken[1])).run();
+    } catch (error) {
+      console.error('注销会话失败:', error);
+    }
+  }
+  const cookie = 'auth_token=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0';
+  if (request.method === 'POST') {
+    return new Response(JSON.stringify({ status: 1, msg: '已退出登录' }), {
+      headers: { 'Content-Type': 'application/json', 'Set-Cookie': cookie }
+    });
+  }
+  return new Response(null, {
+    status: 302,
+    headers: { 'Location': `${new URL(request.url).origin}/login`, 'Set-Cookie': cookie }
+  });
+}
+const PASSWORD_HASH_ITERATIONS = 100000;
+async function hashPassword(password, saltHex = null, iterations = PASSWORD_HASH_ITERATIONS) {
+  const salt = saltHex ? hexToBytes(saltHex) : crypto.getRandomValues(new Uint8Array(16));
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return `pbkdf2$${iterations}$${bufferToHex(salt)}$${bufferToHex(bits)}`;
+}
+const DUMMY_PASSWORD_HASH = `pbkdf2$${PASSWORD_HASH_ITERATIONS}$${'0'.repeat(32)}$${'0'.repeat(64)}`;
+async function verifyPassword(password, storedHash) {
+  const [scheme, iterations, saltHex] = (storedHash || '').split('$');
+  if (scheme !== 'pbkdf2' || !iterations || !saltHex) {
+    return false;
+  }
+  const computed = await hashPassword(password, saltHex, parseInt(iterations, 10));
+  return timingSafeEqual(computed, storedHash);
+}
+async function ensureInitialAdmin(config) {
+  if (!config.username || !config.password) {
+    return;
+  }
+  const existingUsers = await config.database.prepare('SELECT COUNT(*) as count FROM users').first();
+  if (existingUsers && existingUsers.count > 0) {
+    return;
+  }
+  console.log(`用户表为空，使用环境变量创建初始管理员: ${config.username}`);
+  await config.database.prepare('INSERT OR IGNORE INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)')
+    .bind(config.username, await hashPassword(config.password), 'admin', Date.now()).run();
+}
 async function handleCreateCategoryRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
+  if (config.enableAuth && !(await authenticate(request, config))) {
     return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
       status: 401,
       headers: { 'Content-Type': 'application/json' }
@@ -1832,6 +3836,7 @@ async function handleCreateCategoryRequest(request, config) {
     }
     await config.database.prepare('INSERT INTO categories (name, created_at) VALUES (?, ?)')
       .bind(categoryName, time).run();
+    await recordAudit(config, { action: 'category.create', target: categoryName });
     const category = await config.database.prepare('SELECT id FROM categories WHERE name = ?').bind(categoryName).first();
     return new Response(JSON.stringify({ status: 1, msg: "分类创建成功", category: { id: category.id, name: categoryName } }), {
       headers: { 'Content-Type': 'application/json' }
@@ -1843,8 +3848,36 @@ async function handleCreateCategoryRequest(request, config) {
     });
   }
 }
+async function getDefaultCategoryId(config) {
+  const defaultCategory = await config.database.prepare('SELECT id FROM categories WHERE name = ?')
+    .bind('默认分类').first();
+  if (defaultCategory) {
+    return defaultCategory.id;
+  }
+  const result = await config.database.prepare('INSERT INTO categories (name, created_at) VALUES (?, ?)')
+    .bind('默认分类', Date.now()).run();
+  const defaultCategoryId = result.meta && result.meta.last_row_id ? result.meta.last_row_id : null;
+  console.log('创建了新的默认分类，ID:', defaultCategoryId);
+  return defaultCategoryId;
+}
+async function deleteCategoryAndMoveFiles(config, id) {
+  const categoryName = await getCategoryName(config, id);
+  const defaultCategoryId = await getDefaultCategoryId(config);
+  if (defaultCategoryId) {
+    await config.database.prepare('UPDATE files SET category_id = ? WHERE category_id = ?')
+      .bind(defaultCategoryId, id).run();
+    await config.database.prepare('UPDATE user_settings SET current_category_id = ? WHERE current_category_id = ?')
+      .bind(defaultCategoryId, id).run();
+  } else {
+    await config.database.prepare('UPDATE files SET category_id = NULL WHERE category_id = ?').bind(id).run();
+    await config.database.prepare('UPDATE user_settings SET current_category_id = NULL WHERE current_category_id = ?').bind(id).run();
+  }
+  await config.database.prepare('DELETE FROM categories WHERE id = ?').bind(id).run();
+  await recordAudit(config, { action: 'category.delete', target: categoryName });
+  return defaultCategoryId;
+}
 async function handleDeleteCategoryRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
+  if (config.enableAuth && !(await authenticate(request, config))) {
     return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
       status: 401,
       headers: { 'Content-Type': 'application/json' }
@@ -1873,27 +3906,7 @@ async function handleDeleteCategoryRequest(request, config) {
         headers: { 'Content-Type': 'application/json' }
       });
     }
-    const defaultCategory = await config.database.prepare('SELECT id FROM categories WHERE name = ?')
-      .bind('默认分类').first();
-    let defaultCategoryId;
-    if (!defaultCategory) {
-      const result = await config.database.prepare('INSERT INTO categories (name, created_at) VALUES (?, ?)')
-        .bind('默认分类', Date.now()).run();
-      defaultCategoryId = result.meta && result.meta.last_row_id ? result.meta.last_row_id : null;
-      console.log('创建了新的默认分类，ID:', defaultCategoryId);
-    } else {
-      defaultCategoryId = defaultCategory.id;
-    }
-    if (defaultCategoryId) {
-      await config.database.prepare('UPDATE files SET category_id = ? WHERE category_id = ?')
-        .bind(defaultCategoryId, id).run();
-      await config.database.prepare('UPDATE user_settings SET current_category_id = ? WHERE current_category_id = ?')
-        .bind(defaultCategoryId, id).run();
-    } else {
-      await config.database.prepare('UPDATE files SET category_id = NULL WHERE category_id = ?').bind(id).run();
-      await config.database.prepare('UPDATE user_settings SET current_category_id = NULL WHERE current_category_id = ?').bind(id).run();
-    }
-    await config.database.prepare('DELETE FROM categories WHERE id = ?').bind(id).run();
+    const defaultCategoryId = await deleteCategoryAndMoveFiles(config, id);
     return new Response(JSON.stringify({
       status: 1,
       msg: `分类 "${category.name}" 删除成功${defaultCategoryId ? '，相关文件已移至默认分类' : ''}`
@@ -1909,14 +3922,14 @@ async function handleDeleteCategoryRequest(request, config) {
   }
 }
 async function handleUploadRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
+  if (config.enableAuth && !(await authenticate(request, config))) {
     return Response.redirect(`${new URL(request.url).origin}/`, 302);
   }
   if (request.method === 'GET') {
     const categories = await config.database.prepare('SELECT id, name FROM categories').all();
     const categoryOptions = categories.results.length
       ? categories.results.map(c => `<option value="${c.id}">${c.name}</option>`).join('')
-      : '<option value="">暂无分类</option>';
+      : `<option value="">${t(config.lang, 'common.noCategories')}</option>`;
     const chatId = config.tgChatId[0];
     let userSetting = await config.database.prepare('SELECT * FROM user_settings WHERE chat_id = ?').bind(chatId).first();
     if (!userSetting) {
@@ -1925,7 +3938,8 @@ async function handleUploadRequest(request, config) {
         .bind(chatId, 'telegram', defaultCategory.id).run();
       userSetting = { storage_type: 'telegram', current_category_id: defaultCategory.id };
     }
-    const html = generateUploadPage(categoryOptions, userSetting.storage_type);
+    const html = generateUploadPage(categoryOptions, userSetting.storage_type, config.lang);
+
     return new Response(html, {
       headers: { 'Content-Type': 'text/html;charset=UTF-8' }
     });
@@ -1935,8 +3949,11 @@ async function handleUploadRequest(request, config) {
     const file = formData.get('file');
     const categoryId = formData.get('category');
     const storageType = formData.get('storage_type');
+    const expiresIn = parseInt(formData.get('expires_in'), 10);
+    const currentUser = await authenticate(request, config);
     if (!file) throw new Error('未找到文件');
     if (file.size > config.maxSizeMB * 1024 * 1024) throw new Error(`文件超过${config.maxSizeMB}MB限制`);
+    if (storageType && !isStorageType(storageType)) throw new Error(`未知的存储类型: ${storageType}`);
     const chatId = config.tgChatId[0];
     let defaultCategory = await config.database.prepare('SELECT id FROM categories WHERE name = ?').bind('默认分类').first();
     if (!defaultCategory) {
@@ -1958,106 +3975,27 @@ async function handleUploadRequest(request, config) {
     await config.database.prepare('UPDATE user_settings SET storage_type = ?, current_category_id = ? WHERE chat_id = ?')
       .bind(storageType, finalCategoryId, chatId).run();
     const ext = (file.name.split('.').pop() || '').toLowerCase();
-    const mimeType = getContentType(ext);
-    const [mainType, subType] = mimeType.split('/');
-    let finalUrl, dbFileId, dbMessageId;
-    if (storageType === 'r2') {
-      const key = `${Date.now()}_${file.name}`;
-      await config.bucket.put(key, await file.arrayBuffer(), { httpMetadata: { contentType: mimeType } });
-      finalUrl = `https://${config.domain}/${key}`;
-      dbFileId = key;
-      dbMessageId = -1;
-    } else {
-      let method = 'sendDocument';
-      let field = 'document';
-      if (mainType === 'image' && !['svg+xml', 'x-icon', 'gif'].includes(subType)) {
-        method = 'sendPhoto';
-        field = 'photo';
-      } else if (mainType === 'video') {
-        method = 'sendVideo';
-        field = 'video';
-      } else if (mainType === 'audio') {
-        method = 'sendAudio';
-        field = 'audio';
-      }
-      
-      let messageId = null;
-      let fileId = null;
-      const tgFormData = new FormData();
-      tgFormData.append('chat_id', config.tgStorageChatId);
-      tgFormData.append(field, file, file.name);
-
-      const tgResponse = await fetch(
-        `https://api.telegram.org/bot${config.tgBotToken}/${method}`,
-        { method: 'POST', body: tgFormData }
-      );
-
-      if (!tgResponse.ok) {
-        const errorText = await tgResponse.text();
-        console.error(`Telegram API错误 (${method}):`, errorText);
-        if (method !== 'sendDocument') {
-          console.log('尝试使用sendDocument方法重新上传');
-          const retryFormData = new FormData();
-          retryFormData.append('chat_id', config.tgStorageChatId);
-          retryFormData.append('document', file, file.name);
-          const retryResponse = await fetch(
-            `https://api.telegram.org/bot${config.tgBotToken}/sendDocument`,
-            { method: 'POST', body: retryFormData }
-          );
-          if (!retryResponse.ok) {
-            console.error('Telegram文档上传也失败:', await retryResponse.text());
-            throw new Error('Telegram文件上传失败');
-          }
-          const retryData = await retryResponse.json();
-          const retryResult = retryData.result;
-          messageId = retryResult.message_id;
-          fileId = retryResult.document?.file_id;
-        } else {
-            throw new Error('Telegram参数配置错误: ' + errorText);
-        }
-      } else {
-        const tgData = await tgResponse.json();
-        const result = tgData.result;
-        messageId = result.message_id;
-        if (field === 'photo') {
-          const photos = result.photo;
-          fileId = photos[photos.length - 1]?.file_id;
-        } else {
-          fileId = result.document?.file_id || result.video?.file_id || result.audio?.file_id;
-        }
-      }
-
-      if (!fileId) throw new Error('未获取到文件ID');
-      if (!messageId) throw new Error('未获取到tg消息ID');
-      
-      finalUrl = `https://${config.domain}/${Date.now()}_${file.name}`;
-      dbFileId = fileId;
-      dbMessageId = messageId;
-    }
-    const time = Date.now();
-    await config.database.prepare(`
-      INSERT INTO files (url, fileId, message_id, created_at, file_name, file_size, mime_type, storage_type, category_id, chat_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      finalUrl,
-      dbFileId,
-      dbMessageId,
-      time,
-      file.name,
-      file.size,
-      file.type || mimeType,
+    const extMimeType = getContentType(ext);
+    const mimeType = extMimeType === 'application/octet-stream' && file.type ? file.type : extMimeType;
+    const { url: finalUrl, duplicate } = await saveFile(config, {
+      data: await file.arrayBuffer(),
+      fileName: file.name,
+      key: `${Date.now()}_${file.name.replace(/[^a-zA-Z0-9\-\_\.]/g, '_')}`,
+      mimeType,
       storageType,
-      finalCategoryId,
-      chatId
-    ).run();
+      categoryId: finalCategoryId,
+      chatId,
+      expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+      ownerId: currentUser ? currentUser.id : null
+    });
     return new Response(
-      JSON.stringify({ status: 1, msg: "✔ 上传成功", url: finalUrl }),
+      JSON.stringify({ status: 1, msg: duplicate ? "✔ 文件已存在" : "✔ 上传成功", url: finalUrl, duplicate }),
       { headers: { 'Content-Type': 'application/json' } }
     );
   } catch (error) {
     console.error(`[Upload Error] ${error.message}`);
     let statusCode = 500;
-    if (error.message.includes(`文件超过${config.maxSizeMB}MB限制`)) {
+    if (error.message.includes(`文件超过${config.maxSizeMB}MB限制`) || error.message.startsWith('未知的存储类型')) {
       statusCode = 400;
     } else if (error.message.includes('Telegram')) {
       statusCode = 502;
@@ -2073,7 +4011,8 @@ async function handleUploadRequest(request, config) {
   }
 }
 async function handleDeleteMultipleRequest(request, config) {
-    if (config.enableAuth && !authenticate(request, config)) {
+    const currentUser = await authenticate(request, config);
+    if (config.enableAuth && !currentUser) {
         return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
             status: 401,
             headers: { 'Content-Type': 'application/json' }
@@ -2090,33 +4029,14 @@ async function handleDeleteMultipleRequest(request, config) {
         const results = { success: [], failed: [] };
         for (const url of urls) {
             try {
-                const file = await config.database.prepare('SELECT id, fileId, message_id, storage_type, url FROM files WHERE url = ?').bind(url).first();
+                const file = await config.database.prepare('SELECT * FROM files WHERE url = ? AND deleted_at IS NULL').bind(url).first();
 
-                if (file) {
+                if (file && !canModifyFile(currentUser, file)) {
+                    results.failed.push({ url, reason: '无权删除他人上传的文件' });
+                } else if (file) {
                     console.log(`正在删除文件: ${url}, 存储类型: ${file.storage_type}`);
 
-                    if (file.storage_type === 'telegram' && file.message_id && file.message_id > 0) {
-                        try {
-                            const tgResponse = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/deleteMessage?chat_id=${config.tgStorageChatId}&message_id=${file.message_id}`);
-                            const tgResult = await tgResponse.json();
-                            if (tgResult.ok) {
-                                console.log(`已从Telegram删除消息: ${file.message_id}`);
-                            } else {
-                                console.warn(`从Telegram删除消息失败 (可能已被删除): ${tgResult.description}`);
-                            }
-                        } catch (error) {
-                            console.error(`从Telegram删除消息时出错: ${error.message}`);
-                        }
-                    } else if (file.storage_type === 'r2' && file.fileId && config.bucket) {
-                        try {
-                            await config.bucket.delete(file.fileId);
-                            console.log(`已从R2删除文件: ${file.fileId}`);
-                        } catch (error) {
-                            console.error(`从R2删除文件失败: ${error.message}`);
-                        }
-                    }
-                    await config.database.prepare('DELETE FROM files WHERE id = ?').bind(file.id).run();
-                    console.log(`已从数据库删除记录: ID=${file.id}`);
+                    await trashFile(config, file);
                     results.success.push(url);
                 } else {
                     console.log(`未找到文件记录: ${url}`);
@@ -2141,57 +4061,27 @@ async function handleDeleteMultipleRequest(request, config) {
     }
 }
 async function handleAdminRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
+  if (config.enableAuth && !(await authenticate(request, config))) {
     return Response.redirect(`${new URL(request.url).origin}/`, 302);
   }
   try {
     const categories = await config.database.prepare('SELECT id, name FROM categories').all();
     const categoryOptions = categories.results.length
       ? categories.results.map(c => `<option value="${c.id}">${c.name}</option>`).join('')
-      : '<option value="">暂无分类</option>';
+      : `<option value="">${t(config.lang, 'common.noCategories')}</option>`;
     const files = await config.database.prepare(`
-      SELECT f.url, f.fileId, f.message_id, f.created_at, f.file_name, f.file_size, f.mime_type, f.storage_type, c.name as category_name, c.id as category_id, f.remark
+      SELECT f.url, f.fileId, f.message_id, f.created_at, f.file_name, f.file_size, f.mime_type, f.storage_type, c.name as category_name, c.id as category_id, f.remark, f.is_private, f.expires_at, u.username as owner_name
       FROM files f
       LEFT JOIN categories c ON f.category_id = c.id
+      LEFT JOIN users u ON f.owner_id = u.id
+      WHERE f.deleted_at IS NULL
       ORDER BY f.created_at DESC
     `).all();
     const fileList = files.results || [];
     console.log(`文件总数: ${fileList.length}`);
-    const fileCards = fileList.map(file => {
-        const url = file.url;
-        const uniqueId = `file-checkbox-${encodeURIComponent(url)}`;
-        const sanitizedFileName = (file.file_name || '').replace(/"/g, '&quot;');
-        const sanitizedRemark = (file.remark || '').replace(/"/g, '&quot;');
-        const fullDate = formatDate(file.created_at);
-        const timestamp = new Date(file.created_at).getTime() || 0;
-        const storageType = file.storage_type || 'telegram';
-        return `
-          <div class="file-card" data-timestamp="${timestamp}" data-url="${url}" data-category-id="${file.category_id || ''}" data-file-name="${sanitizedFileName}" data-remark="${sanitizedRemark}">
-            <div class="file-info-wrapper">
-                <input type="checkbox" id="${uniqueId}" name="selectedFile" class="file-checkbox" value="${url}">
-                <div class="file-preview">
-                  ${getPreviewHtml(url)}
-                </div>
-                <div class="file-info">
-                    <div class="info-item name-col" title="${getFileName(url)}\n原名: ${sanitizedFileName || '无'}">
-                        <b>新名称:</b> ${getFileName(url)} <span class="storage-badge storage-${storageType.toLowerCase()}">${storageType.toUpperCase()}</span><br>
-                        <span class="original-name"><b>原名:</b> ${sanitizedFileName || '无'}</span>
-                    </div>
-                    <div class="info-item size-col"><b>大小:</b> ${formatSize(file.file_size)}</div>
-                    <div class="info-item date-col" title="${fullDate}"><b>上传于:</b> ${fullDate}</div>
-                    <div class="info-item category-col"><b>分类:</b> <span class="category-name">${file.category_name || '无分类'}</span></div>
-                    <div class="info-item remark-col" title="${sanitizedRemark || '无'}"><b>备注:</b> <span class="remark-text">${sanitizedRemark || '无'}</span></div>
-                </div>
-            </div>
-            <div class="file-actions">
-              <button class="btn btn-share" onclick="shareFile('${url}')">分享</button>
-              <button class="btn btn-delete" onclick="showConfirmModal('确定要删除这个文件吗？', () => deleteFile('${url}'))">删除</button>
-              <button class="btn btn-edit" onclick="showEditSuffixModal('${url}')">重命名</button>
-            </div>
-          </div>
-        `;
-    }).join('');
-    const html = generateAdminPage(fileCards, categoryOptions);
+    const fileCards = await generateFileCards(config, fileList);
+    const currentUser = await authenticate(request, config);
+    const html = generateAdminPage(fileCards, categoryOptions, currentUser, config.lang);
     return new Response(html, {
       headers: { 'Content-Type': 'text/html;charset=UTF-8' }
     });
@@ -2200,8 +4090,9 @@ async function handleAdminRequest(request, config) {
     return new Response(`加载文件列表失败，请检查数据库配置：${error.message}`, { status: 500 });
   }
 }
+const FILE_SEARCH_CONDITION = '(f.file_name LIKE ?1 OR f.url LIKE ?1 OR f.remark LIKE ?1 COLLATE NOCASE)';
 async function handleSearchRequest(request, config) {
-    if (config.enableAuth && !authenticate(request, config)) {
+    if (config.enableAuth && !(await authenticate(request, config))) {
         return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
             status: 401,
             headers: { 'Content-Type': 'application/json' }
@@ -2211,48 +4102,16 @@ async function handleSearchRequest(request, config) {
         const { query } = await request.json();
         const searchPattern = `%${query}%`;
         const files = await config.database.prepare(`
-            SELECT f.url, f.fileId, f.message_id, f.created_at, f.file_name, f.file_size, f.mime_type, f.storage_type, c.name as category_name, c.id as category_id, f.remark
+            SELECT f.url, f.fileId, f.message_id, f.created_at, f.file_name, f.file_size, f.mime_type, f.storage_type, c.name as category_name, c.id as category_id, f.remark, f.is_private, f.expires_at, u.username as owner_name
             FROM files f
             LEFT JOIN categories c ON f.category_id = c.id
-            WHERE f.file_name LIKE ?1 OR f.url LIKE ?1 OR f.remark LIKE ?1
-            COLLATE NOCASE
+            LEFT JOIN users u ON f.owner_id = u.id
+            WHERE ${FILE_SEARCH_CONDITION}
+            AND f.deleted_at IS NULL
             ORDER BY f.created_at DESC
         `).bind(searchPattern).all();
 
-        const fileCards = (files.results || []).map(file => {
-             const url = file.url;
-             const uniqueId = `file-checkbox-${encodeURIComponent(url)}`;
-             const sanitizedFileName = (file.file_name || '').replace(/"/g, '&quot;');
-             const sanitizedRemark = (file.remark || '').replace(/"/g, '&quot;');
-             const fullDate = formatDate(file.created_at);
-             const timestamp = new Date(file.created_at).getTime() || 0;
-             const storageType = file.storage_type || 'telegram';
-             return `
-              <div class="file-card" data-timestamp="${timestamp}" data-url="${url}" data-category-id="${file.category_id || ''}" data-file-name="${sanitizedFileName}" data-remark="${sanitizedRemark}">
-                 <div class="file-info-wrapper">
-                    <input type="checkbox" id="${uniqueId}" name="selectedFile" class="file-checkbox" value="${url}">
-                    <div class="file-preview">
-                      ${getPreviewHtml(url)}
-                    </div>
-                    <div class="file-info">
-                      <div class="info-item name-col" title="${getFileName(url)}\n原名: ${sanitizedFileName || '无'}">
-                          <b>新名称:</b> ${getFileName(url)} <span class="storage-badge storage-${storageType.toLowerCase()}">${storageType.toUpperCase()}</span><br>
-                          <span class="original-name"><b>原名:</b> ${sanitizedFileName || '无'}</span>
-                      </div>
-                      <div class="info-item size-col"><b>大小:</b> ${formatSize(file.file_size)}</div>
-                      <div class="info-item date-col" title="${fullDate}"><b>上传于:</b> ${fullDate}</div>
-                      <div class="info-item category-col"><b>分类:</b> <span class="category-name">${file.category_name || '无分类'}</span></div>
-                      <div class="info-item remark-col" title="${sanitizedRemark || '无'}"><b>备注:</b> <span class="remark-text">${sanitizedRemark || '无'}</span></div>
-                    </div>
-                </div>
-                <div class="file-actions">
-                  <button class="btn btn-share" onclick="shareFile('${url}')">分享</button>
-                  <button class="btn btn-delete" onclick="showConfirmModal('确定要删除这个文件吗？', () => deleteFile('${url}'))">删除</button>
-                  <button class="btn btn-edit" onclick="showEditSuffixModal('${url}')">重命名</button>
-                </div>
-              </div>
-            `;
-        }).join('');
+        const fileCards = await generateFileCards(config, files.results || []);
 
         return new Response(
             JSON.stringify({ html: fileCards }), { headers: { 'Content-Type': 'application/json' } }
@@ -2264,13 +4123,59 @@ async function handleSearchRequest(request, config) {
         );
     }
 }
-function getPreviewHtml(url) {
-  const ext = (url.split('.').pop() || '').toLowerCase();
+async function generateFileCards(config, files) {
+  const cards = await Promise.all(files.map(async file => {
+    const previewUrl = file.is_private && config.shareSecret ? await createSignedUrl(config, file.url, 3600) : file.url;
+    return generateFileCard(file, previewUrl, config.lang);
+  }));
+  return cards.join('');
+}
+function generateFileCard(file, previewUrl, lang) {
+  const url = file.url;
+  const uniqueId = `file-checkbox-${encodeURIComponent(url)}`;
+  // Names and remarks come from API and bot uploads as well, so escape markup and not just quotes
+  const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const sanitizedFileName = escapeHtml(file.file_name);
+  const sanitizedRemark = escapeHtml(file.remark);
+  const fullDate = formatDate(file.created_at);
+  const timestamp = new Date(file.created_at).getTime() || 0;
+  const storageType = file.storage_type || 'telegram';
+  const isPrivate = file.is_private ? 1 : 0;
+  return `
+    <div class="file-card" data-timestamp="${timestamp}" data-url="${url}" data-category-id="${file.category_id || ''}" data-file-name="${sanitizedFileName}" data-remark="${sanitizedRemark}" data-private="${isPrivate}">
+      <div class="file-info-wrapper">
+          <input type="checkbox" id="${uniqueId}" name="selectedFile" class="file-checkbox" value="${url}">
+          <div class="file-preview">
+            ${getPreviewHtml(previewUrl, lang)}
+          </div>
+          <div class="file-info">
+              <div class="info-item name-col" title="${getFileName(url)}\n${t(lang, 'admin.card.originalName')} ${sanitizedFileName || t(lang, 'common.none')}">
+                  <b>${t(lang, 'admin.card.newName')}</b> ${getFileName(url)} <span class="storage-badge storage-${storageType.toLowerCase()}">${storageType.toUpperCase()}</span><span class="private-badge"${isPrivate ? '' : ' style="display:none"'}>${t(lang, 'admin.card.private')}</span><br>
+                  <span class="original-name"><b>${t(lang, 'admin.card.originalName')}</b> ${sanitizedFileName || t(lang, 'common.none')}</span>${file.owner_name ? `<br><span class="original-name"><b>${t(lang, 'admin.card.owner')}</b> ${file.owner_name}</span>` : ''}
+              </div>
+              <div class="info-item size-col"><b>${t(lang, 'admin.card.size')}</b> ${formatSize(file.file_size)}</div>
+              <div class="info-item date-col" title="${fullDate}${file.expires_at ? `\n${t(lang, 'admin.card.expires')} ${formatDate(file.expires_at)}` : ''}"><b>${t(lang, 'admin.card.uploaded')}</b> ${fullDate}${file.expires_at ? `<br><span class="expire-text"><b>${t(lang, 'admin.card.expires')}</b> ${formatDate(file.expires_at)}</span>` : ''}</div>
+              <div class="info-item category-col"><b>${t(lang, 'admin.card.category')}</b> <span class="category-name">${escapeHtml(file.category_name || t(lang, 'common.noCategory'))}</span></div>
+              <div class="info-item remark-col" title="${sanitizedRemark || t(lang, 'common.none')}"><b>${t(lang, 'admin.card.remark')}</b> <span class="remark-text">${sanitizedRemark || t(lang, 'common.none')}</span></div>
+          </div>
+      </div>
+      <div class="file-actions">
+        <button class="btn btn-share" onclick="shareFile('${url}')">${t(lang, 'admin.card.share')}</button>
+        <button class="btn btn-delete" onclick="showConfirmModal(tr('confirmTrashOne'), () => deleteFile('${url}'))">${t(lang, 'admin.card.delete')}</button>
+        <button class="btn btn-edit" onclick="showEditSuffixModal('${url}')">${t(lang, 'admin.card.rename')}</button>
+      </div>
+    </div>
+  `;
+}
+function getPreviewHtml(url, lang) {
+  const ext = (getFileName(url).split('.').pop() || '').toLowerCase();
   const isImage = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'icon'].includes(ext);
   const isVideo = ['mp4', 'webm'].includes(ext);
   const isAudio = ['mp3', 'wav', 'ogg'].includes(ext);
   if (isImage) {
-    return `<img src="${url}" alt="预览" loading="lazy">`;
+    return `<img src="${url}" alt="${t(lang, 'admin.card.preview')}" loading="lazy">`;
+
   } else if (isVideo) {
     return `<video src="${url}" controls preload="metadata"></video>`;
   } else if (isAudio) {
@@ -2286,8 +4191,42 @@ async function handleFileRequest(request, config) {
     if (!path) {
       return new Response('Not Found', { status: 404 });
     }
+    let file;
+    const urlPattern = `https://${config.domain}/${path}`;
+    file = await config.database.prepare('SELECT * FROM files WHERE url = ?').bind(urlPattern).first();
+    if (!file) {
+      file = await config.database.prepare('SELECT * FROM files WHERE fileId = ?').bind(path).first();
+    }
+    if (!file) {
+      const fileName = path.split('/').pop();
+      file = await config.database.prepare('SELECT * FROM files WHERE file_name = ?').bind(fileName).first();
+    }
+    if (file && file.deleted_at) {
+      return new Response('File not found', { status: 404 });
+    }
+    if (file && file.expires_at && file.expires_at <= Date.now()) {
+      return new Response('File has expired', {
+        status: 410,
+        headers: { 'Cache-Control': 'no-store' }
+      });
+    }
+    let cacheControl = 'public, max-age=31536000';
+    if (file && file.is_private) {
+      const signature = await verifySignedRequest(config, path, url.searchParams);
+      if (!signature.valid) {
+        console.warn(`拒绝访问私有文件 ${path}: ${signature.reason}`);
+        return new Response(signature.reason === 'expired' ? 'Share link has expired' : 'This file is private', {
+          status: 403,
+          headers: { 'Cache-Control': 'no-store' }
+        });
+      }
+      cacheControl = `private, max-age=${signature.expires - Math.floor(Date.now() / 1000)}`;
+    }
     const cacheKey = `file:${path}`;
-    if (config.fileCache && config.fileCache.has(cacheKey)) {
+    const isHeadRequest = request.method === 'HEAD';
+    const rangeHeader = request.headers.get('Range');
+    const useCache = !isHeadRequest && !rangeHeader;
+    if (useCache && config.fileCache && config.fileCache.has(cacheKey)) {
       const cachedData = config.fileCache.get(cacheKey);
       if (Date.now() - cachedData.timestamp < config.fileCacheTTL) {
         console.log(`从缓存提供文件: ${path}`);
@@ -2314,77 +4253,77 @@ async function handleFileRequest(request, config) {
           contentType.startsWith('audio/')) {
         headers.set('Content-Disposition', 'inline');
       }
-      headers.set('Cache-Control', 'public, max-age=31536000');
+      headers.set('Cache-Control', cacheControl);
+      headers.set('Accept-Ranges', 'bytes');
       return headers;
     };
-    if (config.bucket) {
-      try {
-        const object = await config.bucket.get(path);
-        if (object) {
-          const contentType = object.httpMetadata.contentType || getContentType(path.split('.').pop());
-          const headers = getCommonHeaders(contentType);
-          object.writeHttpMetadata(headers);
-          headers.set('etag', object.httpEtag);
-          return cacheAndReturnResponse(new Response(object.body, { headers }));
-        }
-      } catch (error) {
-        if (error.name !== 'NoSuchKey') {
-          console.error('R2获取文件错误:', error.name);
+    const respondWithStoredFile = (stored, fallbackContentType) => {
+      const contentType = stored.contentType || fallbackContentType || getContentType(path.split('.').pop());
+      const headers = getCommonHeaders(contentType);
+      if (stored.size) headers.set('Content-Length', String(stored.size));
+      if (stored.etag) headers.set('etag', stored.etag);
+      return cacheAndReturnResponse(new Response(stored.body, { headers }));
+    };
+    const serveFromAdapter = async (adapter, file, fallbackContentType) => {
+      if (useCache) {
+        const stored = await adapter.get(config, file);
+        return stored ? respondWithStoredFile(stored, fallbackContentType) : null;
+      }
+      const info = await adapter.head(config, file);
+      if (!info) {
+        return null;
+      }
+      const headers = getCommonHeaders(info.contentType || fallbackContentType || getContentType(path.split('.').pop()));
+      if (info.etag) headers.set('etag', info.etag);
+      const range = rangeHeader ? parseRangeHeader(rangeHeader, info.size) : null;
+      if (range && range.error) {
+        console.warn(`无效的Range请求 (${rangeHeader}): ${range.error}`);
+        return new Response(range.error, {
+          status: 416,
+          headers: { 'Content-Range': `bytes */${info.size}`, 'Accept-Ranges': 'bytes' }
+        });
+      }
+      if (!range) {
+        if (info.size) headers.set('Content-Length', String(info.size));
+        if (isHeadRequest) {
+          return new Response(null, { headers });
         }
+        const stored = await adapter.get(config, file);
+        return stored ? new Response(stored.body, { headers }) : null;
       }
-    }
-    let file;
-    const urlPattern = `https://${config.domain}/${path}`;
-    file = await config.database.prepare('SELECT * FROM files WHERE url = ?').bind(urlPattern).first();
-    if (!file) {
-      file = await config.database.prepare('SELECT * FROM files WHERE fileId = ?').bind(path).first();
-    }
-    if (!file) {
-      const fileName = path.split('/').pop();
-      file = await config.database.prepare('SELECT * FROM files WHERE file_name = ?').bind(fileName).first();
-    }
+      headers.set('Content-Range', `bytes ${range.offset}-${range.offset + range.length - 1}/${info.size}`);
+      headers.set('Content-Length', String(range.length));
+      if (isHeadRequest) {
+        return new Response(null, { status: 206, headers });
+      }
+      const stored = await adapter.get(config, file, { range });
+      return stored ? new Response(stored.body, { status: 206, headers }) : null;
+    };
     if (!file) {
-      return new Response('File not found', { status: 404 });
-    }
-    if (file.storage_type === 'telegram') {
-      try {
-        const telegramFileId = file.fileId;
-        if (!telegramFileId) {
-          console.error('文件记录缺少Telegram fileId');
-          return new Response('Missing Telegram file ID', { status: 500 });
-        }
-        const response = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/getFile?file_id=${telegramFileId}`);
-        const data = await response.json();
-        if (!data.ok) {
-          console.error('Telegram getFile 失败:', data.description);
-          return new Response('Failed to get file from Telegram', { status: 500 });
-        }
-        const telegramUrl = `https://api.telegram.org/file/bot${config.tgBotToken}/${data.result.file_path}`;
-        const fileResponse = await fetch(telegramUrl);
-        if (!fileResponse.ok) {
-          console.error(`从Telegram获取文件失败: ${fileResponse.status}`);
-          return new Response('Failed to fetch file from Telegram', { status: fileResponse.status });
+      if (storageAdapters.r2.isAvailable(config)) {
+        try {
+          const response = await serveFromAdapter(storageAdapters.r2, { fileId: path });
+          if (response) {
+            return response;
+          }
+        } catch (error) {
+          if (error.name !== 'NoSuchKey') {
+            console.error('R2获取文件错误:', error.name);
+          }
         }
-        const contentType = file.mime_type || getContentType(path.split('.').pop());
-        const headers = getCommonHeaders(contentType);
-        return cacheAndReturnResponse(new Response(fileResponse.body, { headers }));
-      } catch (error) {
-        console.error('处理Telegram文件出错:', error.message);
-        return new Response('Error processing Telegram file', { status: 500 });
       }
+      return new Response('File not found', { status: 404 });
     }
-    else if (file.storage_type === 'r2' && config.bucket) {
+    const adapter = isStorageType(file.storage_type || 'telegram') ? storageAdapters[file.storage_type || 'telegram'] : null;
+    if (adapter && adapter.isAvailable(config)) {
       try {
-        const object = await config.bucket.get(file.fileId);
-        if (object) {
-          const contentType = object.httpMetadata.contentType || file.mime_type || getContentType(path.split('.').pop());
-          const headers = getCommonHeaders(contentType);
-          object.writeHttpMetadata(headers);
-          headers.set('etag', object.httpEtag);
-          return cacheAndReturnResponse(new Response(object.body, { headers }));
+        const response = await serveFromAdapter(adapter, file, file.mime_type);
+        if (response) {
+          return response;
         }
       } catch (error) {
-        console.error('通过fileId从R2获取文件出错:', error.message);
+        console.error(`从${adapter.name}获取文件出错:`, error.message);
+        return new Response(`Failed to fetch file from ${adapter.name}`, { status: 502 });
       }
     }
     if (file.url && file.url !== urlPattern) {
@@ -2396,8 +4335,43 @@ async function handleFileRequest(request, config) {
     return new Response('Internal Server Error', { status: 500 });
   }
 }
+function parseRangeHeader(rangeHeader, size) {
+  const match = /^bytes=(.+)$/i.exec(rangeHeader.trim());
+  if (!match || !size) {
+    return null;
+  }
+  const ranges = match[1].split(',');
+  if (ranges.length > 1) {
+    return { error: '不支持多段Range请求' };
+  }
+  const rangeMatch = /^(\d*)-(\d*)$/.exec(ranges[0].trim());
+  if (!rangeMatch || (!rangeMatch[1] && !rangeMatch[2])) {
+    return null;
+  }
+  let start;
+  let end;
+  if (!rangeMatch[1]) {
+    const suffixLength = Number(rangeMatch[2]);
+    if (suffixLength === 0) {
+      return { error: 'Range范围无效' };
+    }
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = Number(rangeMatch[1]);
+    if (start >= size) {
+      return { error: 'Range超出文件大小' };
+    }
+    end = rangeMatch[2] ? Math.min(Number(rangeMatch[2]), size - 1) : size - 1;
+    if (end < start) {
+      return null;
+    }
+  }
+  return { offset: start, length: end - start + 1 };
+}
 async function handleDeleteRequest(request, config) {
-    if (config.enableAuth && !authenticate(request, config)) {
+    const currentUser = await authenticate(request, config);
+    if (config.enableAuth && !currentUser) {
         return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
             status: 401,
             headers: { 'Content-Type': 'application/json' }
@@ -2412,7 +4386,7 @@ async function handleDeleteRequest(request, config) {
             });
         }
 
-        const file = await config.database.prepare('SELECT * FROM files WHERE url = ?').bind(id).first();
+        const file = await config.database.prepare('SELECT * FROM files WHERE url = ? AND deleted_at IS NULL').bind(id).first();
 
         if (!file) {
             return new Response(JSON.stringify({ status: 0, message: '文件不存在' }), {
@@ -2420,45 +4394,16 @@ async function handleDeleteRequest(request, config) {
                 headers: { 'Content-Type': 'application/json' }
             });
         }
-
-        console.log('准备删除文件:', { fileId: file.fileId, url: file.url, storageType: file.storage_type });
-
-        // Delete from storage (R2 or Telegram)
-        if (file.storage_type === 'r2' && config.bucket && file.fileId) {
-            try {
-                await config.bucket.delete(file.fileId);
-                console.log('已从R2存储中删除文件:', file.fileId);
-            } catch (r2Error) {
-                console.error(`从R2删除文件失败: ${r2Error.message}`);
-                // Continue to delete from DB anyway
-            }
-        } else if (file.storage_type === 'telegram' && file.message_id && file.message_id > 0) {
-            try {
-                const tgResponse = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/deleteMessage?chat_id=${config.tgStorageChatId}&message_id=${file.message_id}`);
-                const tgResult = await tgResponse.json();
-                if (tgResult.ok) {
-                    console.log(`已从Telegram删除消息: ${file.message_id}`);
-                } else {
-                    // Log error but don't stop the process, the message might be already deleted
-                    console.warn(`从Telegram删除消息失败 (可能已被删除): ${tgResult.description}`);
-                }
-            } catch (tgError) {
-                console.error(`从Telegram删除消息时出错: ${tgError.message}`);
-            }
+        if (!canModifyFile(currentUser, file)) {
+            return new Response(JSON.stringify({ status: 0, message: '无权删除他人上传的文件' }), {
+                status: 403,
+                headers: { 'Content-Type': 'application/json' }
+            });
         }
 
-        // Delete from database
-        await config.database.prepare('DELETE FROM files WHERE id = ?').bind(file.id).run();
-        console.log('已从数据库中删除文件记录');
-
-        // Clear cache
-        const cacheKey = `file:${getFileName(file.url)}`;
-        if (config.fileCache && config.fileCache.has(cacheKey)) {
-            config.fileCache.delete(cacheKey);
-            console.log(`已清除文件缓存: ${cacheKey}`);
-        }
+        await trashFile(config, file);
 
-        return new Response(JSON.stringify({ status: 1, message: '删除成功' }), {
+        return new Response(JSON.stringify({ status: 1, message: '已移入回收站' }), {
             headers: { 'Content-Type': 'application/json' }
         });
 
@@ -2667,15 +4612,15 @@ async function sendMessage(chatId, text, botToken, replyToMessageId = null) {
     return null;
   }
 }
-function generateLoginPage() {
+function generateLoginPage(lang) {
   return `<!DOCTYPE html>
-  <html lang="zh-CN">
+  <html lang="${lang}">
   <head>
     <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
-    <meta name="description" content="文件存储与分享平台">
+    <meta name="description" content="${t(lang, 'login.description')}">
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>登录</title>
+    <title>${t(lang, 'login.title')}</title>
     <style>
       body {
         font-family: 'Segoe UI', Arial, sans-serif;
@@ -2769,25 +4714,27 @@ function generateLoginPage() {
   </head>
   <body>
     <div class="container">
+      <div style="text-align: right;">${renderLanguageSwitcher(lang)}</div>
       <div class="header">
-        <h1>登录</h1>
-        <p>请输入管理员账号和密码</p>
+        <h1>${t(lang, 'login.title')}</h1>
+        <p>${t(lang, 'login.subtitle')}</p>
       </div>
       <form id="loginForm">
         <div class="form-group">
-          <label for="username">用户名</label>
+          <label for="username">${t(lang, 'login.username')}</label>
           <input type="text" id="username" name="username" required>
         </div>
         <div class="form-group">
-          <label for="password">密码</label>
+          <label for="password">${t(lang, 'login.password')}</label>
           <input type="password" id="password" name="password" required>
         </div>
-        <button type="submit" class="btn-login">登录</button>
+        <button type="submit" class="btn-login">${t(lang, 'login.submit')}</button>
       </form>
       <div id="errorMessage" class="error-message"></div>
       <div id="successMessage" class="success-message"></div>
     </div>
     <script>
+      const I18N = ${getClientMessages(lang, 'login.js.')};
       const urlParams = new URLSearchParams(window.location.search);
       const redirectPath = urlParams.get('redirect') || '/upload';
       document.getElementById('loginForm').addEventListener('submit', async function(event) {
@@ -2799,7 +4746,7 @@ function generateLoginPage() {
         errorMessage.style.display = 'none';
         successMessage.style.display = 'none';
         if (!username || !password) {
-          errorMessage.textContent = '请输入用户名和密码';
+          errorMessage.textContent = I18N.missingFields;
           errorMessage.style.display = 'block';
           return;
         }
@@ -2812,18 +4759,18 @@ function generateLoginPage() {
             body: JSON.stringify({ username, password })
           });
           if (response.ok) {
-            successMessage.textContent = '登录成功，正在跳转...';
+            successMessage.textContent = I18N.redirecting;
             successMessage.style.display = 'block';
             setTimeout(() => {
               window.location.href = redirectPath;
             }, 1000);
           } else {
             const data = await response.text();
-            errorMessage.textContent = data || '用户名或密码错误';
+            errorMessage.textContent = data || I18N.invalid;
             errorMessage.style.display = 'block';
           }
         } catch (error) {
-          errorMessage.textContent = '登录请求失败，请稍后重试';
+          errorMessage.textContent = I18N.requestFailed;
           errorMessage.style.display = 'block';
           console.error('登录错误:', error);
         }
@@ -2832,15 +4779,15 @@ function generateLoginPage() {
   </body>
   </html>`;
 }
-function generateUploadPage(categoryOptions, storageType) {
+function generateUploadPage(categoryOptions, storageType, lang) {
   return `<!DOCTYPE html>
-  <html lang="zh-CN">
+  <html lang="${lang}">
   <head>
     <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
-    <meta name="description" content="Telegram文件存储与分享平台">
+    <meta name="description" content="${t(lang, 'page.description')}">
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>文件上传</title>
+    <title>${t(lang, 'upload.title')}</title>
     <style>
       body {
         font-family: 'Segoe UI', Arial, sans-serif;
@@ -3212,35 +5159,46 @@ function generateUploadPage(categoryOptions, storageType) {
   <body>
     <div class="container">
       <div class="header">
-        <h1>文件上传</h1>
-        <a href="/admin" class="admin-link">管理文件</a>
+        <h1>${t(lang, 'upload.title')}</h1>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          ${renderLanguageSwitcher(lang)}
+          <a href="/admin" class="admin-link">${t(lang, 'upload.manage')}</a>
+        </div>
       </div>
       <div class="options">
         <select id="categorySelect" class="category-select">
-          <option value="">选择分类</option>
+          <option value="">${t(lang, 'upload.selectCategory')}</option>
           ${categoryOptions}
         </select>
         <div class="new-category">
-          <input type="text" id="newCategoryInput" placeholder="输入新分类名称">
-          <button onclick="createNewCategory()">新建分类</button>
+          <input type="text" id="newCategoryInput" placeholder="${t(lang, 'upload.newCategoryPlaceholder')}">
+          <button onclick="createNewCategory()">${t(lang, 'upload.createCategory')}</button>
         </div>
         <div class="storage-toggle">
           <button class="storage-btn ${storageType === 'telegram' ? 'active' : ''}" data-storage="telegram">Telegram</button>
           <button class="storage-btn ${storageType === 'r2' ? 'active' : ''}" data-storage="r2">R2</button>
+          <button class="storage-btn ${storageType === 's3' ? 'active' : ''}" data-storage="s3">S3</button>
         </div>
+        <select id="expireSelect" class="category-select">
+          <option value="">${t(lang, 'common.expire.never')}</option>
+          <option value="3600">${t(lang, 'common.expire.1h')}</option>
+          <option value="86400">${t(lang, 'common.expire.1d')}</option>
+          <option value="604800">${t(lang, 'common.expire.7d')}</option>
+          <option value="2592000">${t(lang, 'common.expire.30d')}</option>
+        </select>
       </div>
       <div class="upload-area" id="uploadArea">
-        <p>点击选择 或 拖拽文件到此处</p>
+        <p>${t(lang, 'upload.dropHint')}</p>
         <input type="file" id="fileInput" multiple style="display: none">
       </div>
       <div class="preview-area" id="previewArea"></div>
       <div class="url-area">
-        <textarea id="urlArea" readonly placeholder="上传完成后的链接将显示在这里"></textarea>
+        <textarea id="urlArea" readonly placeholder="${t(lang, 'upload.urlPlaceholder')}"></textarea>
         <div class="button-group">
           <div class="button-container">
-            <button onclick="copyUrls('url')">复制URL</button>
-            <button onclick="copyUrls('markdown')">复制Markdown</button>
-            <button onclick="copyUrls('html')">复制HTML</button>
+            <button onclick="copyUrls('url')">${t(lang, 'upload.copyUrl')}</button>
+            <button onclick="copyUrls('markdown')">${t(lang, 'upload.copyMarkdown')}</button>
+            <button onclick="copyUrls('html')">${t(lang, 'upload.copyHtml')}</button>
           </div>
           <div class="copyright">
             <span>© 2025 Copyright by <a href="https://github.com/iawooo/cftc" target="_blank">AWEI's GitHub</a> | <a href="https://awei.nyc.mn/" target="_blank">AWEI</a></span>
@@ -3250,16 +5208,20 @@ function generateUploadPage(categoryOptions, storageType) {
       <!-- 通用确认弹窗 -->
       <div id="confirmModal" class="modal">
         <div class="modal-content">
-          <h3 class="modal-title">提示</h3>
+          <h3 class="modal-title">${t(lang, 'upload.notice')}</h3>
           <p class="modal-message" id="confirmModalMessage"></p>
           <div class="modal-buttons">
-            <button class="modal-button modal-confirm" id="confirmModalConfirm">确认</button>
-            <button class="modal-button modal-cancel" id="confirmModalCancel">取消</button>
+            <button class="modal-button modal-confirm" id="confirmModalConfirm">${t(lang, 'common.confirm')}</button>
+            <button class="modal-button modal-cancel" id="confirmModalCancel">${t(lang, 'common.cancel')}</button>
           </div>
         </div>
       </div>
     </div>
     <script>
+      const I18N = ${getClientMessages(lang, 'upload.js.', 'common.')};
+      function tr(key, params = {}) {
+        return (I18N[key] || key).replace(/\\{(\\w+)\\}/g, (match, name) => name in params ? params[name] : match);
+      }
       async function setBingBackground() {
         try {
           const response = await fetch('/bing', { cache: 'no-store' });
@@ -3296,7 +5258,7 @@ function generateUploadPage(categoryOptions, storageType) {
       async function createNewCategory() {
         const categoryName = newCategoryInput.value.trim();
         if (!categoryName) {
-          showConfirmModal('分类名称不能为空！', null, true);
+          showConfirmModal(tr('emptyCategory'), null, true);
           return;
         }
         try {
@@ -3318,7 +5280,7 @@ function generateUploadPage(categoryOptions, storageType) {
             showConfirmModal(data.msg, null, true);
           }
         } catch (error) {
-          showConfirmModal('创建分类失败：' + error.message, null, true);
+          showConfirmModal(tr('createCategoryFailed', { error: error.message }), null, true);
         }
       }
       function showConfirmModal(message, callback, alertOnly = false) {
@@ -3326,10 +5288,10 @@ function generateUploadPage(categoryOptions, storageType) {
         confirmModalMessage.textContent = message;
         currentConfirmCallback = callback;
         if (alertOnly) {
-          confirmModalConfirm.textContent = '确定';
+          confirmModalConfirm.textContent = tr('ok');
           confirmModalCancel.style.display = 'none';
         } else {
-          confirmModalConfirm.textContent = '确认';
+          confirmModalConfirm.textContent = tr('confirm');
           confirmModalCancel.style.display = 'inline-block';
         }
         confirmModal.classList.add('show');
@@ -3395,7 +5357,7 @@ function generateUploadPage(categoryOptions, storageType) {
         const files = Array.from(e.target.files);
         for (let file of files) {
           if (file.size > config.maxSizeMB * 1024 * 1024) {
-            showConfirmModal(\`文件超过\${config.maxSizeMB}MB限制\`, null, true);
+            showConfirmModal(tr('tooLarge', { size: config.maxSizeMB }), null, true);
             return;
           }
           await uploadFile(file);
@@ -3424,12 +5386,12 @@ function generateUploadPage(categoryOptions, storageType) {
               updateUrlArea();
               preview.classList.add('success');
             } else {
-              const errorMsg = [data.msg, data.error || '未知错误'].filter(Boolean).join(' | ');
+              const errorMsg = [data.msg, data.error || tr('unknownError')].filter(Boolean).join(' | ');
               progressText.textContent = errorMsg;
               preview.classList.add('error');
             }
           } catch (e) {
-            preview.querySelector('.progress-text').textContent = '✗ 响应解析失败';
+            preview.querySelector('.progress-text').textContent = tr('parseFailed');
             preview.classList.add('error');
           }
         });
@@ -3437,6 +5399,7 @@ function generateUploadPage(categoryOptions, storageType) {
         formData.append('file', file);
         formData.append('category', categorySelect.value);
         formData.append('storage_type', document.querySelector('.storage-btn.active').dataset.storage);
+        formData.append('expires_in', document.getElementById('expireSelect').value);
         xhr.open('POST', '/upload');
         xhr.send(formData);
       }
@@ -3489,26 +5452,25 @@ function generateUploadPage(categoryOptions, storageType) {
         }
         navigator.clipboard.writeText(text)
           .then(() => {
-            showConfirmModal('已复制到剪贴板', null, true);
+            showConfirmModal(tr('copied'), null, true);
           })
           .catch(() => {
-            showConfirmModal('复制失败，请手动复制', null, true);
+            showConfirmModal(tr('copyFailed'), null, true);
           });
       }
     </script>
   </body>
   </html>`;
 }
-function generateAdminPage(fileCards, categoryOptions) {
+function generateAdminPage(fileCards, categoryOptions, currentUser, lang) {
   return `<!DOCTYPE html>
-  <html lang="zh-CN">
+  <html lang="${lang}">
   <head>
     <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
-    <meta name="description" content="Telegram文件存储与分享平台">
+    <meta name="description" content="${t(lang, 'page.description')}">
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>文件管理</title>
-    <script src="https://cdn.jsdelivr.net/npm/qrcodejs@1.0.0/qrcode.min.js"></script>
+    <title>${t(lang, 'admin.title')}</title>
     <style>
       :root {
         --list-grid-columns: 40px 3fr 1fr 1.5fr 1fr 2fr 135px;
@@ -3544,6 +5506,11 @@ function generateAdminPage(fileCards, categoryOptions) {
         border-radius: 8px; cursor: pointer; font-size: 0.9rem;
         transition: all 0.3s ease; text-decoration: none;
       }
+      .users-btn { background: #8e44ad; }
+      .logout-btn { background: #95a5a6; }
+      .current-user { color: #2c3e50; font-size: 0.9rem; }
+      .read-only .action-bar, .read-only .btn-delete, .read-only .btn-edit,
+      .read-only .upload-link, .read-only .share-private-label, .read-only .uploader-config-btn { display: none; }
       .view-switcher { display: flex; }
       .view-switcher button { border-radius: 0; cursor: pointer; }
       .view-switcher button:first-child { border-top-left-radius: 8px; border-bottom-left-radius: 8px; }
@@ -3567,6 +5534,8 @@ function generateAdminPage(fileCards, categoryOptions) {
       .select-all-btn { background: #3498db; }
       .delete-files-btn, .delete-category-btn { background: #e74c3c; }
       .remark-btn { background: #9b59b6; }
+      .expire-btn { background: #e67e22; }
+      .expire-text { color: #e67e22; }
       .change-category-btn { background: #27ae60; }
       .action-button:hover { transform: translateY(-2px); box-shadow: 0 4px 8px rgba(0,0,0,0.15); }
 
@@ -3576,6 +5545,11 @@ function generateAdminPage(fileCards, categoryOptions) {
       }
       .storage-telegram { background-color: #3498db; }
       .storage-r2 { background-color: #f39c12; }
+      .storage-s3 { background-color: #16a085; }
+      .private-badge {
+        display: inline-block; padding: 2px 6px; font-size: 0.75em; font-weight: bold;
+        color: white; border-radius: 5px; margin-left: 4px; vertical-align: middle; background-color: #8e44ad;
+      }
 
       /* Grid View */
       .grid-view { display: grid; grid-template-columns: repeat(auto-fill, minmax(250px, 1fr)); gap: 1.5rem; }
@@ -3649,11 +5623,13 @@ function generateAdminPage(fileCards, categoryOptions) {
       }
       .modal-confirm { background: #3498db; color: white; }
       .modal-cancel { background: #95a5a6; color: white; }
-      #editSuffixModal input, #remarkModal textarea {
+      #editSuffixModal input, #remarkModal textarea, #shareModal input[type="text"], #shareModal select, #expireModal select {
         width: 100%; padding: 0.8rem; margin: 1rem 0; border: 2px solid #dfe6e9;
         border-radius: 8px; font-size: 1rem; box-sizing: border-box;
       }
       #remarkModal textarea { height: 100px; resize: vertical; }
+      .share-private-label { display: flex; align-items: center; gap: 0.5rem; justify-content: center; color: #34495e; }
+      .share-qr { display: none; width: 180px; height: 180px; margin: 0 auto 0.5rem; }
 
       @media (max-width: 992px) {
         :root { --list-grid-columns: 40px 2fr 1fr 1.2fr 135px; }
@@ -3678,18 +5654,18 @@ function generateAdminPage(fileCards, categoryOptions) {
       }
     </style>
   </head>
-  <body>
+  <body class="${hasRole(currentUser, 'uploader') ? '' : 'read-only'}">
     <div class="container">
       <div class="header">
-        <h2>文件管理</h2>
+        <h2>${t(lang, 'admin.title')}</h2>
         <div class="header-right">
-          <input type="text" id="search-input" class="search" placeholder="搜索文件名/备注...">
+          <input type="text" id="search-input" class="search" placeholder="${t(lang, 'admin.searchPlaceholder')}">
           <select id="category-filter" class="category-filter">
-            <option value="">所有分类</option>
+            <option value="">${t(lang, 'admin.allCategories')}</option>
             ${categoryOptions}
           </select>
-          <button id="sort-toggle-btn" class="sort-toggle-btn" title="切换排序">
-            <span>排序</span>
+          <button id="sort-toggle-btn" class="sort-toggle-btn" title="${t(lang, 'admin.sortToggle')}">
+            <span>${t(lang, 'admin.sort')}</span>
             <svg id="sort-desc-icon" xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16">
               <path fill-rule="evenodd" d="M8 1a.5.5 0 0 1 .5.5v11.793l3.146-3.147a.5.5 0 0 1 .708.708l-4 4a.5.5 0 0 1-.708 0l-4-4a.5.5 0 0 1 .708-.708L7.5 13.293V1.5A.5.5 0 0 1 8 1z"/>
             </svg>
@@ -3698,56 +5674,77 @@ function generateAdminPage(fileCards, categoryOptions) {
             </svg>
           </button>
           <div class="view-switcher">
-            <button id="list-view-btn" class="view-btn" title="列表视图">
+            <button id="list-view-btn" class="view-btn" title="${t(lang, 'admin.listView')}">
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M2.5 12a.5.5 0 0 1 .5-.5h10a.5.5 0 0 1 0 1H3a.5.5 0 0 1-.5-.5m0-4a.5.5 0 0 1 .5-.5h10a.5.5 0 0 1 0 1H3a.5.5 0 0 1-.5-.5m0-4a.5.5 0 0 1 .5-.5h10a.5.5 0 0 1 0 1H3a.5.5 0 0 1-.5-.5"/></svg>
             </button>
-            <button id="grid-view-btn" class="view-btn active" title="网格视图">
+            <button id="grid-view-btn" class="view-btn active" title="${t(lang, 'admin.gridView')}">
                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M1 2.5A1.5 1.5 0 0 1 2.5 1h3A1.5 1.5 0 0 1 7 2.5v3A1.5 1.5 0 0 1 5.5 7h-3A1.5 1.5 0 0 1 1 5.5zM2.5 2a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5zM1 9.5A1.5 1.5 0 0 1 2.5 8h3A1.5 1.5 0 0 1 7 9.5v3A1.5 1.5 0 0 1 5.5 14h-3A1.5 1.5 0 0 1 1 12.5zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5zM9 2.5A1.5 1.5 0 0 1 10.5 1h3A1.5 1.5 0 0 1 15 2.5v3A1.5 1.5 0 0 1 13.5 7h-3A1.5 1.5 0 0 1 9 5.5zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5zM9 9.5A1.5 1.5 0 0 1 10.5 8h3A1.5 1.5 0 0 1 15 9.5v3A1.5 1.5 0 0 1 13.5 14h-3A1.5 1.5 0 0 1 9 12.5zm1.5-.5a.5.5 0 0 0-.5.5v3a.5.5 0 0 0 .5.5h3a.5.5 0 0 0 .5-.5v-3a.5.5 0 0 0-.5-.5z"/></svg>
             </button>
           </div>
-          <a href="/upload" class="return-btn">返回上传</a>
+          ${currentUser ? `<span class="current-user">👤 ${currentUser.username}（${ROLE_LEVELS[currentUser.role] ? t(lang, `role.${currentUser.role}`) : currentUser.role}）</span>` : ''}
+          ${hasRole(currentUser, 'admin') ? `<a href="/admin/users" class="return-btn users-btn">${t(lang, 'admin.nav.users')}</a>` : ''}
+          ${hasRole(currentUser, 'admin') ? `<a href="/admin/tokens" class="return-btn users-btn">${t(lang, 'admin.nav.tokens')}</a>` : ''}
+          ${hasRole(currentUser, 'admin') ? `<a href="/admin/audit" class="return-btn users-btn">${t(lang, 'admin.nav.audit')}</a>` : ''}
+          ${hasRole(currentUser, 'admin') ? `<a href="/admin/migrations" class="return-btn users-btn">${t(lang, 'admin.nav.migrations')}</a>` : ''}
+          ${hasRole(currentUser, 'admin') ? `<a href="/admin/diagnostics" class="return-btn users-btn">${t(lang, 'admin.nav.diagnostics')}</a>` : ''}
+          ${hasRole(currentUser, 'uploader') ? `<a href="/admin/duplicates" class="return-btn users-btn">${t(lang, 'admin.nav.duplicates')}</a>` : ''}
+          ${hasRole(currentUser, 'uploader') ? `<a href="/admin/trash" class="return-btn users-btn">${t(lang, 'admin.nav.trash')}</a>` : ''}
+          ${currentUser && currentUser.sessionId ? `<a href="/admin/sessions" class="return-btn users-btn">${t(lang, 'admin.nav.sessions')}</a>` : ''}
+          <button class="return-btn users-btn uploader-config-btn" data-uploader="sharex">${t(lang, 'admin.nav.sharex')}</button>
+          <button class="return-btn users-btn uploader-config-btn" data-uploader="picgo">${t(lang, 'admin.nav.picgo')}</button>
+          <a href="/upload" class="return-btn upload-link">${t(lang, 'admin.nav.upload')}</a>
+          ${currentUser && currentUser.sessionId ? `<a href="/logout" class="return-btn logout-btn">${t(lang, 'admin.nav.logout')}</a>` : ''}
+          ${renderLanguageSwitcher(lang)}
         </div>
       </div>
       <div class="action-bar">
         <div class="action-bar-left">
-          <h3>文件操作：</h3>
-          <button class="action-button select-all-btn" id="selectAllBtn">全选/取消</button>
-          <button class="action-button delete-files-btn" id="deleteFilesBtn">删除选中</button>
-          <button class="action-button remark-btn" id="remarkFilesBtn">添加备注</button>
+          <h3>${t(lang, 'admin.fileActions')}</h3>
+          <button class="action-button select-all-btn" id="selectAllBtn">${t(lang, 'admin.selectAll')}</button>
+          <button class="action-button delete-files-btn" id="deleteFilesBtn">${t(lang, 'admin.deleteSelected')}</button>
+          <button class="action-button remark-btn" id="remarkFilesBtn">${t(lang, 'admin.addRemark')}</button>
+          <button class="action-button expire-btn" id="expireFilesBtn">${t(lang, 'admin.setExpiry')}</button>
         </div>
         <div class="action-bar-right">
-          <h3>分类管理：</h3>
+          <h3>${t(lang, 'admin.categoryActions')}</h3>
            <select id="moveToCategorySelect" class="category-filter">
-                <option value="">移动到分类...</option>
+                <option value="">${t(lang, 'admin.moveToPlaceholder')}</option>
                 ${categoryOptions}
             </select>
-            <button class="action-button change-category-btn" id="changeCategoryBtn">移动</button>
+            <button class="action-button change-category-btn" id="changeCategoryBtn">${t(lang, 'admin.move')}</button>
           <select id="categoryDeleteSelect" name="categoryDeleteSelect" class="category-filter">
-             <option value="">删除分类...</option>
+             <option value="">${t(lang, 'admin.deleteCategoryPlaceholder')}</option>
             ${categoryOptions}
           </select>
-          <button class="action-button delete-category-btn" id="deleteCategoryBtn">删除分类</button>
+          <button class="action-button delete-category-btn" id="deleteCategoryBtn">${t(lang, 'admin.deleteCategory')}</button>
         </div>
       </div>
       <div id="listHeader" class="list-header" style="display: none;">
-        <div>名称</div>
-        <div>大小</div>
-        <div>修改时间</div>
-        <div>分类</div>
-        <div>备注</div>
-        <div>操作</div>
+        <div>${t(lang, 'admin.column.name')}</div>
+        <div>${t(lang, 'admin.column.size')}</div>
+        <div>${t(lang, 'admin.column.modified')}</div>
+        <div>${t(lang, 'admin.column.category')}</div>
+        <div>${t(lang, 'admin.column.remark')}</div>
+        <div>${t(lang, 'admin.column.actions')}</div>
       </div>
       <div id="fileGrid" class="grid-view">
         ${fileCards}
       </div>
       <!-- Modals -->
-      <div id="confirmModal" class="modal"><div class="modal-content"><h3 class="modal-title">确认操作</h3><p class="modal-message" id="confirmModalMessage"></p><div class="modal-buttons"><button class="modal-button modal-confirm" id="confirmModalConfirm">确认</button><button class="modal-button modal-cancel" id="confirmModalCancel">取消</button></div></div></div>
-      <div id="editSuffixModal" class="modal"><div class="modal-content"><h3 class="modal-title">重命名文件</h3><input type="text" id="editSuffixInput" placeholder="输入新的文件名 (不含扩展名)"><div class="modal-buttons"><button class="modal-button modal-confirm" id="editSuffixConfirm">确认</button><button class="modal-button modal-cancel" id="editSuffixCancel">取消</button></div></div></div>
-      <div id="remarkModal" class="modal"><div class="modal-content"><h3 class="modal-title">添加/修改备注</h3><textarea id="remarkInput" placeholder="输入备注信息..."></textarea><div class="modal-buttons"><button class="modal-button modal-confirm" id="remarkConfirm">确认</button><button class="modal-button modal-cancel" id="remarkCancel">取消</button></div></div></div>
+      <div id="confirmModal" class="modal"><div class="modal-content"><h3 class="modal-title">${t(lang, 'admin.modal.confirmTitle')}</h3><p class="modal-message" id="confirmModalMessage"></p><div class="modal-buttons"><button class="modal-button modal-confirm" id="confirmModalConfirm">${t(lang, 'common.confirm')}</button><button class="modal-button modal-cancel" id="confirmModalCancel">${t(lang, 'common.cancel')}</button></div></div></div>
+      <div id="editSuffixModal" class="modal"><div class="modal-content"><h3 class="modal-title">${t(lang, 'admin.modal.renameTitle')}</h3><input type="text" id="editSuffixInput" placeholder="${t(lang, 'admin.modal.renamePlaceholder')}"><div class="modal-buttons"><button class="modal-button modal-confirm" id="editSuffixConfirm">${t(lang, 'common.confirm')}</button><button class="modal-button modal-cancel" id="editSuffixCancel">${t(lang, 'common.cancel')}</button></div></div></div>
+      <div id="remarkModal" class="modal"><div class="modal-content"><h3 class="modal-title">${t(lang, 'admin.modal.remarkTitle')}</h3><textarea id="remarkInput" placeholder="${t(lang, 'admin.modal.remarkPlaceholder')}"></textarea><div class="modal-buttons"><button class="modal-button modal-confirm" id="remarkConfirm">${t(lang, 'common.confirm')}</button><button class="modal-button modal-cancel" id="remarkCancel">${t(lang, 'common.cancel')}</button></div></div></div>
+      <div id="expireModal" class="modal"><div class="modal-content"><h3 class="modal-title">${t(lang, 'admin.modal.expireTitle')}</h3><select id="expireSelect"><option value="">${t(lang, 'common.expire.never')}</option><option value="3600">${t(lang, 'common.expire.1h')}</option><option value="86400">${t(lang, 'common.expire.1d')}</option><option value="604800">${t(lang, 'common.expire.7d')}</option><option value="2592000">${t(lang, 'common.expire.30d')}</option></select><div class="modal-buttons"><button class="modal-button modal-confirm" id="expireConfirm">${t(lang, 'common.confirm')}</button><button class="modal-button modal-cancel" id="expireCancel">${t(lang, 'common.cancel')}</button></div></div></div>
+      <div id="shareModal" class="modal"><div class="modal-content"><h3 class="modal-title">${t(lang, 'admin.modal.shareTitle')}</h3><label class="share-private-label"><input type="checkbox" id="sharePrivateInput">${t(lang, 'admin.modal.sharePrivate')}</label><select id="shareTtlSelect"><option value="3600">${t(lang, 'common.expire.1h')}</option><option value="86400" selected>${t(lang, 'common.expire.1d')}</option><option value="604800">${t(lang, 'common.expire.7d')}</option><option value="2592000">${t(lang, 'common.expire.30d')}</option></select><input type="text" id="shareLinkInput" readonly placeholder="${t(lang, 'admin.modal.shareLinkPlaceholder')}"><img id="shareQrImage" class="share-qr" alt="${t(lang, 'admin.modal.shareQrAlt')}"><div class="modal-buttons"><button class="modal-button modal-confirm" id="shareConfirm">${t(lang, 'admin.js.shareGenerate')}</button><button class="modal-button modal-cancel" id="shareCancel">${t(lang, 'common.close')}</button></div></div></div>
     </div>
     <script>
+      const I18N = ${getClientMessages(lang, 'admin.js.', 'common.')};
+      function tr(key, params = {}) {
+        return (I18N[key] || key).replace(/\\{(\\w+)\\}/g, (match, name) => name in params ? params[name] : match);
+      }
       let currentConfirmCallback = null;
       let currentEditUrl = '';
+      let currentShareUrl = '';
       let searchTimeout;
       let currentSortOrder = 'desc';
 
@@ -3757,12 +5754,16 @@ function generateAdminPage(fileCards, categoryOptions) {
         const selectAllBtn = document.getElementById('selectAllBtn');
         const deleteFilesBtn = document.getElementById('deleteFilesBtn');
         const remarkFilesBtn = document.getElementById('remarkFilesBtn');
+        const expireFilesBtn = document.getElementById('expireFilesBtn');
         const changeCategoryBtn = document.getElementById('changeCategoryBtn');
         const deleteCategoryBtn = document.getElementById('deleteCategoryBtn');
         const editSuffixConfirm = document.getElementById('editSuffixConfirm');
         const editSuffixCancel = document.getElementById('editSuffixCancel');
         const remarkConfirm = document.getElementById('remarkConfirm');
         const remarkCancel = document.getElementById('remarkCancel');
+        const shareConfirm = document.getElementById('shareConfirm');
+        const shareCancel = document.getElementById('shareCancel');
+        const sharePrivateInput = document.getElementById('sharePrivateInput');
         const listViewBtn = document.getElementById('list-view-btn');
         const gridViewBtn = document.getElementById('grid-view-btn');
         const sortToggleBtn = document.getElementById('sort-toggle-btn');
@@ -3793,12 +5794,21 @@ function generateAdminPage(fileCards, categoryOptions) {
         selectAllBtn.addEventListener('click', toggleSelectAll);
         deleteFilesBtn.addEventListener('click', confirmDeleteSelected);
         remarkFilesBtn.addEventListener('click', showRemarkModal);
+        expireFilesBtn.addEventListener('click', showExpireModal);
+        document.getElementById('expireConfirm').addEventListener('click', updateExpiryForSelected);
+        document.getElementById('expireCancel').addEventListener('click', () => document.getElementById('expireModal').classList.remove('show'));
         changeCategoryBtn.addEventListener('click', confirmChangeCategory);
         deleteCategoryBtn.addEventListener('click', confirmDeleteCategory);
         editSuffixConfirm.addEventListener('click', updateFileSuffix);
         editSuffixCancel.addEventListener('click', () => document.getElementById('editSuffixModal').classList.remove('show'));
         remarkConfirm.addEventListener('click', updateRemarkForSelected);
         remarkCancel.addEventListener('click', () => document.getElementById('remarkModal').classList.remove('show'));
+        shareConfirm.addEventListener('click', generateShareLink);
+        shareCancel.addEventListener('click', () => document.getElementById('shareModal').classList.remove('show'));
+        document.querySelectorAll('.uploader-config-btn').forEach(btn => {
+          btn.addEventListener('click', () => downloadUploaderConfig(btn.dataset.uploader));
+        });
+        sharePrivateInput.addEventListener('change', updateShareTtlVisibility);
         listViewBtn.addEventListener('click', () => setViewMode('list'));
         gridViewBtn.addEventListener('click', () => setViewMode('grid'));
         sortToggleBtn.addEventListener('click', toggleSortOrder);
@@ -3911,8 +5921,8 @@ function generateAdminPage(fileCards, categoryOptions) {
 
       function confirmDeleteSelected() {
         const urls = getSelectedFileUrls();
-        if (urls.length === 0) return showConfirmModal('请先选择文件！', null, true);
-        showConfirmModal(\`确定要删除选中的 \${urls.length} 个文件吗？\`, () => deleteSelectedFiles(urls));
+        if (urls.length === 0) return showConfirmModal(tr('selectFirst'), null, true);
+        showConfirmModal(tr('confirmTrashSelected', { count: urls.length }), () => deleteSelectedFiles(urls));
       }
 
       async function deleteSelectedFiles(urls) {
@@ -3922,20 +5932,20 @@ function generateAdminPage(fileCards, categoryOptions) {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ urls })
           });
-          if (!response.ok) throw new Error((await response.json()).error || '批量删除失败');
+          if (!response.ok) throw new Error((await response.json()).error || tr('batchDeleteFailed'));
           urls.forEach(url => document.querySelector(\`.file-card[data-url="\${url}"]\`)?.remove());
-          showConfirmModal('批量删除成功', null, true);
+          showConfirmModal(tr('trashed'), null, true);
         } catch (error) {
-          showConfirmModal('批量删除失败: ' + error.message, null, true);
+          showConfirmModal(tr('batchDeleteError', { error: error.message }), null, true);
         }
       }
 
       function confirmDeleteCategory() {
         const select = document.getElementById('categoryDeleteSelect');
         const categoryId = select.value;
-        if (!categoryId) return showConfirmModal('请选择要删除的分类', null, true);
+        if (!categoryId) return showConfirmModal(tr('selectCategoryToDelete'), null, true);
         const categoryName = select.options[select.selectedIndex].text;
-        showConfirmModal(\`确定要删除分类 "\${categoryName}" 吗？相关文件将移至默认分类。\`, () => deleteCategory(categoryId));
+        showConfirmModal(tr('confirmDeleteCategory', { name: categoryName }), () => deleteCategory(categoryId));
       }
 
       async function deleteCategory(categoryId) {
@@ -3948,13 +5958,13 @@ function generateAdminPage(fileCards, categoryOptions) {
           const data = await response.json();
           showConfirmModal(data.msg, data.status === 1 ? () => window.location.reload() : null, true);
         } catch (error) {
-          showConfirmModal('删除分类失败: ' + error.message, null, true);
+          showConfirmModal(tr('deleteCategoryError', { error: error.message }), null, true);
         }
       }
 
       function showRemarkModal() {
         const urls = getSelectedFileUrls();
-        if (urls.length === 0) return showConfirmModal('请先选择文件！', null, true);
+        if (urls.length === 0) return showConfirmModal(tr('selectFirst'), null, true);
         document.getElementById('remarkInput').value = '';
         document.getElementById('remarkModal').classList.add('show');
       }
@@ -3976,27 +5986,74 @@ function generateAdminPage(fileCards, categoryOptions) {
                     const card = document.querySelector(\`.file-card[data-url="\${url}"]\`);
                     if (card) {
                         card.dataset.remark = remark;
-                        card.querySelector('.remark-text').textContent = remark || '无';
-                        card.querySelector('.remark-col').title = remark || '无';
+                        card.querySelector('.remark-text').textContent = remark || tr('none');
+                        card.querySelector('.remark-col').title = remark || tr('none');
                     }
                 });
                 showConfirmModal(data.msg, null, true);
             } else {
-                showConfirmModal(data.msg || '更新备注失败', null, true);
+                showConfirmModal(data.msg || tr('updateRemarkFailed'), null, true);
             }
         } catch (error) {
-            showConfirmModal('更新备注时出错：' + error.message, null, true);
+            showConfirmModal(tr('updateRemarkError', { error: error.message }), null, true);
+        }
+      }
+
+      function showExpireModal() {
+        const urls = getSelectedFileUrls();
+        if (urls.length === 0) return showConfirmModal(tr('selectFirst'), null, true);
+        document.getElementById('expireSelect').value = '';
+        document.getElementById('expireModal').classList.add('show');
+      }
+
+      async function updateExpiryForSelected() {
+        const urls = getSelectedFileUrls();
+        if (urls.length === 0) return;
+        document.getElementById('expireModal').classList.remove('show');
+        try {
+          const response = await fetch('/update-expiry', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ urls, expiresIn: document.getElementById('expireSelect').value })
+          });
+          const data = await response.json();
+          showConfirmModal(data.msg || tr('setExpiryFailed'), data.status === 1 ? () => window.location.reload() : null, true);
+        } catch (error) {
+          showConfirmModal(tr('setExpiryError', { error: error.message }), null, true);
+        }
+      }
+
+      async function downloadUploaderConfig(type) {
+        try {
+          const response = await fetch('/admin/uploader-config', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type })
+          });
+          if (!response.ok) {
+            const data = await response.json();
+            return showConfirmModal(data.msg || tr('configFailed'), null, true);
+          }
+          const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+          const link = document.createElement('a');
+          link.href = URL.createObjectURL(await response.blob());
+          link.download = fileName ? fileName[1] : 'cftc-config.json';
+          link.click();
+          URL.revokeObjectURL(link.href);
+          showConfirmModal(tr('configDownloaded'), null, true);
+        } catch (error) {
+          showConfirmModal(tr('configError', { error: error.message }), null, true);
         }
       }
 
       function confirmChangeCategory() {
         const urls = getSelectedFileUrls();
-        if (urls.length === 0) return showConfirmModal('请先选择文件！', null, true);
+        if (urls.length === 0) return showConfirmModal(tr('selectFirst'), null, true);
         const categorySelect = document.getElementById('moveToCategorySelect');
         const categoryId = categorySelect.value;
-        if (categoryId === "") return showConfirmModal('请选择一个目标分类！', null, true);
+        if (categoryId === "") return showConfirmModal(tr('selectTargetCategory'), null, true);
         const categoryName = categorySelect.options[categorySelect.selectedIndex].text;
-        showConfirmModal(\`确定要将选中的 \${urls.length} 个文件移动到分类 "\${categoryName}" 吗？\`, () => changeCategoryForSelected(urls, categoryId, categoryName));
+        showConfirmModal(tr('confirmMove', { count: urls.length, name: categoryName }), () => changeCategoryForSelected(urls, categoryId, categoryName));
       }
 
       async function changeCategoryForSelected(urls, categoryId, categoryName) {
@@ -4012,16 +6069,16 @@ function generateAdminPage(fileCards, categoryOptions) {
                     const card = document.querySelector(\`.file-card[data-url="\${url}"]\`);
                     if (card) {
                         card.dataset.categoryId = categoryId;
-                        card.querySelector('.category-name').textContent = categoryName || '无分类';
+                        card.querySelector('.category-name').textContent = categoryName || tr('noCategory');
                     }
                 });
                 filterFiles();
                 showConfirmModal(data.msg, null, true);
             } else {
-                showConfirmModal(data.msg || '移动分类失败', null, true);
+                showConfirmModal(data.msg || tr('moveFailed'), null, true);
             }
         } catch (error) {
-             showConfirmModal('移动分类时出错：' + error.message, null, true);
+             showConfirmModal(tr('moveError', { error: error.message }), null, true);
         }
       }
 
@@ -4038,7 +6095,7 @@ function generateAdminPage(fileCards, categoryOptions) {
       }
 
       function handleWindowClick(event) {
-        ['confirmModal', 'editSuffixModal', 'remarkModal'].forEach(id => {
+        ['confirmModal', 'editSuffixModal', 'remarkModal', 'shareModal', 'expireModal'].forEach(id => {
             const modal = document.getElementById(id);
             if (event.target === modal) modal.classList.remove('show');
         });
@@ -4064,7 +6121,7 @@ function generateAdminPage(fileCards, categoryOptions) {
           const data = await response.json();
           showConfirmModal(data.msg, data.status === 1 ? () => window.location.reload() : null, true);
         } catch (error) {
-          showConfirmModal('重命名时出错：' + error.message, null, true);
+          showConfirmModal(tr('renameError', { error: error.message }), null, true);
         }
       }
 
@@ -4075,16 +6132,67 @@ function generateAdminPage(fileCards, categoryOptions) {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ id: url })
           });
-          if (!response.ok) throw new Error((await response.json()).message || '删除失败');
+          if (!response.ok) throw new Error((await response.json()).message || tr('deleteFailed'));
           document.querySelector(\`.file-card[data-url="\${url}"]\`)?.remove();
-          showConfirmModal('文件删除成功', null, true);
+          showConfirmModal(tr('fileTrashed'), null, true);
         } catch (error) {
-          showConfirmModal('文件删除失败: ' + error.message, null, true);
+          showConfirmModal(tr('fileDeleteError', { error: error.message }), null, true);
         }
       }
 
       function shareFile(url) {
-        navigator.clipboard.writeText(url).then(() => showConfirmModal('分享链接已复制!', null, true));
+        currentShareUrl = url;
+        const card = document.querySelector(\`.file-card[data-url="\${url}"]\`);
+        document.getElementById('sharePrivateInput').checked = card?.dataset.private === '1';
+        document.getElementById('shareLinkInput').value = '';
+        document.getElementById('shareQrImage').style.display = 'none';
+        updateShareTtlVisibility();
+        document.getElementById('shareModal').classList.add('show');
+      }
+
+      function updateShareTtlVisibility() {
+        const isPrivate = document.getElementById('sharePrivateInput').checked;
+        document.getElementById('shareTtlSelect').style.display = isPrivate ? 'block' : 'none';
+      }
+
+      async function generateShareLink() {
+        const url = currentShareUrl;
+        const card = document.querySelector(\`.file-card[data-url="\${url}"]\`);
+        const isPrivate = document.getElementById('sharePrivateInput').checked;
+        try {
+          if (card && isPrivate !== (card.dataset.private === '1')) {
+            const response = await fetch('/update-private', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ urls: [url], isPrivate })
+            });
+            const data = await response.json();
+            if (data.status !== 1) throw new Error(data.msg || tr('updatePrivateFailed'));
+            card.dataset.private = isPrivate ? '1' : '0';
+            card.querySelector('.private-badge').style.display = isPrivate ? '' : 'none';
+          }
+          const response = await fetch('/share', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url, ttl: document.getElementById('shareTtlSelect').value })
+          });
+          const data = await response.json();
+          if (data.status !== 1) throw new Error(data.msg || tr('shareFailed'));
+          const linkInput = document.getElementById('shareLinkInput');
+          linkInput.value = data.url;
+          linkInput.select();
+          const qrImage = document.getElementById('shareQrImage');
+          qrImage.src = '/qr?format=svg&url=' + encodeURIComponent(data.url);
+          qrImage.style.display = 'block';
+          // Keep the dialog open so the QR code can be scanned
+          navigator.clipboard.writeText(data.url).then(() => {
+            const shareConfirm = document.getElementById('shareConfirm');
+            shareConfirm.textContent = tr('shareCopied');
+            setTimeout(() => { shareConfirm.textContent = tr('shareGenerate'); }, 2000);
+          }).catch(() => {});
+        } catch (error) {
+          showConfirmModal(tr('shareError', { error: error.message }), null, true);
+        }
       }
 
       function getFileName(url) {
@@ -4109,335 +6217,3460 @@ function generateAdminPage(fileCards, categoryOptions) {
   </body>
   </html>`;
 }
-async function handleUpdateSuffixRequest(request, config) {
-  try {
-    const { url, suffix } = await request.json();
-    if (!url || !suffix) {
-      return new Response(JSON.stringify({
-        status: 0,
-        msg: '文件链接和新名称不能为空'
-      }), { headers: { 'Content-Type': 'application/json' } });
-    }
-    const originalFileName = getFileName(url);
-    let fileRecord = await config.database.prepare('SELECT * FROM files WHERE url = ?')
-      .bind(url).first();
-    if (!fileRecord) {
-      fileRecord = await config.database.prepare('SELECT * FROM files WHERE fileId = ?')
-        .bind(originalFileName).first();
-      if (!fileRecord) {
-        return new Response(JSON.stringify({
-          status: 0,
-          msg: '未找到对应的文件记录'
-        }), { headers: { 'Content-Type': 'application/json' } });
+function generateUsersPage(users, currentUser, lang) {
+  const roleOptions = (selectedRole) => Object.keys(ROLE_LEVELS)
+    .map(role => `<option value="${role}"${role === selectedRole ? ' selected' : ''}>${t(lang, `role.${role}`)}</option>`)
+    .join('');
+  const userRows = users.map(user => `
+          <tr data-id="${user.id}">
+            <td>${user.username}${currentUser && currentUser.id === user.id ? ` <span class="self-badge">${t(lang, 'users.self')}</span>` : ''}</td>
+            <td><select class="role-select" onchange="updateUser(${user.id}, { role: this.value })">${roleOptions(user.role)}</select></td>
+            <td>${formatDate(user.created_at)}</td>
+            <td>
+              <button class="btn btn-edit" onclick="resetPassword(${user.id}, '${user.username}')">${t(lang, 'users.resetPassword')}</button>
+              <button class="btn btn-delete" onclick="deleteUser(${user.id}, '${user.username}')">${t(lang, 'common.delete')}</button>
+            </td>
+          </tr>`).join('');
+  return `<!DOCTYPE html>
+  <html lang="${lang}">
+  <head>
+    <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t(lang, 'users.title')}</title>
+    <style>
+      body {
+        font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px;
+        min-height: 100vh; background: linear-gradient(135deg, #f0f4f8, #d9e2ec);
+        box-sizing: border-box;
       }
-    }
-    const fileExt = originalFileName.split('.').pop();
-    const newFileName = `${suffix}.${fileExt}`;
-    let fileUrl = `https://${config.domain}/${newFileName}`;
-    const existingFile = await config.database.prepare('SELECT * FROM files WHERE fileId = ? AND id != ?')
-      .bind(newFileName, fileRecord.id).first();
-    if (existingFile) {
-      return new Response(JSON.stringify({
-        status: 0,
-        msg: '文件名已存在，无法修改'
-      }), { headers: { 'Content-Type': 'application/json' } });
-    }
-    const existingUrl = await config.database.prepare('SELECT * FROM files WHERE url = ? AND id != ?')
-      .bind(fileUrl, fileRecord.id).first();
-    if (existingUrl) {
+      .container { max-width: 1000px; margin: 0 auto; }
+      .header, .panel {
+        background: rgba(255, 255, 255, 0.95); padding: 1.5rem; border-radius: 15px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); margin-bottom: 1.5rem;
+      }
+      .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; }
+      h2 { color: #2c3e50; margin: 0; font-size: 1.8rem; }
+      h3 { color: #2c3e50; margin: 0 0 1rem; }
+      .return-btn {
+        background: #2ecc71; color: white; padding: 0.7rem 1.5rem; border: none;
+        border-radius: 8px; cursor: pointer; font-size: 0.9rem; text-decoration: none;
+      }
+      .create-form { display: flex; gap: 1rem; flex-wrap: wrap; }
+      .create-form input, .create-form select, .role-select {
+        padding: 0.7rem; border: 2px solid #dfe6e9; border-radius: 8px; font-size: 0.9rem; background: #fff;
+      }
+      .create-form button {
+        padding: 0.7rem 1.5rem; background: #3498db; color: white; border: none; border-radius: 8px; cursor: pointer;
+      }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 0.8rem; text-align: left; border-bottom: 1px solid #ecf0f1; }
+      th { color: #7f8c8d; font-weight: 600; }
+      .btn { padding: 0.5rem 1rem; border: none; border-radius: 6px; cursor: pointer; color: white; }
+      .btn-edit { background: #9b59b6; }
+      .btn-delete { background: #e74c3c; }
+      .self-badge {
+        display: inline-block; padding: 2px 6px; font-size: 0.75em; color: white;
+        border-radius: 5px; background-color: #3498db; margin-left: 4px;
+      }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>${t(lang, 'users.title')}</h2>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          ${renderLanguageSwitcher(lang)}
+          <a href="/admin" class="return-btn">${t(lang, 'common.backToAdmin')}</a>
+        </div>
+      </div>
+      <div class="panel">
+        <h3>${t(lang, 'users.create')}</h3>
+        <div class="create-form">
+          <input type="text" id="newUsername" placeholder="${t(lang, 'users.username')}">
+          <input type="password" id="newPassword" placeholder="${t(lang, 'users.passwordPlaceholder')}">
+          <select id="newRole">${roleOptions('uploader')}</select>
+          <button onclick="createUser()">${t(lang, 'common.create')}</button>
+        </div>
+      </div>
+      <div class="panel">
+        <h3>${t(lang, 'users.list')}</h3>
+        <table>
+          <thead><tr><th>${t(lang, 'users.username')}</th><th>${t(lang, 'users.role')}</th><th>${t(lang, 'common.createdAt')}</th><th>${t(lang, 'common.actions')}</th></tr></thead>
+          <tbody>${userRows}</tbody>
+        </table>
+      </div>
+    </div>
+    <script>
+      const I18N = ${getClientMessages(lang, 'users.js.', 'common.')};
+      function tr(key, params = {}) {
+        return (I18N[key] || key).replace(/\\{(\\w+)\\}/g, (match, name) => name in params ? params[name] : match);
+      }
+
+      async function postJson(path, body) {
+        const response = await fetch(path, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        return response.json();
+      }
+
+      async function createUser() {
+        const data = await postJson('/admin/users/create', {
+          username: document.getElementById('newUsername').value.trim(),
+          password: document.getElementById('newPassword').value,
+          role: document.getElementById('newRole').value
+        });
+        alert(data.msg);
+        if (data.status === 1) window.location.reload();
+      }
+
+      async function updateUser(id, changes) {
+        const data = await postJson('/admin/users/update', { id, ...changes });
+        alert(data.msg);
+        if (data.status !== 1) window.location.reload();
+      }
+
+      function resetPassword(id, username) {
+        const password = prompt(tr('newPassword', { username }));
+        if (password) updateUser(id, { password });
+      }
+
+      async function deleteUser(id, username) {
+        if (!confirm(tr('confirmDelete', { username }))) return;
+        const data = await postJson('/admin/users/delete', { id });
+        alert(data.msg);
+        if (data.status === 1) window.location.reload();
+      }
+    </script>
+  </body>
+  </html>`;
+}
+function generateSessionsPage(sessions, currentUser, lang) {
+  const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const sessionRows = sessions.map(session => `
+          <tr>
+            <td>${escapeHtml(session.username)}</td>
+            <td title="${escapeHtml(session.user_agent)}">${escapeHtml(describeUserAgent(session.user_agent, lang))}${currentUser && currentUser.sessionId === session.id ? ` <span class="self-badge">${t(lang, 'sessions.current')}</span>` : ''}</td>
+            <td>${escapeHtml(session.ip || t(lang, 'sessions.unknown'))}</td>
+            <td>${formatDate(session.last_seen)}</td>
+            <td>${formatDate(session.expires_at)}</td>
+            <td><button class="btn btn-delete" onclick="revokeSession(${session.id})">${t(lang, 'sessions.revoke')}</button></td>
+          </tr>`).join('');
+  return `<!DOCTYPE html>
+  <html lang="${lang}">
+  <head>
+    <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t(lang, 'sessions.title')}</title>
+    <style>
+      body {
+        font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px;
+        min-height: 100vh; background: linear-gradient(135deg, #f0f4f8, #d9e2ec);
+        box-sizing: border-box;
+      }
+      .container { max-width: 1000px; margin: 0 auto; }
+      .header, .panel {
+        background: rgba(255, 255, 255, 0.95); padding: 1.5rem; border-radius: 15px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); margin-bottom: 1.5rem;
+      }
+      .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; }
+      h2 { color: #2c3e50; margin: 0; font-size: 1.8rem; }
+      .return-btn {
+        background: #2ecc71; color: white; padding: 0.7rem 1.5rem; border: none;
+        border-radius: 8px; cursor: pointer; font-size: 0.9rem; text-decoration: none;
+      }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 0.8rem; text-align: left; border-bottom: 1px solid #ecf0f1; }
+      th { color: #7f8c8d; font-weight: 600; }
+      .btn { padding: 0.5rem 1rem; border: none; border-radius: 6px; cursor: pointer; color: white; }
+      .btn-delete { background: #e74c3c; }
+      .self-badge {
+        display: inline-block; padding: 2px 6px; font-size: 0.75em; color: white;
+        border-radius: 5px; background-color: #3498db; margin-left: 4px;
+      }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>${t(lang, 'sessions.title')}</h2>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          ${renderLanguageSwitcher(lang)}
+          <a href="/admin" class="return-btn">${t(lang, 'common.backToAdmin')}</a>
+        </div>
+      </div>
+      <div class="panel">
+        <table>
+          <thead><tr><th>${t(lang, 'sessions.user')}</th><th>${t(lang, 'sessions.device')}</th><th>IP</th><th>${t(lang, 'sessions.lastSeen')}</th><th>${t(lang, 'sessions.expiresAt')}</th><th>${t(lang, 'common.actions')}</th></tr></thead>
+          <tbody>${sessionRows || `<tr><td colspan="6">${t(lang, 'sessions.empty')}</td></tr>`}</tbody>
+        </table>
+      </div>
+    </div>
+    <script>
+      const I18N = ${getClientMessages(lang, 'sessions.js.')};
+      async function revokeSession(id) {
+        if (!confirm(I18N.confirmRevoke)) return;
+        const response = await fetch('/admin/sessions/revoke', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ id })
+        });
+        const data = await response.json();
+        alert(data.msg);
+        if (data.status === 1) window.location.reload();
+      }
+    </script>
+  </body>
+  </html>`;
+}
+function generateAuditPage(entries, filters, page, totalPages, lang) {
+  const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const actionOptions = AUDIT_ACTIONS
+    .map(action => `<option value="${action}"${filters.action === action ? ' selected' : ''}>${t(lang, `audit.actions.${action}`)}</option>`)
+    .join('');
+  const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+  const pageLink = target => {
+    const params = new URLSearchParams(query);
+    params.set('page', target);
+    return `/admin/audit?${params.toString()}`;
+  };
+  const csvParams = new URLSearchParams(query);
+  csvParams.set('format', 'csv');
+  const entryRows = entries.map(entry => `
+          <tr>
+            <td>${formatDate(entry.created_at)}</td>
+            <td>${describeAuditActorType(entry.actor_type, lang)}</td>
+            <td>${escapeHtml(entry.actor)}</td>
+            <td>${escapeHtml(describeAuditAction(entry.action, lang))}</td>
+            <td>${escapeHtml(entry.target)}</td>
+            <td>${escapeHtml(entry.old_value)}</td>
+            <td>${escapeHtml(entry.new_value)}</td>
+            <td>${escapeHtml(entry.ip)}</td>
+          </tr>`).join('');
+  return `<!DOCTYPE html>
+  <html lang="${lang}">
+  <head>
+    <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t(lang, 'audit.title')}</title>
+    <style>
+      body {
+        font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px;
+        min-height: 100vh; background: linear-gradient(135deg, #f0f4f8, #d9e2ec);
+        box-sizing: border-box;
+      }
+      .container { max-width: 1200px; margin: 0 auto; }
+      .header, .panel {
+        background: rgba(255, 255, 255, 0.95); padding: 1.5rem; border-radius: 15px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); margin-bottom: 1.5rem;
+      }
+      .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; }
+      h2 { color: #2c3e50; margin: 0; font-size: 1.8rem; }
+      .return-btn {
+        background: #2ecc71; color: white; padding: 0.7rem 1.5rem; border: none;
+        border-radius: 8px; cursor: pointer; font-size: 0.9rem; text-decoration: none;
+      }
+      .export-btn { background: #3498db; }
+      .filters { display: flex; gap: 0.8rem; flex-wrap: wrap; align-items: center; }
+      .filters input, .filters select {
+        padding: 0.6rem; border: 2px solid #dfe6e9; border-radius: 8px; font-size: 0.9rem; background: #fff;
+      }
+      table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+      th, td { padding: 0.6rem; text-align: left; border-bottom: 1px solid #ecf0f1; word-break: break-all; }
+      th { color: #7f8c8d; font-weight: 600; }
+      .pagination { display: flex; gap: 1rem; justify-content: center; align-items: center; margin-top: 1rem; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>${t(lang, 'audit.title')}</h2>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          ${renderLanguageSwitcher(lang)}
+          <a href="/admin/audit?${csvParams.toString()}" class="return-btn export-btn">${t(lang, 'audit.exportCsv')}</a>
+          <a href="/admin" class="return-btn">${t(lang, 'common.backToAdmin')}</a>
+        </div>
+      </div>
+      <div class="panel">
+        <form class="filters" method="GET" action="/admin/audit">
+          <input type="text" name="actor" placeholder="${t(lang, 'audit.actor')}" value="${escapeHtml(filters.actor)}">
+          <select name="action"><option value="">${t(lang, 'audit.allActions')}</option>${actionOptions}</select>
+          <input type="text" name="target" placeholder="${t(lang, 'audit.targetPlaceholder')}" value="${escapeHtml(filters.target)}">
+          <input type="date" name="from" value="${escapeHtml(filters.from)}">
+          <input type="date" name="to" value="${escapeHtml(filters.to)}">
+          <button type="submit" class="return-btn">${t(lang, 'audit.filter')}</button>
+          <a href="/admin/audit">${t(lang, 'audit.reset')}</a>
+        </form>
+      </div>
+      <div class="panel">
+        <table>
+          <thead><tr><th>${t(lang, 'audit.time')}</th><th>${t(lang, 'audit.source')}</th><th>${t(lang, 'audit.actor')}</th><th>${t(lang, 'audit.action')}</th><th>${t(lang, 'audit.target')}</th><th>${t(lang, 'audit.oldValue')}</th><th>${t(lang, 'audit.newValue')}</th><th>IP</th></tr></thead>
+          <tbody>${entryRows || `<tr><td colspan="8">${t(lang, 'audit.empty')}</td></tr>`}</tbody>
+        </table>
+        <div class="pagination">
+          ${page > 1 ? `<a href="${pageLink(page - 1)}">${t(lang, 'audit.prev')}</a>` : ''}
+          <span>${t(lang, 'audit.page', { page, total: Math.max(totalPages, 1) })}</span>
+          ${page < totalPages ? `<a href="${pageLink(page + 1)}">${t(lang, 'audit.next')}</a>` : ''}
+        </div>
+      </div>
+    </div>
+  </body>
+  </html>`;
+}
+function generateDiagnosticsPage(diagnostics, effectiveConfig, lang) {
+  const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const badge = ok => ok === null
+    ? `<span class="badge skipped-badge">${t(lang, 'diagnostics.badge.skipped')}</span>`
+    : (ok ? `<span class="badge applied-badge">${t(lang, 'diagnostics.badge.ok')}</span>` : `<span class="badge failed-badge">${t(lang, 'diagnostics.badge.failed')}</span>`);
+  const checkRows = Object.entries(diagnostics.checks).map(([name, check]) => `
+          <tr>
+            <td>${t(lang, `diagnostics.check.${name}`)}</td>
+            <td>${badge(check.ok)}</td>
+            <td>${escapeHtml(check.detail)}</td>
+            <td>${check.ms} ms</td>
+          </tr>`).join('');
+  const configRows = Object.entries(effectiveConfig).map(([key, value]) => `
+          <tr><td>${key}</td><td>${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</td></tr>`).join('');
+  return `<!DOCTYPE html>
+  <html lang="${lang}">
+  <head>
+    <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t(lang, 'diagnostics.title')}</title>
+    <style>
+      body {
+        font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px;
+        min-height: 100vh; background: linear-gradient(135deg, #f0f4f8, #d9e2ec);
+        box-sizing: border-box;
+      }
+      .container { max-width: 1000px; margin: 0 auto; }
+      .header, .panel {
+        background: rgba(255, 255, 255, 0.95); padding: 1.5rem; border-radius: 15px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); margin-bottom: 1.5rem;
+      }
+      .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; }
+      h2 { color: #2c3e50; margin: 0; font-size: 1.8rem; }
+      h3 { color: #2c3e50; margin-top: 0; }
+      .return-btn {
+        background: #2ecc71; color: white; padding: 0.7rem 1.5rem; border: none;
+        border-radius: 8px; cursor: pointer; font-size: 0.9rem; text-decoration: none;
+      }
+      .export-btn { background: #3498db; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 0.8rem; text-align: left; border-bottom: 1px solid #ecf0f1; word-break: break-all; }
+      th { color: #7f8c8d; font-weight: 600; }
+      .badge { padding: 0.2rem 0.6rem; border-radius: 10px; font-size: 0.8rem; color: white; white-space: nowrap; }
+      .applied-badge { background: #2ecc71; }
+      .failed-badge { background: #e74c3c; }
+      .skipped-badge { background: #95a5a6; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>${t(lang, 'diagnostics.heading', { status: t(lang, `diagnostics.status.${diagnostics.status}`) })}</h2>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          ${renderLanguageSwitcher(lang)}
+          <a href="/admin/diagnostics?format=json" class="return-btn export-btn">JSON</a>
+          <a href="/admin" class="return-btn">${t(lang, 'common.backToAdmin')}</a>
+        </div>
+      </div>
+      <div class="panel">
+        <h3>${t(lang, 'diagnostics.checks')}</h3>
+        <table>
+          <thead><tr><th>${t(lang, 'diagnostics.item')}</th><th>${t(lang, 'diagnostics.state')}</th><th>${t(lang, 'diagnostics.detail')}</th><th>${t(lang, 'diagnostics.duration')}</th></tr></thead>
+          <tbody>${checkRows}</tbody>
+        </table>
+      </div>
+      <div class="panel">
+        <h3>${t(lang, 'diagnostics.config')}</h3>
+        <table>
+          <thead><tr><th>${t(lang, 'diagnostics.configKey')}</th><th>${t(lang, 'diagnostics.configValue')}</th></tr></thead>
+          <tbody>${configRows}</tbody>
+        </table>
+      </div>
+    </div>
+  </body>
+  </html>`;
+}
+function generateSetupPage(status) {
+  const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const badge = ok => ok ? '<span class="badge applied-badge">正常</span>' : '<span class="badge">需要执行</span>';
+  const schemaOk = status.schemaVersion >= status.latestSchemaVersion;
+  const info = status.webhookInfo || {};
+  const webhookRows = status.webhookUrl ? `
+          <tr><td>Webhook</td><td>${badge(status.webhookUpToDate)}</td><td>期望 ${escapeHtml(status.webhookUrl)}<br>当前 ${escapeHtml(info.error || info.url || '未设置')}${info.pending_update_count ? `<br>待处理更新 ${info.pending_update_count}` : ''}${info.last_error_message ? `<br>最近错误 ${escapeHtml(info.last_error_message)}` : ''}</td></tr>
+          <tr><td>机器人命令</td><td>${badge(status.commandsUpToDate)}</td><td>${BOT_COMMANDS.map(command => '/' + command).join(' ')}</td></tr>` : `
+          <tr><td>Webhook</td><td><span class="badge">未配置</span></td><td>未设置 TG_BOT_TOKEN</td></tr>`;
+  return `<!DOCTYPE html>
+  <html lang="zh-CN">
+  <head>
+    <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>初始化</title>
+    <style>
+      body {
+        font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px;
+        min-height: 100vh; background: linear-gradient(135deg, #f0f4f8, #d9e2ec);
+        box-sizing: border-box;
+      }
+      .container { max-width: 1000px; margin: 0 auto; }
+      .header, .panel {
+        background: rgba(255, 255, 255, 0.95); padding: 1.5rem; border-radius: 15px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); margin-bottom: 1.5rem;
+      }
+      .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; }
+      h2 { color: #2c3e50; margin: 0; font-size: 1.8rem; }
+      .return-btn {
+        background: #2ecc71; color: white; padding: 0.7rem 1.5rem; border: none;
+        border-radius: 8px; cursor: pointer; font-size: 0.9rem; text-decoration: none;
+      }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 0.8rem; text-align: left; border-bottom: 1px solid #ecf0f1; word-break: break-all; }
+      th { color: #7f8c8d; font-weight: 600; }
+      .badge { padding: 0.2rem 0.6rem; border-radius: 10px; font-size: 0.8rem; background: #f39c12; color: white; white-space: nowrap; }
+      .applied-badge { background: #2ecc71; }
+      .btn { padding: 0.6rem 1.2rem; border: none; border-radius: 6px; cursor: pointer; color: white; background: #3498db; }
+      #setupResult { margin-top: 1rem; white-space: pre-line; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>初始化</h2>
+        ${schemaOk ? '<a href="/admin" class="return-btn">返回文件管理</a>' : ''}
+      </div>
+      <div class="panel">
+        <table>
+          <thead><tr><th>项目</th><th>状态</th><th>详情</th></tr></thead>
+          <tbody>
+          <tr><td>数据库</td><td>${badge(schemaOk)}</td><td>当前版本 ${status.schemaVersion}，最新版本 ${status.latestSchemaVersion}</td></tr>${webhookRows}
+          </tbody>
+        </table>
+        <p>${status.state ? `上次初始化：${formatDate(status.state.completedAt)}` : '尚未完成初始化'}。初始化只需在首次部署或升级后执行一次，已是最新的步骤会被跳过。</p>
+        <label><input type="checkbox" id="forceSetup"> 强制重新设置 Webhook 和命令</label>
+        <div style="margin-top: 1rem;"><button class="btn" onclick="runSetup()">运行初始化</button></div>
+        <div id="setupResult"></div>
+      </div>
+    </div>
+    <script>
+      async function runSetup() {
+        const result = document.getElementById('setupResult');
+        result.textContent = '正在初始化...';
+        const response = await fetch('/setup', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ force: document.getElementById('forceSetup').checked })
+        });
+        const data = await response.json();
+        const labels = { ok: '✅', skipped: '⏭️', failed: '❌' };
+        result.textContent = data.msg + '\\n' + (data.steps || []).map(step => \`\${labels[step.status]} \${step.name}：\${step.detail}\`).join('\\n');
+        if (data.status === 1) setTimeout(() => window.location.reload(), 1500);
+      }
+    </script>
+  </body>
+  </html>`;
+}
+function generateMigrationsPage(applied, lang) {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const pending = MIGRATIONS.filter(migration => !appliedByVersion.has(migration.version));
+  const migrationRows = MIGRATIONS.map(migration => {
+    const row = appliedByVersion.get(migration.version);
+    return `
+          <tr>
+            <td>${migration.version}</td>
+            <td>${migration.name}</td>
+            <td>${row ? `<span class="badge applied-badge">${t(lang, 'migrations.applied')}</span>` : `<span class="badge">${t(lang, 'migrations.pending')}</span>`}</td>
+            <td>${row ? formatDate(row.applied_at) : ''}</td>
+          </tr>`;
+  }).join('');
+  return `<!DOCTYPE html>
+  <html lang="${lang}">
+  <head>
+    <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t(lang, 'migrations.title')}</title>
+    <style>
+      body {
+        font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px;
+        min-height: 100vh; background: linear-gradient(135deg, #f0f4f8, #d9e2ec);
+        box-sizing: border-box;
+      }
+      .container { max-width: 1000px; margin: 0 auto; }
+      .header, .panel {
+        background: rgba(255, 255, 255, 0.95); padding: 1.5rem; border-radius: 15px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); margin-bottom: 1.5rem;
+      }
+      .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; }
+      h2 { color: #2c3e50; margin: 0; font-size: 1.8rem; }
+      .return-btn {
+        background: #2ecc71; color: white; padding: 0.7rem 1.5rem; border: none;
+        border-radius: 8px; cursor: pointer; font-size: 0.9rem; text-decoration: none;
+      }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 0.8rem; text-align: left; border-bottom: 1px solid #ecf0f1; }
+      th { color: #7f8c8d; font-weight: 600; }
+      .badge { padding: 0.2rem 0.6rem; border-radius: 10px; font-size: 0.8rem; background: #f39c12; color: white; }
+      .applied-badge { background: #2ecc71; }
+      .btn { padding: 0.6rem 1.2rem; border: none; border-radius: 6px; cursor: pointer; color: white; background: #3498db; }
+      .btn:disabled { background: #bdc3c7; cursor: not-allowed; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>${t(lang, 'migrations.title')}</h2>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          ${renderLanguageSwitcher(lang)}
+          <a href="/admin" class="return-btn">${t(lang, 'common.backToAdmin')}</a>
+        </div>
+      </div>
+      <div class="panel">
+        <p>${t(lang, 'migrations.summary', { current: applied.length ? applied[applied.length - 1].version : 0, latest: LATEST_SCHEMA_VERSION })}</p>
+        <button class="btn" onclick="applyMigrations()" ${pending.length ? '' : 'disabled'}>${t(lang, 'migrations.apply', { count: pending.length })}</button>
+      </div>
+      <div class="panel">
+        <table>
+          <thead><tr><th>${t(lang, 'migrations.version')}</th><th>${t(lang, 'migrations.name')}</th><th>${t(lang, 'migrations.status')}</th><th>${t(lang, 'migrations.appliedAt')}</th></tr></thead>
+          <tbody>${migrationRows}</tbody>
+        </table>
+      </div>
+    </div>
+    <script>
+      const I18N = ${getClientMessages(lang, 'migrations.js.')};
+      async function applyMigrations() {
+        if (!confirm(I18N.confirmApply)) return;
+        const response = await fetch('/admin/migrations/apply', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ confirm: true })
+        });
+        const data = await response.json();
+        alert(data.msg);
+        if (data.status === 1) window.location.reload();
+      }
+    </script>
+  </body>
+  </html>`;
+}
+function generateTrashPage(files, retentionDays, canPurge, lang) {
+  const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const fileRows = files.map(file => `
+          <tr>
+            <td><input type="checkbox" class="trash-checkbox" value="${escapeHtml(file.id)}"></td>
+            <td>${escapeHtml(file.file_name || getFileName(file.url))}</td>
+            <td>${formatSize(file.file_size || 0)}</td>
+            <td>${escapeHtml(file.category_name || t(lang, 'common.uncategorized'))}</td>
+            <td>${formatDate(file.deleted_at)}</td>
+            <td>${formatDate(file.deleted_at + retentionDays * 86400000)}</td>
+          </tr>`).join('');
+  return `<!DOCTYPE html>
+  <html lang="${lang}">
+  <head>
+    <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t(lang, 'trash.title')}</title>
+    <style>
+      body {
+        font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px;
+        min-height: 100vh; background: linear-gradient(135deg, #f0f4f8, #d9e2ec);
+        box-sizing: border-box;
+      }
+      .container { max-width: 1000px; margin: 0 auto; }
+      .header, .panel {
+        background: rgba(255, 255, 255, 0.95); padding: 1.5rem; border-radius: 15px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); margin-bottom: 1.5rem;
+      }
+      .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; }
+      h2 { color: #2c3e50; margin: 0; font-size: 1.8rem; }
+      .return-btn {
+        background: #2ecc71; color: white; padding: 0.7rem 1.5rem; border: none;
+        border-radius: 8px; cursor: pointer; font-size: 0.9rem; text-decoration: none;
+      }
+      .actions { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 0.8rem; text-align: left; border-bottom: 1px solid #ecf0f1; word-break: break-all; }
+      th { color: #7f8c8d; font-weight: 600; }
+      .btn { padding: 0.6rem 1.2rem; border: none; border-radius: 6px; cursor: pointer; color: white; }
+      .btn-restore { background: #3498db; }
+      .btn-delete { background: #e74c3c; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>${t(lang, 'trash.title')}</h2>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          ${renderLanguageSwitcher(lang)}
+          <a href="/admin" class="return-btn">${t(lang, 'common.backToAdmin')}</a>
+        </div>
+      </div>
+      <div class="panel">
+        <p>${t(lang, 'trash.summary', { days: retentionDays })}</p>
+        <div class="actions">
+          <button class="btn btn-restore" onclick="restoreSelected()">${t(lang, 'trash.restoreSelected')}</button>
+          ${canPurge ? `<button class="btn btn-delete" onclick="purgeSelected()">${t(lang, 'trash.purgeSelected')}</button>
+          <button class="btn btn-delete" onclick="purgeAll()">${t(lang, 'trash.purgeAll')}</button>` : ''}
+        </div>
+        <table>
+          <thead><tr><th><input type="checkbox" onclick="toggleAll(this.checked)"></th><th>${t(lang, 'trash.file')}</th><th>${t(lang, 'trash.size')}</th><th>${t(lang, 'trash.category')}</th><th>${t(lang, 'trash.deletedAt')}</th><th>${t(lang, 'trash.purgeAt')}</th></tr></thead>
+          <tbody>${fileRows || `<tr><td colspan="6">${t(lang, 'trash.empty')}</td></tr>`}</tbody>
+        </table>
+      </div>
+    </div>
+    <script>
+      const I18N = ${getClientMessages(lang, 'trash.js.', 'common.')};
+      function tr(key, params = {}) {
+        return (I18N[key] || key).replace(/\\{(\\w+)\\}/g, (match, name) => name in params ? params[name] : match);
+      }
+
+      function toggleAll(checked) {
+        document.querySelectorAll('.trash-checkbox').forEach(checkbox => checkbox.checked = checked);
+      }
+
+      function getSelectedIds() {
+        return Array.from(document.querySelectorAll('.trash-checkbox:checked')).map(checkbox => Number(checkbox.value));
+      }
+
+      async function postJson(path, body) {
+        const response = await fetch(path, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        alert(data.msg);
+        if (data.status === 1) window.location.reload();
+      }
+
+      function restoreSelected() {
+        const ids = getSelectedIds();
+        if (ids.length === 0) return alert(tr('selectFirst'));
+        postJson('/admin/trash/restore', { ids });
+      }
+
+      function purgeSelected() {
+        const ids = getSelectedIds();
+        if (ids.length === 0) return alert(tr('selectFirst'));
+        if (!confirm(tr('confirmPurgeSelected', { count: ids.length }))) return;
+        postJson('/admin/trash/purge', { ids });
+      }
+
+      function purgeAll() {
+        if (!confirm(tr('confirmPurgeAll'))) return;
+        postJson('/admin/trash/purge', { all: true });
+      }
+    </script>
+  </body>
+  </html>`;
+}
+function generateDuplicatesPage(groups, stats, lang) {
+  const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const groupPanels = groups.map(files => {
+    const seen = new Set();
+    const rows = files.map((file, index) => {
+      const storageKey = `${file.storage_type}:${file.fileId}`;
+      const label = index === 0
+        ? `<span class="badge keep-badge">${t(lang, 'duplicates.earliest')}</span>`
+        : (seen.has(storageKey) ? `<span class="badge">${t(lang, 'duplicates.alias')}</span>` : '');
+      seen.add(storageKey);
+      return `
+            <tr>
+              <td><a href="${escapeHtml(file.url)}" target="_blank">${escapeHtml(getFileName(file.url))}</a> ${label}</td>
+              <td>${formatSize(file.file_size || 0)}</td>
+              <td>${escapeHtml(file.category_name || t(lang, 'common.uncategorized'))}</td>
+              <td>${escapeHtml(file.storage_type || 'telegram')}</td>
+              <td>${formatDate(file.created_at)}</td>
+              <td>${index === 0 ? '' : `<button class="btn btn-delete" data-url="${escapeHtml(file.url)}" onclick="deleteDuplicate(this.dataset.url)">${t(lang, 'common.delete')}</button>`}</td>
+            </tr>`;
+    }).join('');
+    return `
+      <div class="panel">
+        <h3><code>${files[0].content_hash.slice(0, 16)}…</code>${t(lang, 'duplicates.groupLinks', { count: files.length })}</h3>
+        <table>
+          <thead><tr><th>${t(lang, 'duplicates.file')}</th><th>${t(lang, 'duplicates.size')}</th><th>${t(lang, 'duplicates.category')}</th><th>${t(lang, 'duplicates.storage')}</th><th>${t(lang, 'duplicates.uploadedAt')}</th><th>${t(lang, 'common.actions')}</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+  }).join('');
+  return `<!DOCTYPE html>
+  <html lang="${lang}">
+  <head>
+    <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t(lang, 'duplicates.title')}</title>
+    <style>
+      body {
+        font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px;
+        min-height: 100vh; background: linear-gradient(135deg, #f0f4f8, #d9e2ec);
+        box-sizing: border-box;
+      }
+      .container { max-width: 1000px; margin: 0 auto; }
+      .header, .panel {
+        background: rgba(255, 255, 255, 0.95); padding: 1.5rem; border-radius: 15px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); margin-bottom: 1.5rem;
+      }
+      .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; }
+      h2 { color: #2c3e50; margin: 0; font-size: 1.8rem; }
+      h3 { color: #2c3e50; margin: 0 0 1rem; font-size: 1rem; }
+      .return-btn {
+        background: #2ecc71; color: white; padding: 0.7rem 1.5rem; border: none;
+        border-radius: 8px; cursor: pointer; font-size: 0.9rem; text-decoration: none;
+      }
+      .backfill-btn { background: #3498db; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 0.8rem; text-align: left; border-bottom: 1px solid #ecf0f1; word-break: break-all; }
+      th { color: #7f8c8d; font-weight: 600; }
+      .btn { padding: 0.5rem 1rem; border: none; border-radius: 6px; cursor: pointer; color: white; }
+      .btn-delete { background: #e74c3c; }
+      .badge {
+        display: inline-block; padding: 2px 6px; font-size: 0.75em; color: white;
+        border-radius: 5px; background-color: #95a5a6; margin-left: 4px;
+      }
+      .keep-badge { background-color: #2ecc71; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>${t(lang, 'duplicates.title')}</h2>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          ${renderLanguageSwitcher(lang)}
+          <a href="/admin" class="return-btn">${t(lang, 'common.backToAdmin')}</a>
+        </div>
+      </div>
+      <div class="panel">
+        <p>${t(lang, 'duplicates.intro')}</p>
+        <p id="hashStatus">${t(lang, 'duplicates.pending', { count: stats.pending || 0 })}${stats.unreadable ? t(lang, 'duplicates.unreadable', { count: stats.unreadable }) : ''}</p>
+        ${stats.pending ? `<button class="return-btn backfill-btn" id="backfillBtn" onclick="backfillHashes()">${t(lang, 'duplicates.backfill')}</button>` : ''}
+      </div>
+      ${groupPanels || `<div class="panel">${t(lang, 'duplicates.empty')}</div>`}
+    </div>
+    <script>
+      const I18N = ${getClientMessages(lang, 'duplicates.js.', 'common.')};
+      function tr(key, params = {}) {
+        return (I18N[key] || key).replace(/\\{(\\w+)\\}/g, (match, name) => name in params ? params[name] : match);
+      }
+
+      async function backfillHashes() {
+        const button = document.getElementById('backfillBtn');
+        const status = document.getElementById('hashStatus');
+        button.disabled = true;
+        try {
+          let after = 0;
+          while (true) {
+            const response = await fetch('/admin/duplicates/backfill', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ after })
+            });
+            const data = await response.json();
+            if (data.status !== 1) throw new Error(data.msg);
+            status.textContent = tr('remaining', { msg: data.msg, count: data.remaining });
+            if (data.remaining === 0 || data.processed === 0) break;
+            after = data.lastId;
+          }
+          window.location.reload();
+        } catch (error) {
+          alert(tr('backfillFailed', { error: error.message }));
+          button.disabled = false;
+        }
+      }
+
+      async function deleteDuplicate(url) {
+        if (!confirm(tr('confirmDelete'))) return;
+        const response = await fetch('/delete-multiple', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ urls: [url] })
+        });
+        const data = await response.json();
+        if (data.status !== 1 || data.results.failed) {
+          alert(tr('deleteFailed', { error: data.error || data.results.details.failed[0].reason }));
+        }
+        window.location.reload();
+      }
+    </script>
+  </body>
+  </html>`;
+}
+function generateTokensPage(tokens, lang) {
+  const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const scopeOptions = Object.keys(API_TOKEN_SCOPES)
+    .map(scope => `<option value="${scope}">${t(lang, `tokens.scope.${scope}`)}</option>`)
+    .join('');
+  const tokenRows = tokens.map(token => `
+          <tr>
+            <td>${escapeHtml(token.name)}</td>
+            <td><code>${escapeHtml(token.token_prefix)}…</code></td>
+            <td>${API_TOKEN_SCOPES[token.scope] ? t(lang, `tokens.scope.${token.scope}`) : escapeHtml(token.scope)}</td>
+            <td>${escapeHtml(token.username || t(lang, 'common.none'))}</td>
+            <td>${formatDate(token.created_at)}</td>
+            <td>${token.last_used_at ? formatDate(token.last_used_at) : t(lang, 'tokens.neverUsed')}</td>
+            <td><button class="btn btn-delete" data-name="${escapeHtml(token.name)}" onclick="revokeToken(${token.id}, this.dataset.name)">${t(lang, 'tokens.revoke')}</button></td>
+          </tr>`).join('');
+  return `<!DOCTYPE html>
+  <html lang="${lang}">
+  <head>
+    <link rel="shortcut icon" href="https://tc-212.pages.dev/1744302340226.ico" type="image/x-icon">
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t(lang, 'tokens.title')}</title>
+    <style>
+      body {
+        font-family: 'Segoe UI', Arial, sans-serif; margin: 0; padding: 20px;
+        min-height: 100vh; background: linear-gradient(135deg, #f0f4f8, #d9e2ec);
+        box-sizing: border-box;
+      }
+      .container { max-width: 1000px; margin: 0 auto; }
+      .header, .panel {
+        background: rgba(255, 255, 255, 0.95); padding: 1.5rem; border-radius: 15px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.1); margin-bottom: 1.5rem;
+      }
+      .header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; }
+      h2 { color: #2c3e50; margin: 0; font-size: 1.8rem; }
+      h3 { color: #2c3e50; margin: 0 0 1rem; }
+      .return-btn {
+        background: #2ecc71; color: white; padding: 0.7rem 1.5rem; border: none;
+        border-radius: 8px; cursor: pointer; font-size: 0.9rem; text-decoration: none;
+      }
+      .create-form { display: flex; gap: 1rem; flex-wrap: wrap; }
+      .create-form input, .create-form select {
+        padding: 0.7rem; border: 2px solid #dfe6e9; border-radius: 8px; font-size: 0.9rem; background: #fff;
+      }
+      .create-form button {
+        padding: 0.7rem 1.5rem; background: #3498db; color: white; border: none; border-radius: 8px; cursor: pointer;
+      }
+      .new-token { display: none; margin-top: 1rem; padding: 1rem; background: #fef9e7; border-radius: 8px; word-break: break-all; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 0.8rem; text-align: left; border-bottom: 1px solid #ecf0f1; }
+      th { color: #7f8c8d; font-weight: 600; }
+      .btn { padding: 0.5rem 1rem; border: none; border-radius: 6px; cursor: pointer; color: white; }
+      .btn-delete { background: #e74c3c; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h2>${t(lang, 'tokens.title')}</h2>
+        <div style="display: flex; align-items: center; gap: 1rem;">
+          ${renderLanguageSwitcher(lang)}
+          <a href="/admin" class="return-btn">${t(lang, 'common.backToAdmin')}</a>
+        </div>
+      </div>
+      <div class="panel">
+        <h3>${t(lang, 'tokens.create')}</h3>
+        <div class="create-form">
+          <input type="text" id="tokenName" placeholder="${t(lang, 'tokens.namePlaceholder')}">
+          <select id="tokenScope">${scopeOptions}</select>
+          <button onclick="createToken()">${t(lang, 'common.create')}</button>
+        </div>
+        <div class="new-token" id="newToken"></div>
+      </div>
+      <div class="panel">
+        <h3>${t(lang, 'tokens.list')}</h3>
+        <table>
+          <thead><tr><th>${t(lang, 'tokens.name')}</th><th>${t(lang, 'tokens.token')}</th><th>${t(lang, 'tokens.scope')}</th><th>${t(lang, 'tokens.owner')}</th><th>${t(lang, 'common.createdAt')}</th><th>${t(lang, 'tokens.lastUsed')}</th><th>${t(lang, 'common.actions')}</th></tr></thead>
+          <tbody>${tokenRows || `<tr><td colspan="7">${t(lang, 'tokens.empty')}</td></tr>`}</tbody>
+        </table>
+      </div>
+    </div>
+    <script>
+      const I18N = ${getClientMessages(lang, 'tokens.js.', 'common.')};
+      function tr(key, params = {}) {
+        return (I18N[key] || key).replace(/\\{(\\w+)\\}/g, (match, name) => name in params ? params[name] : match);
+      }
+
+      async function postJson(path, body) {
+        const response = await fetch(path, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        return response.json();
+      }
+
+      async function createToken() {
+        const data = await postJson('/admin/tokens/create', {
+          name: document.getElementById('tokenName').value.trim(),
+          scope: document.getElementById('tokenScope').value
+        });
+        if (data.status !== 1) return alert(data.msg);
+        const newToken = document.getElementById('newToken');
+        newToken.style.display = 'block';
+        newToken.innerHTML = \`<b>\${data.msg}</b><br><code>\${data.token}</code>\`;
+      }
+
+      async function revokeToken(id, name) {
+        if (!confirm(tr('confirmRevoke', { name }))) return;
+        const data = await postJson('/admin/tokens/revoke', { id });
+        alert(data.msg);
+        if (data.status === 1) window.location.reload();
+      }
+    </script>
+  </body>
+  </html>`;
+}
+async function handleUpdateSuffixRequest(request, config) {
+  try {
+    const { url, suffix } = await request.json();
+    if (!url || !suffix) {
       return new Response(JSON.stringify({
         status: 0,
-        msg: '该URL已被使用，请尝试其他名称'
+        msg: '文件链接和新名称不能为空'
       }), { headers: { 'Content-Type': 'application/json' } });
     }
-    console.log('准备更新文件:', {
-      记录ID: fileRecord.id,
-      原URL: fileRecord.url,
-      原fileId: fileRecord.fileId,
-      存储类型: fileRecord.storage_type,
-      新文件名: newFileName,
-      新URL: fileUrl
+    const originalFileName = getFileName(url);
+    let fileRecord = await config.database.prepare('SELECT * FROM files WHERE url = ?')
+      .bind(url).first();
+    if (!fileRecord) {
+      fileRecord = await config.database.prepare('SELECT * FROM files WHERE fileId = ?')
+        .bind(originalFileName).first();
+      if (!fileRecord) {
+        return new Response(JSON.stringify({
+          status: 0,
+          msg: '未找到对应的文件记录'
+        }), { headers: { 'Content-Type': 'application/json' } });
+      }
+    }
+    if (!canModifyFile(await authenticate(request, config), fileRecord)) {
+      return new Response(JSON.stringify({ status: 0, msg: '无权修改他人上传的文件' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const renameResult = await renameStoredFile(config, fileRecord, suffix);
+    return new Response(JSON.stringify({
+      status: 1,
+      msg: '重命名成功',
+      newUrl: renameResult.newUrl
+    }), { headers: { 'Content-Type': 'application/json' } });
+  } catch (error) {
+    console.error('更新文件名失败:', error);
+    return new Response(JSON.stringify({
+      status: 0,
+      msg: '更新文件名失败: ' + error.message
+    }), { headers: { 'Content-Type': 'application/json' } });
+  }
+}
+function generateNewUrl(url, suffix, config) {
+  const fileName = getFileName(url);
+  const newFileName = suffix + '.' + fileName.split('.').pop();
+  return `https://${config.domain}/${newFileName}`;
+}
+function getFileName(url) {
+  try {
+    const urlObj = new URL(url);
+    const pathParts = urlObj.pathname.split('/');
+    return pathParts[pathParts.length - 1];
+  } catch(e) {
+    return url.split('/').pop() || url;
+  }
+}
+function copyToClipboard(text) {
+  navigator.clipboard.writeText(text)
+    .then(() => {
+      showConfirmModal('已复制到剪贴板', null, true);
+    })
+    .catch(() => {
+      showConfirmModal('复制失败，请手动复制', null, true);
+    });
+}
+function getExtensionFromMime(mimeType) {
+  if (!mimeType) return 'jpg';
+  const mimeMap = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp',
+    'image/avif': 'avif',
+    'image/tiff': 'tiff',
+    'image/x-icon': 'ico',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/ogg': 'ogv',
+    'video/x-msvideo': 'avi',
+    'video/quicktime': 'mov',
+    'video/x-ms-wmv': 'wmv',
+    'video/x-flv': 'flv',
+    'video/x-matroska': 'mkv',
+    'video/x-m4v': 'm4v',
+    'video/mp2t': 'ts',
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/ogg': 'ogg',
+    'audio/wav': 'wav',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/flac': 'flac',
+    'audio/x-ms-wma': 'wma',
+    'application/pdf': 'pdf',
+    'application/msword': 'doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.ms-excel': 'xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.ms-powerpoint': 'ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+    'application/rtf': 'rtf',
+    'application/zip': 'zip',
+    'application/x-rar-compressed': 'rar',
+    'application/x-7z-compressed': '7z',
+    'application/x-tar': 'tar',
+    'application/gzip': 'gz',
+    'text/plain': 'txt',
+    'text/markdown': 'md',
+    'text/csv': 'csv',
+    'text/html': 'html',
+    'text/css': 'css',
+    'text/javascript': 'js',
+    'application/javascript': 'js',
+    'application/json': 'json',
+    'application/xml': 'xml',
+    'font/ttf': 'ttf',
+    'font/otf': 'otf',
+    'font/woff': 'woff',
+    'font/woff2': 'woff2',
+    'application/vnd.ms-fontobject': 'eot',
+    'application/octet-stream': 'bin',
+    'application/x-shockwave-flash': 'swf'
+  };
+  return mimeMap[mimeType] || 'bin';
+}
+const storageAdapters = {
+  telegram: {
+    name: 'Telegram',
+    isAvailable: (config) => !!(config.tgBotToken && config.tgStorageChatId),
+    async put(config, { data, fileName, mimeType, preferDocument }) {
+      if (data.byteLength > config.tgChunkSizeMB * 1024 * 1024) {
+        return await putTelegramParts(config, { data, fileName });
+      }
+      return await sendFileToTelegram(config, { data, fileName, mimeType, preferDocument });
+    },
+    async get(config, file, { range } = {}) {
+      if (!file.fileId) {
+        throw new Error('文件记录缺少Telegram fileId');
+      }
+      if (isTelegramPartsFile(file)) {
+        const parts = await getTelegramParts(config, file);
+        if (parts.length === 0) {
+          return null;
+        }
+        return {
+          body: streamTelegramParts(config, parts, range),
+          contentType: file.mime_type,
+          size: parts.reduce((total, part) => total + part.size, 0),
+          etag: null
+        };
+      }
+      const response = await fetchTelegramFile(config, file.fileId);
+      return {
+        body: range ? sliceStream(response.body, range.offset, range.length) : response.body,
+        contentType: file.mime_type,
+        size: Number(response.headers.get('Content-Length')) || null,
+        etag: null
+      };
+    },
+    async head(config, file) {
+      if (isTelegramPartsFile(file)) {
+        const parts = await getTelegramParts(config, file);
+        if (parts.length === 0) {
+          return null;
+        }
+        return { contentType: file.mime_type, size: parts.reduce((total, part) => total + part.size, 0), etag: null };
+      }
+      const telegramFile = await getTelegramFileInfo(config, file.fileId);
+      return { contentType: file.mime_type, size: telegramFile.file_size || file.file_size || null, etag: null };
+    },
+    async delete(config, file) {
+      if (isTelegramPartsFile(file)) {
+        const parts = await getTelegramParts(config, file);
+        let allDeleted = true;
+        for (const part of parts) {
+          allDeleted = await deleteTelegramStorageMessage(config, part.message_id) && allDeleted;
+        }
+        await config.database.prepare('DELETE FROM file_parts WHERE group_id = ?')
+          .bind(file.fileId.slice(TELEGRAM_PARTS_PREFIX.length)).run();
+        return allDeleted;
+      }
+      return await deleteTelegramStorageMessage(config, file.message_id);
+    },
+    async copy(config, file) {
+      return file.fileId;
+    }
+  },
+  r2: {
+    name: 'R2',
+    isAvailable: (config) => !!config.bucket,
+    async put(config, { key, data, mimeType }) {
+      requireStorage('r2', config);
+      await config.bucket.put(key, data, {
+        httpMetadata: { contentType: mimeType || 'application/octet-stream' }
+      });
+      return { fileId: key, messageId: null };
+    },
+    async get(config, file, { range } = {}) {
+      requireStorage('r2', config);
+      const object = await config.bucket.get(file.fileId, range ? { range } : undefined);
+      if (!object) {
+        return null;
+      }
+      return {
+        body: object.body,
+        contentType: object.httpMetadata && object.httpMetadata.contentType,
+        size: object.size,
+        etag: object.httpEtag
+      };
+    },
+    async head(config, file) {
+      requireStorage('r2', config);
+      const object = await config.bucket.head(file.fileId);
+      if (!object) {
+        return null;
+      }
+      return { contentType: object.httpMetadata && object.httpMetadata.contentType, size: object.size, etag: object.httpEtag };
+    },
+    async delete(config, file) {
+      requireStorage('r2', config);
+      if (!file.fileId) {
+        return false;
+      }
+      await config.bucket.delete(file.fileId);
+      console.log('已从R2存储中删除文件:', file.fileId);
+      return true;
+    },
+    async copy(config, file, newKey) {
+      requireStorage('r2', config);
+      const object = await config.bucket.get(file.fileId);
+      if (!object) {
+        return null;
+      }
+      await config.bucket.put(newKey, object.body, { httpMetadata: object.httpMetadata });
+      return newKey;
+    }
+  },
+  s3: {
+    name: 'S3',
+    isAvailable: (config) => isS3Configured(config),
+    async put(config, { key, data, mimeType }) {
+      await s3PutObject(config, key, data, mimeType);
+      return { fileId: key, messageId: null };
+    },
+    async get(config, file, { range } = {}) {
+      const response = await s3GetObject(config, file.fileId, range);
+      if (!response) {
+        return null;
+      }
+      return {
+        body: response.body,
+        contentType: response.headers.get('Content-Type'),
+        size: range ? null : Number(response.headers.get('Content-Length')) || null,
+        etag: response.headers.get('ETag')
+      };
+    },
+    async head(config, file) {
+      const response = await s3Request(config, 'HEAD', file.fileId);
+      if (!response.ok) {
+        return null;
+      }
+      return {
+        contentType: response.headers.get('Content-Type'),
+        size: Number(response.headers.get('Content-Length')) || null,
+        etag: response.headers.get('ETag')
+      };
+    },
+    async delete(config, file) {
+      if (!file.fileId) {
+        return false;
+      }
+      await s3DeleteObject(config, file.fileId);
+      console.log('已从S3存储中删除文件:', file.fileId);
+      return true;
+    },
+    async copy(config, file, newKey) {
+      await s3CopyObject(config, file.fileId, newKey);
+      return newKey;
+    }
+  }
+};
+// Storage types come from clients and the database, so only the registry's own keys count
+function isStorageType(storageType) {
+  return typeof storageType === 'string' && Object.hasOwn(storageAdapters, storageType);
+}
+function getStorageAdapter(storageType) {
+  const adapter = isStorageType(storageType || 'telegram') ? storageAdapters[storageType || 'telegram'] : null;
+  if (!adapter) {
+    throw new Error(`未知的存储类型: ${storageType}`);
+  }
+  return adapter;
+}
+function requireStorage(storageType, config) {
+  const adapter = getStorageAdapter(storageType);
+  if (!adapter.isAvailable(config)) {
+    throw new Error(`${adapter.name}存储未配置`);
+  }
+  return adapter;
+}
+function getTelegramUploadMethod(mimeType, preferDocument) {
+  const [mainType, subType] = (mimeType || '').split('/');
+  if (!preferDocument && mainType === 'image' && !['svg+xml', 'x-icon', 'gif'].includes(subType)) {
+    return { method: 'sendPhoto', field: 'photo' };
+  } else if (!preferDocument && mainType === 'video') {
+    return { method: 'sendVideo', field: 'video' };
+  } else if (!preferDocument && mainType === 'audio') {
+    return { method: 'sendAudio', field: 'audio' };
+  }
+  return { method: 'sendDocument', field: 'document' };
+}
+async function sendFileToTelegram(config, { data, fileName, mimeType, preferDocument = false }) {
+  requireStorage('telegram', config);
+  const { method, field } = getTelegramUploadMethod(mimeType, preferDocument);
+  console.log('Telegram上传方法:', { method, field });
+  const blob = new Blob([data], { type: mimeType });
+  const caption = `File: ${fileName}\nType: ${mimeType}\nSize: ${formatSize(blob.size)}`;
+  const formData = new FormData();
+  formData.append('chat_id', config.tgStorageChatId);
+  formData.append(field, blob, fileName);
+  if (field !== 'photo') {
+    formData.append('caption', caption);
+  }
+  let response = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/${method}`, { method: 'POST', body: formData });
+  let resultField = field;
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`Telegram API错误 (${method}):`, errorText);
+    if (method === 'sendDocument') {
+      throw new Error('Telegram参数配置错误: ' + errorText);
+    }
+    console.log('尝试使用sendDocument方法重新上传');
+    const retryFormData = new FormData();
+    retryFormData.append('chat_id', config.tgStorageChatId);
+    retryFormData.append('document', blob, fileName);
+    retryFormData.append('caption', caption);
+    response = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/sendDocument`, { method: 'POST', body: retryFormData });
+    if (!response.ok) {
+      console.error('Telegram文档上传也失败:', await response.text());
+      throw new Error('Telegram文件上传失败');
+    }
+    resultField = 'document';
+  }
+  const { result } = await response.json();
+  let fileId;
+  if (resultField === 'photo') {
+    fileId = result.photo && result.photo[result.photo.length - 1]?.file_id;
+  } else {
+    fileId = result[resultField]?.file_id || result.document?.file_id;
+  }
+  if (!fileId) throw new Error('未获取到文件ID');
+  if (!result.message_id) throw new Error('未获取到tg消息ID');
+  return { fileId, messageId: result.message_id };
+}
+const TELEGRAM_PARTS_PREFIX = 'parts:';
+function isTelegramPartsFile(file) {
+  return !!(file.fileId && file.fileId.startsWith(TELEGRAM_PARTS_PREFIX));
+}
+async function getTelegramParts(config, file) {
+  const groupId = file.fileId.slice(TELEGRAM_PARTS_PREFIX.length);
+  const parts = await config.database.prepare(
+    'SELECT part_index, tg_file_id, message_id, size FROM file_parts WHERE group_id = ? ORDER BY part_index'
+  ).bind(groupId).all();
+  return parts.results || [];
+}
+async function putTelegramParts(config, { data, fileName }) {
+  const chunkSize = config.tgChunkSizeMB * 1024 * 1024;
+  const groupId = crypto.randomUUID();
+  const parts = [];
+  try {
+    for (let offset = 0; offset < data.byteLength; offset += chunkSize) {
+      const chunk = data.slice(offset, offset + chunkSize);
+      const partIndex = parts.length;
+      const stored = await sendFileToTelegram(config, {
+        data: chunk,
+        fileName: `${fileName}.part${partIndex + 1}`,
+        mimeType: 'application/octet-stream',
+        preferDocument: true
+      });
+      parts.push({ partIndex, size: chunk.byteLength, ...stored });
+      console.log(`分片 ${partIndex + 1} 上传完成: ${chunk.byteLength} 字节`);
+    }
+    await config.database.batch(parts.map(part =>
+      config.database.prepare('INSERT INTO file_parts (group_id, part_index, tg_file_id, message_id, size) VALUES (?, ?, ?, ?, ?)')
+        .bind(groupId, part.partIndex, part.fileId, part.messageId, part.size)
+    ));
+  } catch (error) {
+    console.error('分片上传失败，正在清理已上传的分片:', error);
+    for (const part of parts) {
+      await deleteTelegramStorageMessage(config, part.messageId);
+    }
+    throw error;
+  }
+  return { fileId: `${TELEGRAM_PARTS_PREFIX}${groupId}`, messageId: parts[0].messageId };
+}
+function streamTelegramParts(config, parts, range = null) {
+  if (range) {
+    const rangeEnd = range.offset + range.length;
+    const selectedParts = [];
+    let skipBytes = 0;
+    let partStart = 0;
+    for (const part of parts) {
+      const partEnd = partStart + part.size;
+      if (partEnd > range.offset && partStart < rangeEnd) {
+        if (selectedParts.length === 0) {
+          skipBytes = range.offset - partStart;
+        }
+        selectedParts.push(part);
+      }
+      partStart = partEnd;
+    }
+    return sliceStream(streamTelegramParts(config, selectedParts), skipBytes, range.length);
+  }
+  let partIndex = 0;
+  let reader = null;
+  return new ReadableStream({
+    async pull(controller) {
+      while (true) {
+        if (!reader) {
+          if (partIndex >= parts.length) {
+            controller.close();
+            return;
+          }
+          const response = await fetchTelegramFile(config, parts[partIndex].tg_file_id);
+          partIndex++;
+          reader = response.body.getReader();
+        }
+        const { done, value } = await reader.read();
+        if (done) {
+          reader = null;
+          continue;
+        }
+        controller.enqueue(value);
+        return;
+      }
+    },
+    cancel(reason) {
+      if (reader) {
+        return reader.cancel(reason);
+      }
+    }
+  });
+}
+function sliceStream(stream, offset, length) {
+  const end = offset + length;
+  let position = 0;
+  return stream.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      const chunkStart = position;
+      position += chunk.byteLength;
+      if (position <= offset || chunkStart >= end) {
+        return;
+      }
+      controller.enqueue(chunk.subarray(Math.max(offset - chunkStart, 0), Math.min(end - chunkStart, chunk.byteLength)));
+    }
+  }));
+}
+async function deleteTelegramStorageMessage(config, messageId) {
+  if (!messageId || messageId <= 0) {
+    return false;
+  }
+  try {
+    const response = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/deleteMessage?chat_id=${config.tgStorageChatId}&message_id=${messageId}`);
+    const result = await response.json();
+    if (!result.ok) {
+      console.warn(`从Telegram删除消息失败 (可能已被删除): ${result.description}`);
+      return false;
+    }
+    console.log(`已从Telegram删除消息: ${messageId}`);
+    return true;
+  } catch (error) {
+    console.error(`从Telegram删除消息时出错: ${error.message}`);
+    return false;
+  }
+}
+async function getTelegramFileInfo(config, telegramFileId) {
+  const response = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/getFile?file_id=${telegramFileId}`);
+  const data = await response.json();
+  if (!data.ok) {
+    throw new Error(`Telegram getFile 失败: ${data.description}`);
+  }
+  return data.result;
+}
+async function fetchTelegramFile(config, telegramFileId) {
+  const telegramFile = await getTelegramFileInfo(config, telegramFileId);
+  const response = await fetch(`https://api.telegram.org/file/bot${config.tgBotToken}/${telegramFile.file_path}`);
+  if (!response.ok) {
+    throw new Error(`从Telegram获取文件失败: ${response.status}`);
+  }
+  return response;
+}
+async function findDuplicateFile(config, contentHash, categoryId) {
+  // Prefer a copy that could be handed back as-is: same category, public and permanent
+  return await config.database.prepare(`
+    SELECT * FROM files
+    WHERE content_hash = ? AND deleted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    ORDER BY (category_id = ?) DESC, is_private ASC, (expires_at IS NULL) DESC, id ASC
+    LIMIT 1
+  `).bind(contentHash, Date.now(), categoryId).first();
+}
+async function saveFile(config, { data, fileName, key, mimeType, storageType, categoryId, chatId, sourceMessageId = null, preferDocument = false, expiresAt = null, ownerId = null, isPrivate = false, remark = null, keepKey = false }) {
+  const contentHash = await sha256Hex(data);
+  const duplicate = await findDuplicateFile(config, contentHash, categoryId);
+  if (duplicate) {
+    // keepKey: the caller asked for this exact link, so an existing one will not do
+    if (String(duplicate.category_id) === String(categoryId) && !duplicate.is_private && !isPrivate && !duplicate.expires_at && !expiresAt && !remark && !keepKey) {
+      console.log(`文件内容已存在，返回已有链接: ${duplicate.url}`);
+      return { url: duplicate.url, storageType: duplicate.storage_type, duplicate: true, aliased: false };
+    }
+    // Different category, privacy or expiry: add an alias row that points at the stored copy
+    const url = `https://${config.domain}/${key}`;
+    await config.database.prepare(`
+      INSERT INTO files (url, fileId, message_id, created_at, file_name, file_size, mime_type, storage_type, category_id, chat_id, expires_at, owner_id, is_private, content_hash, remark)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      url,
+      duplicate.fileId,
+      duplicate.message_id,
+      Date.now(),
+      fileName,
+      data.byteLength,
+      mimeType,
+      duplicate.storage_type,
+      categoryId,
+      chatId,
+      expiresAt,
+      ownerId,
+      isPrivate ? 1 : 0,
+      contentHash,
+      remark
+    ).run();
+    await recordAudit(config, { action: 'file.upload', target: url, newValue: `别名 -> ${duplicate.url}` });
+    console.log(`文件内容已存在，创建别名: ${url} -> ${duplicate.url}`);
+    return { url, storageType: duplicate.storage_type, duplicate: true, aliased: true };
+  }
+  let adapter = isStorageType(storageType) ? storageAdapters[storageType] : null;
+  if (!adapter || !adapter.isAvailable(config)) {
+    console.warn(`存储类型 ${storageType} 不可用，改用Telegram存储`);
+    storageType = 'telegram';
+    adapter = requireStorage('telegram', config);
+  }
+  const stored = await adapter.put(config, { key, data, fileName, mimeType, preferDocument });
+  const url = `https://${config.domain}/${key}`;
+  await config.database.prepare(`
+    INSERT INTO files (url, fileId, message_id, created_at, file_name, file_size, mime_type, storage_type, category_id, chat_id, expires_at, owner_id, is_private, content_hash, remark)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    url,
+    stored.fileId,
+    stored.messageId || sourceMessageId || -1,
+    Date.now(),
+    fileName,
+    data.byteLength,
+    mimeType,
+    storageType,
+    categoryId,
+    chatId,
+    expiresAt,
+    ownerId,
+    isPrivate ? 1 : 0,
+    contentHash,
+    remark
+  ).run();
+  await recordAudit(config, { action: 'file.upload', target: url, newValue: `${fileName} (${storageType})` });
+  return { url, storageType, duplicate: false, aliased: false };
+}
+function clearFileCache(config, url) {
+  let cacheKey;
+  try {
+    cacheKey = `file:${decodeURIComponent(getFileName(url))}`;
+  } catch (e) {
+    cacheKey = `file:${getFileName(url)}`;
+  }
+  if (config.fileCache && config.fileCache.has(cacheKey)) {
+    config.fileCache.delete(cacheKey);
+    console.log(`已清除文件缓存: ${cacheKey}`);
+  }
+}
+// Display names live in the message catalog under audit.actions.* and audit.actorType.*
+const AUDIT_ACTIONS = [
+  'file.upload', 'file.delete', 'file.restore', 'file.purge', 'file.rename', 'file.move', 'file.remark', 'file.private', 'file.expiry',
+  'category.create', 'category.rename', 'category.delete',
+  'user.create', 'user.update', 'user.delete',
+  'session.revoke', 'token.create', 'token.revoke', 'schema.migrate', 'app.setup'
+];
+const AUDIT_ACTOR_TYPES = ['web', 'telegram', 'api', 'system'];
+function describeAuditAction(action, lang = DEFAULT_LANGUAGE) {
+  return AUDIT_ACTIONS.includes(action) ? t(lang, `audit.actions.${action}`) : action;
+}
+function describeAuditActorType(actorType, lang = DEFAULT_LANGUAGE) {
+  return AUDIT_ACTOR_TYPES.includes(actorType) ? t(lang, `audit.actorType.${actorType}`) : actorType;
+}
+function auditText(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+function describeExpiry(expiresAt, lang = DEFAULT_LANGUAGE) {
+  return expiresAt ? formatDate(expiresAt) : t(lang, 'common.expire.never');
+}
+async function recordAudit(config, entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) {
+    return;
+  }
+  // The actor is set once per request: web session, Telegram user, API token, or the scheduler
+  const actor = config.auditActor || { actorType: 'system', actor: 'system' };
+  const now = Date.now();
+  try {
+    await config.database.batch(list.map(entry => config.database.prepare(`
+      INSERT INTO audit_log (actor_type, actor, action, target, old_value, new_value, ip, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      actor.actorType,
+      actor.actor,
+      entry.action,
+      auditText(entry.target),
+      auditText(entry.oldValue),
+      auditText(entry.newValue),
+      actor.ip || null,
+      now
+    )));
+  } catch (error) {
+    console.error('写入审计日志失败:', error);
+  }
+}
+async function getFileAuditValues(config, urls, expression) {
+  const values = new Map();
+  for (let i = 0; i < urls.length; i += 50) {
+    const chunk = urls.slice(i, i + 50);
+    const rows = await config.database.prepare(`
+      SELECT f.url, ${expression} as value
+      FROM files f
+      LEFT JOIN categories c ON f.category_id = c.id
+      WHERE f.url IN (${chunk.map(() => '?').join(',')})
+    `).bind(...chunk).all();
+    (rows.results || []).forEach(row => values.set(row.url, row.value));
+  }
+  return values;
+}
+async function getCategoryName(config, id) {
+  if (!id) {
+    return null;
+  }
+  const category = await config.database.prepare('SELECT name FROM categories WHERE id = ?').bind(id).first();
+  return category ? category.name : null;
+}
+async function trashFile(config, file) {
+  await config.database.prepare('UPDATE files SET deleted_at = ? WHERE id = ?').bind(Date.now(), file.id).run();
+  clearFileCache(config, file.url);
+  await recordAudit(config, { action: 'file.delete', target: file.url });
+  console.log(`已移入回收站: ID=${file.id}, URL=${file.url}`);
+}
+async function isStorageShared(config, file) {
+  const other = await config.database.prepare('SELECT id FROM files WHERE fileId = ? AND storage_type = ? AND id != ? LIMIT 1')
+    .bind(file.fileId, file.storage_type, file.id).first();
+  return !!other;
+}
+async function deleteStoredFile(config, file) {
+  console.log('准备删除文件:', { id: file.id, fileId: file.fileId, url: file.url, storageType: file.storage_type });
+  let storageDeleted = false;
+  try {
+    if (await isStorageShared(config, file)) {
+      console.log('存储对象仍被其他链接引用，仅删除数据库记录:', file.fileId);
+    } else {
+      storageDeleted = await getStorageAdapter(file.storage_type).delete(config, file);
+    }
+  } catch (error) {
+    console.error(`从存储中删除文件失败 (${file.storage_type}): ${error.message}`);
+  }
+  await config.database.prepare('DELETE FROM files WHERE id = ?').bind(file.id).run();
+  await recordAudit(config, { action: 'file.purge', target: file.url });
+  console.log(`已从数据库删除记录: ID=${file.id}`);
+  clearFileCache(config, file.url);
+  return storageDeleted;
+}
+async function renameStoredFile(config, fileRecord, suffix) {
+  const originalFileName = getFileName(fileRecord.url);
+  const fileExt = originalFileName.split('.').pop();
+  const newFileName = `${suffix}.${fileExt}`;
+  const fileUrl = `https://${config.domain}/${newFileName}`;
+  const existingFile = await config.database.prepare('SELECT id FROM files WHERE fileId = ? AND id != ?')
+    .bind(newFileName, fileRecord.id).first();
+  if (existingFile) {
+    throw new Error('文件名已存在，无法修改');
+  }
+  const existingUrl = await config.database.prepare('SELECT id FROM files WHERE url = ? AND id != ?')
+    .bind(fileUrl, fileRecord.id).first();
+  if (existingUrl) {
+    throw new Error('该URL已被使用，请尝试其他名称');
+  }
+  console.log('准备更新文件:', {
+    记录ID: fileRecord.id,
+    原URL: fileRecord.url,
+    原fileId: fileRecord.fileId,
+    存储类型: fileRecord.storage_type,
+    新文件名: newFileName,
+    新URL: fileUrl
+  });
+  let newFileId = fileRecord.fileId;
+  const adapter = getStorageAdapter(fileRecord.storage_type);
+  if (adapter.isAvailable(config)) {
+    try {
+      const copiedFileId = await adapter.copy(config, fileRecord, newFileName);
+      if (copiedFileId && copiedFileId !== fileRecord.fileId) {
+        if (!(await isStorageShared(config, fileRecord))) {
+          await adapter.delete(config, fileRecord);
+        }
+        newFileId = copiedFileId;
+      } else if (!copiedFileId) {
+        console.log(`${adapter.name}中未找到文件，只更新数据库记录:`, fileRecord.fileId);
+      }
+    } catch (error) {
+      console.error(`处理${adapter.name}文件重命名失败:`, error);
+    }
+  }
+  await config.database.prepare('UPDATE files SET fileId = ?, url = ?, file_name = ? WHERE id = ?')
+    .bind(newFileId, fileUrl, newFileName, fileRecord.id).run();
+  clearFileCache(config, fileRecord.url);
+  await recordAudit(config, { action: 'file.rename', target: fileUrl, oldValue: fileRecord.url, newValue: fileUrl });
+  console.log('文件更新完成:', { id: fileRecord.id, 新fileId: newFileId, 新URL: fileUrl });
+  return { newUrl: fileUrl, newFileName };
+}
+const API_TOKEN_SCOPES = {
+  full: { permissions: ['read', 'upload', 'write'] },
+  upload: { permissions: ['upload'] },
+  read: { permissions: ['read'] }
+};
+const API_FILE_COLUMNS = `
+  f.id, f.url, f.file_name, f.file_size, f.mime_type, f.storage_type, f.category_id, c.name as category_name,
+  f.remark, f.is_private, f.expires_at, f.created_at, u.username as owner_name
+`;
+function apiResponse(data, status = 200, extra = {}) {
+  return new Response(JSON.stringify({ data, ...extra }), {
+    status,
+    headers: { 'Content-Type': 'application/json;charset=UTF-8', 'Cache-Control': 'no-store' }
+  });
+}
+function apiError(status, code, message) {
+  return new Response(JSON.stringify({ error: { code, message } }), {
+    status,
+    headers: { 'Content-Type': 'application/json;charset=UTF-8', 'Cache-Control': 'no-store' }
+  });
+}
+function serializeApiFile(file) {
+  return {
+    id: file.id,
+    url: file.url,
+    name: getFileName(file.url),
+    original_name: file.file_name,
+    size: file.file_size,
+    mime_type: file.mime_type,
+    storage_type: file.storage_type || 'telegram',
+    category_id: file.category_id,
+    category_name: file.category_name || null,
+    remark: file.remark || '',
+    is_private: !!file.is_private,
+    expires_at: file.expires_at || null,
+    created_at: file.created_at,
+    owner: file.owner_name || null
+  };
+}
+async function getApiFile(config, id) {
+  return await config.database.prepare(`
+    SELECT ${API_FILE_COLUMNS}
+    FROM files f
+    LEFT JOIN categories c ON f.category_id = c.id
+    LEFT JOIN users u ON f.owner_id = u.id
+    WHERE f.id = ? AND f.deleted_at IS NULL
+  `).bind(id).first();
+}
+async function authenticateApiToken(request, config) {
+  const match = (request.headers.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return null;
+  }
+  const token = await config.database.prepare(`
+    SELECT t.id, t.name, t.scope, t.user_id, t.last_used_at, u.username, u.role
+    FROM api_tokens t
+    LEFT JOIN users u ON t.user_id = u.id
+    WHERE t.token_hash = ?
+  `).bind(await sha256Hex(match[1])).first();
+  if (!token || (token.user_id && !token.username)) {
+    return null;
+  }
+  const now = Date.now();
+  if (!token.last_used_at || now - token.last_used_at > SESSION_TOUCH_INTERVAL) {
+    await config.database.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').bind(now, token.id).run();
+  }
+  // Tokens created while auth was disabled have no owner and act as admin
+  const role = token.user_id ? token.role : 'admin';
+  const scopePermissions = (API_TOKEN_SCOPES[token.scope] || API_TOKEN_SCOPES.read).permissions;
+  config.auditActor = {
+    actorType: 'api',
+    actor: `${token.username || 'admin'} / ${token.name}`,
+    ip: getClientIp(request)
+  };
+  return {
+    id: token.id,
+    userId: token.user_id,
+    role,
+    permissions: hasRole({ role }, 'uploader') ? scopePermissions : scopePermissions.filter(p => p === 'read')
+  };
+}
+async function handleApiRequest(request, config) {
+  try {
+    const apiToken = await authenticateApiToken(request, config);
+    if (!apiToken) {
+      return apiError(401, 'unauthorized', '缺少或无效的 API 令牌，请在请求头中提供 Authorization: Bearer <token>');
+    }
+    const segments = new URL(request.url).pathname.slice('/api/v1/'.length).split('/').filter(Boolean);
+    const [resource, id] = segments;
+    const apiRoutes = {
+      'GET files': { permission: 'read', handler: apiListFiles },
+      'POST files': { permission: 'upload', handler: apiUploadFile },
+      'GET files/:id': { permission: 'read', handler: apiGetFile },
+      'PATCH files/:id': { permission: 'write', handler: apiUpdateFile },
+      'DELETE files/:id': { permission: 'write', handler: apiDeleteFile },
+      'GET categories': { permission: 'read', handler: apiListCategories },
+      'POST categories': { permission: 'write', handler: apiCreateCategory },
+      // Changing shared categories needs the same admin role as /delete-category on the web
+      'PATCH categories/:id': { permission: 'write', role: 'admin', handler: apiUpdateCategory },
+      'DELETE categories/:id': { permission: 'write', role: 'admin', handler: apiDeleteCategory }
+    };
+    const routePath = `${resource}${id ? '/:id' : ''}`;
+    const route = segments.length <= 2 ? apiRoutes[`${request.method} ${routePath}`] : null;
+    if (!route) {
+      const pathExists = segments.length <= 2 && Object.keys(apiRoutes).some(key => key.endsWith(` ${routePath}`));
+      return pathExists
+        ? apiError(405, 'method_not_allowed', `不支持的请求方法: ${request.method}`)
+        : apiError(404, 'not_found', '接口不存在');
+    }
+    if (!apiToken.permissions.includes(route.permission)) {
+      return apiError(403, 'forbidden', `该令牌没有 ${route.permission} 权限`);
+    }
+    if (route.role && !hasRole({ role: apiToken.role }, route.role)) {
+      return apiError(403, 'forbidden', '该令牌所属用户权限不足');
+    }
+    if (id !== undefined && !/^\d+$/.test(id)) {
+      return apiError(400, 'invalid_request', 'ID 必须为数字');
+    }
+    return await route.handler(request, config, apiToken, id && parseInt(id, 10));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return apiError(400, 'invalid_json', '请求体不是有效的 JSON');
+    }
+    console.error('[API] 请求处理失败:', error);
+    return apiError(500, 'internal_error', error.message);
+  }
+}
+async function apiListFiles(request, config) {
+  const params = new URL(request.url).searchParams;
+  const page = Math.max(parseInt(params.get('page'), 10) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(params.get('per_page'), 10) || 20, 1), 100);
+  const conditions = ['f.deleted_at IS NULL'];
+  const bindings = [];
+  if (params.get('category_id')) {
+    conditions.push('f.category_id = ?');
+    bindings.push(parseInt(params.get('category_id'), 10));
+  }
+  if (params.get('q')) {
+    conditions.push('(f.file_name LIKE ? OR f.url LIKE ? OR f.remark LIKE ?)');
+    const pattern = `%${params.get('q')}%`;
+    bindings.push(pattern, pattern, pattern);
+  }
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const total = await config.database.prepare(`SELECT COUNT(*) as count FROM files f ${where}`).bind(...bindings).first();
+  const files = await config.database.prepare(`
+    SELECT ${API_FILE_COLUMNS}
+    FROM files f
+    LEFT JOIN categories c ON f.category_id = c.id
+    LEFT JOIN users u ON f.owner_id = u.id
+    ${where}
+    ORDER BY f.created_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(...bindings, perPage, (page - 1) * perPage).all();
+  return apiResponse((files.results || []).map(serializeApiFile), 200, {
+    pagination: { page, per_page: perPage, total: total ? total.count : 0 }
+  });
+}
+async function apiGetFile(request, config, apiToken, id) {
+  const file = await getApiFile(config, id);
+  return file ? apiResponse(serializeApiFile(file)) : apiError(404, 'not_found', '文件不存在');
+}
+async function apiUploadFile(request, config, apiToken) {
+  const result = await saveApiUpload(request, config, apiToken);
+  return result.error || apiResponse(serializeApiFile(result.file), result.duplicate ? 200 : 201, { duplicate: result.duplicate });
+}
+async function saveApiUpload(request, config, apiToken) {
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch (error) {
+    return { error: apiError(400, 'invalid_request', '请使用 multipart/form-data 上传文件') };
+  }
+  // Desktop uploaders let users rename the file field, so fall back to the first file in the form
+  const file = formData.get('file') || [...formData.values()].find(value => typeof value !== 'string');
+  if (!file || typeof file === 'string') {
+    return { error: apiError(400, 'invalid_request', '缺少 file 字段') };
+  }
+  if (file.size > config.maxSizeMB * 1024 * 1024) {
+    return { error: apiError(413, 'file_too_large', `文件超过${config.maxSizeMB}MB限制`) };
+  }
+  let categoryId = parseInt(formData.get('category_id'), 10) || null;
+  if (categoryId) {
+    const category = await config.database.prepare('SELECT id FROM categories WHERE id = ?').bind(categoryId).first();
+    if (!category) {
+      return { error: apiError(400, 'invalid_request', '分类不存在') };
+    }
+  } else {
+    categoryId = await getDefaultCategoryId(config);
+  }
+  const isPrivate = ['1', 'true'].includes(formData.get('is_private'));
+  if (isPrivate && !config.shareSecret) {
+    return { error: apiError(400, 'invalid_request', '未配置SHARE_SECRET，无法上传私有文件') };
+  }
+  const storageType = formData.get('storage_type') || (config.bucket ? 'r2' : 'telegram');
+  if (!isStorageType(storageType)) {
+    return { error: apiError(400, 'invalid_request', `未知的存储类型: ${storageType}`) };
+  }
+  const expiresIn = parseInt(formData.get('expires_in'), 10);
+  const ext = (file.name.split('.').pop() || '').toLowerCase();
+  const extMimeType = getContentType(ext);
+  // The key becomes the public URL, so keep it to the same safe characters as bot uploads
+  const { url, duplicate } = await saveFile(config, {
+    data: await file.arrayBuffer(),
+    fileName: file.name,
+    key: `${Date.now()}_${file.name.replace(/[^a-zA-Z0-9\-\_\.]/g, '_')}`,
+    mimeType: extMimeType === 'application/octet-stream' && file.type ? file.type : extMimeType,
+    storageType,
+    categoryId,
+    chatId: config.tgChatId[0],
+    expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+    ownerId: apiToken.userId,
+    isPrivate
+  });
+  const saved = await config.database.prepare('SELECT id FROM files WHERE url = ?').bind(url).first();
+  return { file: await getApiFile(config, saved.id), duplicate };
+}
+async function handleTokenUploadRequest(request, config) {
+  try {
+    if (request.method !== 'POST') {
+      return apiError(405, 'method_not_allowed', `不支持的请求方法: ${request.method}`);
+    }
+    const apiToken = await authenticateApiToken(request, config);
+    if (!apiToken) {
+      return apiError(401, 'unauthorized', '缺少或无效的 API 令牌，请在请求头中提供 Authorization: Bearer <token>');
+    }
+    if (!apiToken.permissions.includes('upload')) {
+      return apiError(403, 'forbidden', '该令牌没有 upload 权限');
+    }
+    const result = await saveApiUpload(request, config, apiToken);
+    if (result.error) {
+      return result.error;
+    }
+    // Flat response so ShareX ({json:url}), PicGo (jsonPath: url) and uPic can read the link directly
+    return new Response(JSON.stringify({
+      status: 1,
+      msg: result.duplicate ? '文件已存在' : '上传成功',
+      ...serializeApiFile(result.file),
+      duplicate: result.duplicate
+    }), {
+      headers: { 'Content-Type': 'application/json;charset=UTF-8', 'Cache-Control': 'no-store' }
+    });
+  } catch (error) {
+    console.error('[API] 令牌上传失败:', error);
+    return apiError(500, 'internal_error', error.message);
+  }
+}
+function buildUploaderConfig(config, type, token) {
+  const uploadUrl = `https://${config.domain}/api/upload`;
+  if (type === 'sharex') {
+    return {
+      fileName: `cftc-${config.domain}.sxcu`,
+      content: {
+        Version: '15.0.0',
+        Name: `cftc (${config.domain})`,
+        DestinationType: 'ImageUploader, TextUploader, FileUploader',
+        RequestMethod: 'POST',
+        RequestURL: uploadUrl,
+        Headers: { Authorization: `Bearer ${token}` },
+        Body: 'MultipartFormData',
+        FileFormName: 'file',
+        URL: '{json:url}',
+        ErrorMessage: '{json:error.message}'
+      }
+    };
+  }
+  return {
+    fileName: `cftc-${config.domain}-picgo.json`,
+    content: {
+      picBed: {
+        uploader: 'web-uploader',
+        current: 'web-uploader',
+        'web-uploader': {
+          url: uploadUrl,
+          paramName: 'file',
+          jsonPath: 'url',
+          customHeader: JSON.stringify({ Authorization: `Bearer ${token}` }),
+          customBody: ''
+        }
+      },
+      picgoPlugins: { 'picgo-plugin-web-uploader': true }
+    }
+  };
+}
+async function handleUploaderConfigRequest(request, config) {
+  try {
+    const { type } = await request.json();
+    const uploaderNames = { sharex: 'ShareX', picgo: 'PicGo' };
+    if (!uploaderNames[type]) {
+      return new Response(JSON.stringify({ status: 0, msg: '不支持的配置类型' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const currentUser = await authenticate(request, config);
+    const token = await createApiToken(config, {
+      name: `${uploaderNames[type]} 上传配置（${currentUser.username}）`,
+      scope: 'upload',
+      userId: currentUser.id
+    });
+    const { fileName, content } = buildUploaderConfig(config, type, token);
+    return new Response(JSON.stringify(content, null, 2), {
+      headers: {
+        'Content-Type': 'application/json;charset=UTF-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('生成上传工具配置失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `生成上传工具配置失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+async function apiUpdateFile(request, config, apiToken, id) {
+  const body = await request.json();
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return apiError(400, 'invalid_request', '请求体必须为JSON对象');
+  }
+  const file = await config.database.prepare('SELECT * FROM files WHERE id = ? AND deleted_at IS NULL').bind(id).first();
+  if (!file) {
+    return apiError(404, 'not_found', '文件不存在');
+  }
+  if (!canModifyFile({ id: apiToken.userId, role: apiToken.role }, file)) {
+    return apiError(403, 'forbidden', '该令牌所属用户无权修改他人上传的文件');
+  }
+  // Validate every field before writing anything so a rejected request leaves the file untouched
+  const updates = [];
+  const bindings = [];
+  if (body.remark !== undefined) {
+    updates.push('remark = ?');
+    bindings.push(String(body.remark));
+  }
+  if (body.category_id !== undefined) {
+    const category = await config.database.prepare('SELECT id FROM categories WHERE id = ?').bind(body.category_id).first();
+    if (!category) {
+      return apiError(400, 'invalid_request', '分类不存在');
+    }
+    updates.push('category_id = ?');
+    bindings.push(category.id);
+  }
+  if (body.is_private !== undefined) {
+    if (typeof body.is_private !== 'boolean') {
+      return apiError(400, 'invalid_request', 'is_private 必须为布尔值');
+    }
+    if (body.is_private && !config.shareSecret) {
+      return apiError(400, 'invalid_request', '未配置SHARE_SECRET，无法将文件设为私有');
+    }
+    updates.push('is_private = ?');
+    bindings.push(body.is_private ? 1 : 0);
+  }
+  if (body.expires_at !== undefined) {
+    if (body.expires_at !== null && !Number.isFinite(body.expires_at)) {
+      return apiError(400, 'invalid_request', 'expires_at 必须为毫秒时间戳或 null');
+    }
+    updates.push('expires_at = ?');
+    bindings.push(body.expires_at);
+  }
+  if (body.name !== undefined && (!body.name || typeof body.name !== 'string')) {
+    return apiError(400, 'invalid_request', 'name 不能为空');
+  }
+  let fileUrl = file.url;
+  if (body.name !== undefined) {
+    const fileExt = getFileName(file.url).split('.').pop();
+    const suffix = body.name.endsWith(`.${fileExt}`) ? body.name.slice(0, -fileExt.length - 1) : body.name;
+    try {
+      fileUrl = (await renameStoredFile(config, file, suffix)).newUrl;
+    } catch (error) {
+      return apiError(409, 'conflict', error.message);
+    }
+  }
+  if (updates.length) {
+    await config.database.prepare(`UPDATE files SET ${updates.join(', ')} WHERE id = ?`).bind(...bindings, id).run();
+    const changes = [];
+    if (body.remark !== undefined) {
+      changes.push({ action: 'file.remark', target: fileUrl, oldValue: file.remark, newValue: String(body.remark) });
+    }
+    if (body.category_id !== undefined) {
+      changes.push({
+        action: 'file.move',
+        target: fileUrl,
+        oldValue: await getCategoryName(config, file.category_id),
+        newValue: await getCategoryName(config, body.category_id)
+      });
+    }
+    if (body.is_private !== undefined) {
+      changes.push({ action: 'file.private', target: fileUrl, oldValue: file.is_private ? '私有' : '公开', newValue: body.is_private ? '私有' : '公开' });
+    }
+    if (body.expires_at !== undefined) {
+      changes.push({ action: 'file.expiry', target: fileUrl, oldValue: describeExpiry(file.expires_at), newValue: describeExpiry(body.expires_at) });
+    }
+    await recordAudit(config, changes);
+  }
+  clearFileCache(config, fileUrl);
+  return apiResponse(serializeApiFile(await getApiFile(config, id)));
+}
+async function apiDeleteFile(request, config, apiToken, id) {
+  const file = await config.database.prepare('SELECT * FROM files WHERE id = ? AND deleted_at IS NULL').bind(id).first();
+  if (!file) {
+    return apiError(404, 'not_found', '文件不存在');
+  }
+  if (!canModifyFile({ id: apiToken.userId, role: apiToken.role }, file)) {
+    return apiError(403, 'forbidden', '该令牌所属用户无权删除他人上传的文件');
+  }
+  await trashFile(config, file);
+  return apiResponse({ id, deleted: true, trashed: true });
+}
+async function apiListCategories(request, config) {
+  const categories = await config.database.prepare(`
+    SELECT c.id, c.name, c.created_at, COUNT(f.id) as file_count
+    FROM categories c
+    LEFT JOIN files f ON f.category_id = c.id AND f.deleted_at IS NULL
+    GROUP BY c.id
+    ORDER BY c.id
+  `).all();
+  return apiResponse(categories.results || []);
+}
+async function apiCreateCategory(request, config) {
+  const { name } = await request.json();
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return apiError(400, 'invalid_request', '分类名称不能为空');
+  }
+  const existing = await config.database.prepare('SELECT id FROM categories WHERE name = ?').bind(name.trim()).first();
+  if (existing) {
+    return apiError(409, 'conflict', `分类 "${name.trim()}" 已存在`);
+  }
+  const result = await config.database.prepare('INSERT INTO categories (name, created_at) VALUES (?, ?)')
+    .bind(name.trim(), Date.now()).run();
+  await recordAudit(config, { action: 'category.create', target: name.trim() });
+  const category = await config.database.prepare('SELECT id, name, created_at FROM categories WHERE id = ?')
+    .bind(result.meta.last_row_id).first();
+  return apiResponse(category, 201);
+}
+async function apiUpdateCategory(request, config, apiToken, id) {
+  const { name } = await request.json();
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return apiError(400, 'invalid_request', '分类名称不能为空');
+  }
+  const category = await config.database.prepare('SELECT id, name FROM categories WHERE id = ?').bind(id).first();
+  if (!category) {
+    return apiError(404, 'not_found', '分类不存在');
+  }
+  if (category.name === '默认分类') {
+    return apiError(403, 'forbidden', '默认分类不能重命名');
+  }
+  const existing = await config.database.prepare('SELECT id FROM categories WHERE name = ? AND id != ?').bind(name.trim(), id).first();
+  if (existing) {
+    return apiError(409, 'conflict', `分类 "${name.trim()}" 已存在`);
+  }
+  await config.database.prepare('UPDATE categories SET name = ? WHERE id = ?').bind(name.trim(), id).run();
+  await recordAudit(config, { action: 'category.rename', target: name.trim(), oldValue: category.name, newValue: name.trim() });
+  return apiResponse(await config.database.prepare('SELECT id, name, created_at FROM categories WHERE id = ?').bind(id).first());
+}
+async function apiDeleteCategory(request, config, apiToken, id) {
+  const category = await config.database.prepare('SELECT id, name FROM categories WHERE id = ?').bind(id).first();
+  if (!category) {
+    return apiError(404, 'not_found', '分类不存在');
+  }
+  if (category.name === '默认分类') {
+    return apiError(403, 'forbidden', '默认分类不能删除');
+  }
+  const defaultCategoryId = await deleteCategoryAndMoveFiles(config, id);
+  return apiResponse({ id, deleted: true, files_moved_to: defaultCategoryId });
+}
+const AUDIT_PAGE_SIZE = 100;
+// Exports are capped so a long history cannot exceed the Worker's memory and CPU limits
+const AUDIT_EXPORT_LIMIT = 10000;
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheet apps evaluate cells starting with these as formulas; a leading quote keeps them as text
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+async function handleAuditLogRequest(request, config) {
+  try {
+    const params = new URL(request.url).searchParams;
+    const filters = {
+      actor: params.get('actor') || '',
+      action: params.get('action') || '',
+      target: params.get('target') || '',
+      from: params.get('from') || '',
+      to: params.get('to') || ''
+    };
+    const conditions = [];
+    const bindings = [];
+    if (filters.actor) {
+      conditions.push('actor LIKE ?');
+      bindings.push(`%${filters.actor}%`);
+    }
+    if (filters.action) {
+      conditions.push('action = ?');
+      bindings.push(filters.action);
+    }
+    if (filters.target) {
+      conditions.push('target LIKE ?');
+      bindings.push(`%${filters.target}%`);
+    }
+    if (filters.from && !isNaN(Date.parse(filters.from))) {
+      conditions.push('created_at >= ?');
+      bindings.push(Date.parse(filters.from));
+    }
+    if (filters.to && !isNaN(Date.parse(filters.to))) {
+      conditions.push('created_at < ?');
+      bindings.push(Date.parse(filters.to) + 86400000);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    if (params.get('format') === 'csv') {
+      const entries = await config.database.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`)
+        .bind(...bindings, AUDIT_EXPORT_LIMIT).all();
+      const header = ['audit.time', 'audit.source', 'audit.actor', 'audit.action', 'audit.target', 'audit.oldValue', 'audit.newValue']
+        .map(key => t(config.lang, key)).concat('IP');
+      const lines = (entries.results || []).map(entry => [
+        new Date(entry.created_at).toISOString(),
+        describeAuditActorType(entry.actor_type, config.lang),
+        entry.actor,
+        describeAuditAction(entry.action, config.lang),
+        entry.target,
+        entry.old_value,
+        entry.new_value,
+        entry.ip
+      ].map(csvField).join(','));
+      // Leading BOM so spreadsheet apps detect UTF-8
+      return new Response('\uFEFF' + [header.join(','), ...lines].join('\r\n'), {
+        headers: {
+          'Content-Type': 'text/csv;charset=UTF-8',
+          'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`,
+          'Cache-Control': 'no-store'
+        }
+      });
+    }
+    const page = Math.max(parseInt(params.get('page'), 10) || 1, 1);
+    const total = await config.database.prepare(`SELECT COUNT(*) as count FROM audit_log ${where}`).bind(...bindings).first();
+    const entries = await config.database.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .bind(...bindings, AUDIT_PAGE_SIZE, (page - 1) * AUDIT_PAGE_SIZE).all();
+    const html = generateAuditPage(entries.results || [], filters, page, Math.ceil((total ? total.count : 0) / AUDIT_PAGE_SIZE), config.lang);
+    return new Response(html, {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  } catch (error) {
+    console.error(`[Audit Error] ${error.message}`);
+    return new Response(`加载操作日志失败：${error.message}`, { status: 500 });
+  }
+}
+async function handleMigrationsPageRequest(request, config) {
+  try {
+    const applied = await getAppliedMigrations(config);
+    const html = generateMigrationsPage(applied, config.lang);
+    return new Response(html, {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  } catch (error) {
+    console.error(`[Migration Error] ${error.message}`);
+    return new Response(`加载迁移状态失败：${error.message}`, { status: 500 });
+  }
+}
+async function handleApplyMigrationsRequest(request, config) {
+  try {
+    if (request.method !== 'POST') {
+      return new Response(JSON.stringify({ status: 0, msg: '仅支持POST请求' }), {
+        status: 405,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const { confirm } = await request.json().catch(() => ({}));
+    if (confirm !== true) {
+      return new Response(JSON.stringify({ status: 0, msg: '请确认后再执行迁移' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const previousVersion = await getSchemaVersion(config);
+    const { version, applied } = await runMigrations(config);
+    if (applied.length) {
+      await recordAudit(config, {
+        action: 'schema.migrate',
+        target: applied.join(', '),
+        oldValue: previousVersion,
+        newValue: version
+      });
+    }
+    return new Response(JSON.stringify({
+      status: 1,
+      msg: applied.length ? `已应用 ${applied.length} 个迁移，当前版本 ${version}` : `数据库已是最新版本 ${version}`,
+      version,
+      applied
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('执行数据库迁移失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `执行数据库迁移失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+async function handleTrashPageRequest(request, config) {
+  try {
+    const files = await config.database.prepare(`
+      SELECT f.id, f.url, f.file_name, f.file_size, f.storage_type, f.deleted_at, c.name as category_name
+      FROM files f
+      LEFT JOIN categories c ON f.category_id = c.id
+      WHERE f.deleted_at IS NOT NULL
+      ORDER BY f.deleted_at DESC
+    `).all();
+    const currentUser = await authenticate(request, config);
+    const html = generateTrashPage(files.results || [], config.trashRetentionDays, hasRole(currentUser, 'admin'), config.lang);
+    return new Response(html, {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
     });
-    if (fileRecord.storage_type === 'telegram') {
-      await config.database.prepare('UPDATE files SET url = ?, file_name = ? WHERE id = ?')
-        .bind(fileUrl, newFileName, fileRecord.id).run();
-      console.log('Telegram文件更新完成:', {
-        id: fileRecord.id,
-        新URL: fileUrl,
-        新文件名: newFileName,
+  } catch (error) {
+    console.error(`[Trash Error] ${error.message}`);
+    return new Response(`加载回收站失败：${error.message}`, { status: 500 });
+  }
+}
+async function handleRestoreTrashRequest(request, config) {
+  try {
+    const { ids } = await request.json();
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return new Response(JSON.stringify({ status: 0, msg: '请选择要恢复的文件' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
       });
     }
-    else if (config.bucket) {
+    let restored = 0;
+    for (const id of ids) {
+      const file = await config.database.prepare('SELECT id, url FROM files WHERE id = ? AND deleted_at IS NOT NULL').bind(id).first();
+      if (!file) {
+        continue;
+      }
+      await config.database.prepare('UPDATE files SET deleted_at = NULL WHERE id = ?').bind(file.id).run();
+      clearFileCache(config, file.url);
+      await recordAudit(config, { action: 'file.restore', target: file.url });
+      restored++;
+    }
+    return new Response(JSON.stringify({ status: 1, msg: `已恢复 ${restored} 个文件` }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('恢复文件失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `恢复文件失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+async function handlePurgeTrashRequest(request, config) {
+  try {
+    const { ids, all } = await request.json();
+    const files = all
+      ? await config.database.prepare('SELECT * FROM files WHERE deleted_at IS NOT NULL').all()
+      : await config.database.prepare(
+          `SELECT * FROM files WHERE deleted_at IS NOT NULL AND id IN (${(ids || []).map(() => '?').join(',') || 'NULL'})`
+        ).bind(...(ids || [])).all();
+    let purged = 0;
+    for (const file of files.results || []) {
+      await deleteStoredFile(config, file);
+      purged++;
+    }
+    return new Response(JSON.stringify({ status: 1, msg: `已彻底删除 ${purged} 个文件` }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('彻底删除文件失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `彻底删除文件失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+const HASH_BACKFILL_BATCH_SIZE = 10;
+async function handleDuplicatesPageRequest(request, config) {
+  try {
+    // Aliases share one stored copy, so only hashes with several distinct copies count as duplicates
+    const groups = await config.database.prepare(`
+      SELECT content_hash, COUNT(DISTINCT storage_type || ':' || fileId) as copies
+      FROM files
+      WHERE content_hash IS NOT NULL AND content_hash != '' AND deleted_at IS NULL
+      GROUP BY content_hash
+      HAVING copies > 1
+      ORDER BY copies DESC
+      LIMIT 50
+    `).all();
+    const hashes = (groups.results || []).map(group => group.content_hash);
+    let files = [];
+    if (hashes.length) {
+      const result = await config.database.prepare(`
+        SELECT f.id, f.url, f.fileId, f.file_size, f.storage_type, f.created_at, f.content_hash, c.name as category_name
+        FROM files f
+        LEFT JOIN categories c ON f.category_id = c.id
+        WHERE f.content_hash IN (${hashes.map(() => '?').join(',')}) AND f.deleted_at IS NULL
+        ORDER BY f.id ASC
+      `).bind(...hashes).all();
+      files = result.results || [];
+    }
+    const stats = await config.database.prepare(`
+      SELECT
+        SUM(CASE WHEN content_hash IS NULL THEN 1 ELSE 0 END) as pending,
+        SUM(CASE WHEN content_hash = '' THEN 1 ELSE 0 END) as unreadable
+      FROM files
+      WHERE deleted_at IS NULL
+    `).first();
+    const html = generateDuplicatesPage(hashes.map(hash => files.filter(file => file.content_hash === hash)), stats || {}, config.lang);
+    return new Response(html, {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  } catch (error) {
+    console.error(`[Duplicates Error] ${error.message}`);
+    return new Response(`加载重复文件失败：${error.message}`, { status: 500 });
+  }
+}
+async function handleBackfillHashesRequest(request, config) {
+  try {
+    // Files whose read failed keep a NULL hash for the next run, so the client walks past them by id
+    const { after = 0 } = await request.json().catch(() => ({}));
+    const files = await config.database.prepare('SELECT * FROM files WHERE content_hash IS NULL AND deleted_at IS NULL AND id > ? ORDER BY id LIMIT ?')
+      .bind(Number(after) || 0, HASH_BACKFILL_BATCH_SIZE).all();
+    let failed = 0;
+    let deferred = 0;
+    for (const file of files.results || []) {
+      const adapter = getStorageAdapter(file.storage_type);
+      if (!adapter.isAvailable(config)) {
+        deferred++;
+        continue;
+      }
+      let contentHash;
       try {
-        const fileId = fileRecord.fileId || originalFileName;
-        console.log('尝试从R2获取文件:', fileId);
-        const file = await config.bucket.get(fileId);
-        if (file) {
-          console.log('R2文件存在，正在复制到新名称:', newFileName);
-          const fileData = await file.arrayBuffer();
-          await storeFile(fileData, newFileName, file.httpMetadata.contentType, config);
-          await deleteFile(fileId, config);
-          await config.database.prepare('UPDATE files SET fileId = ?, url = ?, file_name = ? WHERE id = ?')
-            .bind(newFileName, fileUrl, newFileName, fileRecord.id).run();
-          console.log('R2文件更新完成:', {
-            id: fileRecord.id,
-            新fileId: newFileName,
-            新URL: fileUrl,
-            新文件名: newFileName,
-          });
+        const object = await adapter.get(config, file);
+        if (object) {
+          // Digest the body as it streams in rather than buffering large objects in memory
+          const digestStream = new crypto.DigestStream('SHA-256');
+          await object.body.pipeTo(digestStream);
+          contentHash = bufferToHex(await digestStream.digest);
         } else {
-          console.log('R2中未找到文件，只更新数据库记录:', fileId);
-          await config.database.prepare('UPDATE files SET url = ?, file_name = ? WHERE id = ?')
-            .bind(fileUrl, newFileName, fileRecord.id).run();
+          // An empty hash marks files whose object is gone so they are not retried forever
+          contentHash = '';
+          failed++;
         }
       } catch (error) {
-        console.error('处理R2文件重命名失败:', error);
-        await config.database.prepare('UPDATE files SET url = ?, file_name = ? WHERE id = ?')
-          .bind(fileUrl, newFileName, fileRecord.id).run();
+        console.error(`计算文件哈希失败 (ID=${file.id}):`, error);
+        deferred++;
+        continue;
       }
+      await config.database.prepare('UPDATE files SET content_hash = ? WHERE id = ?').bind(contentHash, file.id).run();
     }
-    else {
-      console.log('未知存储类型，只更新数据库记录');
-      await config.database.prepare('UPDATE files SET url = ?, file_name = ? WHERE id = ?')
-        .bind(fileUrl, newFileName, fileRecord.id).run();
-    }
+    const remaining = await config.database.prepare('SELECT COUNT(*) as count FROM files WHERE content_hash IS NULL AND deleted_at IS NULL').first();
+    const processed = (files.results || []).length;
+    const notes = [failed ? `其中 ${failed} 个无法读取` : '', deferred ? `${deferred} 个暂时读取失败，下次重试` : ''].filter(Boolean);
     return new Response(JSON.stringify({
       status: 1,
-      msg: '重命名成功',
-      newUrl: fileUrl
-    }), { headers: { 'Content-Type': 'application/json' } });
+      msg: `已处理 ${processed} 个文件${notes.length ? `，${notes.join('，')}` : ''}`,
+      processed,
+      failed,
+      deferred,
+      lastId: processed ? files.results[processed - 1].id : Number(after) || 0,
+      remaining: remaining ? remaining.count : 0
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
   } catch (error) {
-    console.error('更新文件名失败:', error);
-    return new Response(JSON.stringify({
-      status: 0,
-      msg: '更新文件名失败: ' + error.message
-    }), { headers: { 'Content-Type': 'application/json' } });
+    console.error('计算文件哈希失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `计算文件哈希失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 }
-function generateNewUrl(url, suffix, config) {
-  const fileName = getFileName(url);
-  const newFileName = suffix + '.' + fileName.split('.').pop();
-  return `https://${config.domain}/${newFileName}`;
+async function handleTokensPageRequest(request, config) {
+  try {
+    const tokens = await config.database.prepare(`
+      SELECT t.id, t.name, t.token_prefix, t.scope, t.created_at, t.last_used_at, u.username
+      FROM api_tokens t
+      LEFT JOIN users u ON t.user_id = u.id
+      ORDER BY t.id DESC
+    `).all();
+    const html = generateTokensPage(tokens.results || [], config.lang);
+    return new Response(html, {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  } catch (error) {
+    console.error(`[Tokens Error] ${error.message}`);
+    return new Response(`加载 API 令牌失败：${error.message}`, { status: 500 });
+  }
 }
-function getFileName(url) {
+async function createApiToken(config, { name, scope, userId }) {
+  const token = `cftc_${bufferToHex(crypto.getRandomValues(new Uint8Array(20)))}`;
+  await config.database.prepare(`
+    INSERT INTO api_tokens (name, token_hash, token_prefix, scope, user_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(name, await sha256Hex(token), token.slice(0, 12), scope, userId, Date.now()).run();
+  await recordAudit(config, { action: 'token.create', target: name, newValue: scope });
+  return token;
+}
+async function handleCreateTokenRequest(request, config) {
   try {
-    const urlObj = new URL(url);
-    const pathParts = urlObj.pathname.split('/');
-    return pathParts[pathParts.length - 1];
-  } catch(e) {
-    return url.split('/').pop() || url;
+    const { name, scope } = await request.json();
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return new Response(JSON.stringify({ status: 0, msg: '令牌名称不能为空' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    if (!API_TOKEN_SCOPES[scope]) {
+      return new Response(JSON.stringify({ status: 0, msg: '无效的令牌权限范围' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const currentUser = await authenticate(request, config);
+    const token = await createApiToken(config, { name: name.trim(), scope, userId: currentUser.id });
+    return new Response(JSON.stringify({ status: 1, msg: '令牌创建成功，请立即保存，关闭后将无法再次查看', token }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('创建 API 令牌失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `创建 API 令牌失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 }
-function copyToClipboard(text) {
-  navigator.clipboard.writeText(text)
-    .then(() => {
-      showConfirmModal('已复制到剪贴板', null, true);
-    })
-    .catch(() => {
-      showConfirmModal('复制失败，请手动复制', null, true);
+async function handleRevokeTokenRequest(request, config) {
+  try {
+    const { id } = await request.json();
+    const token = await config.database.prepare('SELECT id, name FROM api_tokens WHERE id = ?').bind(id).first();
+    if (!token) {
+      return new Response(JSON.stringify({ status: 0, msg: '令牌不存在' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    await config.database.prepare('DELETE FROM api_tokens WHERE id = ?').bind(token.id).run();
+    await recordAudit(config, { action: 'token.revoke', target: token.name });
+    return new Response(JSON.stringify({ status: 1, msg: '令牌已撤销' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('撤销 API 令牌失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `撤销 API 令牌失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
     });
+  }
 }
-function getExtensionFromMime(mimeType) {
-  if (!mimeType) return 'jpg';
-  const mimeMap = {
-    'image/jpeg': 'jpg',
-    'image/jpg': 'jpg',
-    'image/png': 'png',
-    'image/gif': 'gif',
-    'image/webp': 'webp',
-    'image/svg+xml': 'svg',
-    'image/bmp': 'bmp',
-    'image/avif': 'avif',
-    'image/tiff': 'tiff',
-    'image/x-icon': 'ico',
-    'video/mp4': 'mp4',
-    'video/webm': 'webm',
-    'video/ogg': 'ogv',
-    'video/x-msvideo': 'avi',
-    'video/quicktime': 'mov',
-    'video/x-ms-wmv': 'wmv',
-    'video/x-flv': 'flv',
-    'video/x-matroska': 'mkv',
-    'video/x-m4v': 'm4v',
-    'video/mp2t': 'ts',
-    'audio/mpeg': 'mp3',
-    'audio/mp3': 'mp3',
-    'audio/ogg': 'ogg',
-    'audio/wav': 'wav',
-    'audio/mp4': 'm4a',
-    'audio/aac': 'aac',
-    'audio/flac': 'flac',
-    'audio/x-ms-wma': 'wma',
-    'application/pdf': 'pdf',
-    'application/msword': 'doc',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
-    'application/vnd.ms-excel': 'xls',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
-    'application/vnd.ms-powerpoint': 'ppt',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
-    'application/rtf': 'rtf',
-    'application/zip': 'zip',
-    'application/x-rar-compressed': 'rar',
-    'application/x-7z-compressed': '7z',
-    'application/x-tar': 'tar',
-    'application/gzip': 'gz',
-    'text/plain': 'txt',
-    'text/markdown': 'md',
-    'text/csv': 'csv',
-    'text/html': 'html',
-    'text/css': 'css',
-    'text/javascript': 'js',
-    'application/javascript': 'js',
-    'application/json': 'json',
-    'application/xml': 'xml',
-    'font/ttf': 'ttf',
-    'font/otf': 'otf',
-    'font/woff': 'woff',
-    'font/woff2': 'woff2',
-    'application/vnd.ms-fontobject': 'eot',
-    'application/octet-stream': 'bin',
-    'application/x-shockwave-flash': 'swf'
-  };
-  return mimeMap[mimeType] || 'bin';
+function isS3Configured(config) {
+  const s3 = config.s3;
+  return !!(s3 && s3.endpoint && s3.bucket && s3.accessKeyId && s3.secretAccessKey);
+}
+function bufferToHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+function timingSafeEqual(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  return bufferToHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+async function hmacSha256(key, data) {
+  const keyBytes = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+  const cryptoKey = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(data));
+}
+function encodeS3Key(key) {
+  return key.split('/')
+    .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase()))
+    .join('/');
+}
+async function s3Request(config, method, key, { body = null, headers = {} } = {}) {
+  if (!isS3Configured(config)) {
+    throw new Error('未配置S3存储参数 (S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)');
+  }
+  const s3 = config.s3;
+  const endpoint = new URL(s3.endpoint);
+  const canonicalUri = `${endpoint.pathname.replace(/\/+$/, '')}/${encodeS3Key(s3.bucket)}/${encodeS3Key(key)}`;
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = await sha256Hex(body || '');
+  const requestHeaders = {};
+  for (const [name, value] of Object.entries(headers)) {
+    requestHeaders[name.toLowerCase()] = String(value).trim();
+  }
+  requestHeaders['host'] = endpoint.host;
+  requestHeaders['x-amz-date'] = amzDate;
+  requestHeaders['x-amz-content-sha256'] = payloadHash;
+  const signedHeaderNames = Object.keys(requestHeaders).sort();
+  const canonicalHeaders = signedHeaderNames.map(name => `${name}:${requestHeaders[name]}\n`).join('');
+  const signedHeaders = signedHeaderNames.join(';');
+  const canonicalRequest = [method, canonicalUri, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const credentialScope = `${dateStamp}/${s3.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, await sha256Hex(canonicalRequest)].join('\n');
+  let signingKey = await hmacSha256(`AWS4${s3.secretAccessKey}`, dateStamp);
+  signingKey = await hmacSha256(signingKey, s3.region);
+  signingKey = await hmacSha256(signingKey, 's3');
+  signingKey = await hmacSha256(signingKey, 'aws4_request');
+  const signature = bufferToHex(await hmacSha256(signingKey, stringToSign));
+  delete requestHeaders['host'];
+  requestHeaders['authorization'] = `AWS4-HMAC-SHA256 Credential=${s3.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  return await fetch(`${endpoint.origin}${canonicalUri}`, { method, headers: requestHeaders, body });
+}
+async function s3PutObject(config, key, arrayBuffer, mimeType) {
+  const response = await s3Request(config, 'PUT', key, {
+    body: arrayBuffer,
+    headers: { 'Content-Type': mimeType || 'application/octet-stream' }
+  });
+  if (!response.ok) {
+    throw new Error(`S3上传失败: HTTP ${response.status} ${await response.text()}`);
+  }
+  return true;
+}
+async function s3GetObject(config, key, range = null) {
+  const headers = range ? { Range: `bytes=${range.offset}-${range.offset + range.length - 1}` } : {};
+  const response = await s3Request(config, 'GET', key, { headers });
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`S3获取文件失败: HTTP ${response.status}`);
+  }
+  return response;
+}
+async function s3DeleteObject(config, key) {
+  const response = await s3Request(config, 'DELETE', key);
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`S3删除文件失败: HTTP ${response.status} ${await response.text()}`);
+  }
+  return true;
+}
+async function s3CopyObject(config, sourceKey, targetKey) {
+  const response = await s3Request(config, 'PUT', targetKey, {
+    headers: { 'x-amz-copy-source': `/${encodeS3Key(config.s3.bucket)}/${encodeS3Key(sourceKey)}` }
+  });
+  const resultText = await response.text();
+  if (!response.ok || resultText.includes('<Error>')) {
+    throw new Error(`S3复制文件失败: HTTP ${response.status} ${resultText}`);
+  }
+  return true;
+}
+async function fetchNotification() {
+  try {
+    const response = await fetch('https://raw.githubusercontent.com/iawooo/cftc/refs/heads/main/cftc/panel.md');
+    if (!response.ok) {
+      return null;
+    }
+    return await response.text();
+  } catch (error) {
+    return null;
+  }
+}
+async function handleUpdateRemarkRequest(request, config) {
+  const currentUser = await authenticate(request, config);
+  if (config.enableAuth && !currentUser) {
+    return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  try {
+    const { urls, remark } = await request.json();
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return new Response(JSON.stringify({ status: 0, msg: '无效的文件列表' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    if ((await getForbiddenFileUrls(config, currentUser, urls)).length > 0) {
+      return new Response(JSON.stringify({ status: 0, msg: '无权修改他人上传的文件' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const previous = await getFileAuditValues(config, urls, 'f.remark');
+    const statements = urls.map(url =>
+        config.database.prepare('UPDATE files SET remark = ? WHERE url = ?').bind(remark, url)
+    );
+    await config.database.batch(statements);
+    await recordAudit(config, urls.filter(url => previous.has(url)).map(url => ({
+      action: 'file.remark', target: url, oldValue: previous.get(url), newValue: remark
+    })));
+    return new Response(JSON.stringify({ status: 1, msg: '备注更新成功' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('更新备注失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `更新备注失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+async function handleChangeCategoryRequest(request, config) {
+  const currentUser = await authenticate(request, config);
+  if (config.enableAuth && !currentUser) {
+    return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  try {
+    const { urls, categoryId } = await request.json();
+    if (!Array.isArray(urls) || urls.length === 0 || categoryId === undefined) {
+      return new Response(JSON.stringify({ status: 0, msg: '无效的请求参数' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const newCategoryId = categoryId ? parseInt(categoryId, 10) : null;
+    if ((await getForbiddenFileUrls(config, currentUser, urls)).length > 0) {
+      return new Response(JSON.stringify({ status: 0, msg: '无权修改他人上传的文件' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const previous = await getFileAuditValues(config, urls, 'c.name');
+    const statements = urls.map(url =>
+      config.database.prepare('UPDATE files SET category_id = ? WHERE url = ?').bind(newCategoryId, url)
+    );
+    await config.database.batch(statements);
+    const newCategoryName = await getCategoryName(config, newCategoryId);
+    await recordAudit(config, urls.filter(url => previous.has(url)).map(url => ({
+      action: 'file.move', target: url, oldValue: previous.get(url), newValue: newCategoryName
+    })));
+    return new Response(JSON.stringify({ status: 1, msg: '分类更换成功' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('更换分类失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `更换分类失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+async function handleUsersPageRequest(request, config) {
+  try {
+    const users = await config.database.prepare('SELECT id, username, role, created_at FROM users ORDER BY id').all();
+    const html = generateUsersPage(users.results || [], await authenticate(request, config), config.lang);
+    return new Response(html, {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  } catch (error) {
+    console.error(`[Users Error] ${error.message}`);
+    return new Response(`加载用户列表失败：${error.message}`, { status: 500 });
+  }
+}
+async function countOtherAdmins(config, userId) {
+  const result = await config.database.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND id != ?")
+    .bind(userId).first();
+  return result ? result.count : 0;
+}
+async function handleCreateUserRequest(request, config) {
+  try {
+    const { username, password, role } = await request.json();
+    if (!username || !/^[\w.@-]{2,32}$/.test(username)) {
+      return new Response(JSON.stringify({ status: 0, msg: '用户名需为2-32位字母、数字或 _ . @ -' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    if (!password || password.length < 6) {
+      return new Response(JSON.stringify({ status: 0, msg: '密码长度至少为6位' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    if (!ROLE_LEVELS[role]) {
+      return new Response(JSON.stringify({ status: 0, msg: '无效的角色' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const existingUser = await config.database.prepare('SELECT id FROM users WHERE username = ?').bind(username).first();
+    if (existingUser) {
+      return new Response(JSON.stringify({ status: 0, msg: `用户 "${username}" 已存在` }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    await config.database.prepare('INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)')
+      .bind(username, await hashPassword(password), role, Date.now()).run();
+    await recordAudit(config, { action: 'user.create', target: username, newValue: role });
+    return new Response(JSON.stringify({ status: 1, msg: `用户 "${username}" 创建成功` }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('创建用户失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `创建用户失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
 }
-async function uploadToR2(arrayBuffer, fileName, mimeType, config) {
+async function handleUpdateUserRequest(request, config) {
   try {
-    return await storeFile(arrayBuffer, fileName, mimeType, config);
+    const { id, role, password } = await request.json();
+    const currentUser = await authenticate(request, config);
+    const user = await config.database.prepare('SELECT id, username, role FROM users WHERE id = ?').bind(id).first();
+    if (!user) {
+      return new Response(JSON.stringify({ status: 0, msg: '用户不存在' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    if (role !== undefined) {
+      if (!ROLE_LEVELS[role]) {
+        return new Response(JSON.stringify({ status: 0, msg: '无效的角色' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      if (user.role === 'admin' && role !== 'admin' && await countOtherAdmins(config, user.id) === 0) {
+        return new Response(JSON.stringify({ status: 0, msg: '至少需要保留一个管理员' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+    if (password !== undefined && (!password || password.length < 6)) {
+      return new Response(JSON.stringify({ status: 0, msg: '密码长度至少为6位' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    // Everything is validated above, so the role and password change land together or not at all
+    const statements = [];
+    const auditEntries = [];
+    if (role !== undefined) {
+      statements.push(config.database.prepare('UPDATE users SET role = ? WHERE id = ?').bind(role, user.id));
+      auditEntries.push({ action: 'user.update', target: user.username, oldValue: user.role, newValue: role });
+    }
+    if (password !== undefined) {
+      statements.push(
+        config.database.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(await hashPassword(password), user.id),
+        config.database.prepare('DELETE FROM sessions WHERE user_id = ? AND id != ?').bind(user.id, currentUser.sessionId || 0)
+      );
+      auditEntries.push({ action: 'user.update', target: user.username, newValue: '重置密码' });
+    }
+    if (statements.length) {
+      await config.database.batch(statements);
+      await recordAudit(config, auditEntries);
+    }
+    return new Response(JSON.stringify({ status: 1, msg: `用户 "${user.username}" 已更新` }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
   } catch (error) {
-    console.error('上传到R2失败:', error);
-    throw new Error(`上传到存储服务失败: ${error.message}`);
+    console.error('更新用户失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `更新用户失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 }
-async function storeFile(arrayBuffer, fileName, mimeType, config) {
-  if (config.bucket) {
-    try {
-      await config.bucket.put(fileName, arrayBuffer, {
-        httpMetadata: { contentType: mimeType || 'application/octet-stream' }
+async function handleDeleteUserRequest(request, config) {
+  try {
+    const { id } = await request.json();
+    const currentUser = await authenticate(request, config);
+    const user = await config.database.prepare('SELECT id, username, role FROM users WHERE id = ?').bind(id).first();
+    if (!user) {
+      return new Response(JSON.stringify({ status: 0, msg: '用户不存在' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
       });
-      return `https://${config.domain}/${fileName}`;
-    } catch (error) {
-      console.error(`R2存储失败: ${error.message}`);
-      return await storeFileInTelegram(arrayBuffer, fileName, mimeType, config);
     }
-  } else {
-    return await storeFileInTelegram(arrayBuffer, fileName, mimeType, config);
+    if (currentUser && currentUser.id === user.id) {
+      return new Response(JSON.stringify({ status: 0, msg: '不能删除当前登录的用户' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    if (user.role === 'admin' && await countOtherAdmins(config, user.id) === 0) {
+      return new Response(JSON.stringify({ status: 0, msg: '至少需要保留一个管理员' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    await config.database.batch([
+      config.database.prepare('UPDATE files SET owner_id = NULL WHERE owner_id = ?').bind(user.id),
+      config.database.prepare('DELETE FROM sessions WHERE user_id = ?').bind(user.id),
+      config.database.prepare('DELETE FROM api_tokens WHERE user_id = ?').bind(user.id),
+      config.database.prepare('DELETE FROM users WHERE id = ?').bind(user.id)
+    ]);
+    await recordAudit(config, { action: 'user.delete', target: user.username, oldValue: user.role });
+    return new Response(JSON.stringify({ status: 1, msg: `用户 "${user.username}" 已删除` }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('删除用户失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `删除用户失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 }
-async function storeFileInTelegram(arrayBuffer, fileName, mimeType, config) {
-  if (!config.tgBotToken || !config.tgStorageChatId) {
-    throw new Error('未配置Telegram存储参数 (TG_BOT_TOKEN 和 TG_STORAGE_CHAT_ID)');
-  }
-  const formData = new FormData();
-  const blob = new Blob([arrayBuffer], { type: mimeType || 'application/octet-stream' });
-  formData.append('document', blob, fileName);
-  const response = await fetch(`https://api.telegram.org/bot${config.tgBotToken}/sendDocument?chat_id=${config.tgStorageChatId}`, {
-    method: 'POST',
-    body: formData
-  });
-  const result = await response.json();
-  if (result.ok) {
-    const fileId = result.result.document.file_id;
-    const fileUrl = await getTelegramFileUrl(fileId, config.tgBotToken, config);
-    return fileUrl;
-  } else {
-    throw new Error('Telegram存储失败: ' + JSON.stringify(result));
+async function handleSessionsPageRequest(request, config) {
+  try {
+    const currentUser = await authenticate(request, config);
+    const isAdmin = hasRole(currentUser, 'admin');
+    const sessions = await config.database.prepare(`
+      SELECT s.id, s.created_at, s.last_seen, s.expires_at, s.ip, s.user_agent, u.username
+      FROM sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.expires_at > ? AND (? = 1 OR s.user_id = ?)
+      ORDER BY s.last_seen DESC
+    `).bind(Date.now(), isAdmin ? 1 : 0, currentUser.id || 0).all();
+    const html = generateSessionsPage(sessions.results || [], currentUser, config.lang);
+    return new Response(html, {
+      headers: { 'Content-Type': 'text/html;charset=UTF-8' }
+    });
+  } catch (error) {
+    console.error(`[Sessions Error] ${error.message}`);
+    return new Response(`加载会话列表失败：${error.message}`, { status: 500 });
   }
 }
-async function getFile(fileId, config) {
-  if (config.bucket) {
-    try {
-      return await config.bucket.get(fileId);
-    } catch (error) {
-      console.error('R2获取文件失败:', error);
-      return null;
+async function handleRevokeSessionRequest(request, config) {
+  try {
+    const { id } = await request.json();
+    const currentUser = await authenticate(request, config);
+    const session = await config.database.prepare(`
+      SELECT s.id, s.user_id, u.username
+      FROM sessions s
+      LEFT JOIN users u ON s.user_id = u.id
+      WHERE s.id = ?
+    `).bind(id).first();
+    if (!session) {
+      return new Response(JSON.stringify({ status: 0, msg: '会话不存在或已失效' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
-  }
-  return null;
-}
-async function deleteFile(fileId, config) {
-  if (config.bucket) {
-    try {
-      await config.bucket.delete(fileId);
-      return true;
-    } catch (error) {
-      console.error('R2删除文件失败:', error);
-      return false;
+    if (!hasRole(currentUser, 'admin') && session.user_id !== currentUser.id) {
+      return new Response(JSON.stringify({ status: 0, msg: '权限不足' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
+    await config.database.prepare('DELETE FROM sessions WHERE id = ?').bind(session.id).run();
+    await recordAudit(config, { action: 'session.revoke', target: `${session.username || session.user_id} #${session.id}` });
+    return new Response(JSON.stringify({ status: 1, msg: '会话已注销' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('注销会话失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `注销会话失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
-  return true;
 }
-async function fetchNotification() {
+function describeUserAgent(userAgent, lang = DEFAULT_LANGUAGE) {
+  if (!userAgent) return t(lang, 'sessions.unknownDevice');
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return [browser && browser[1], system && system[1]].filter(Boolean).join(' / ');
+}
+async function handleUpdatePrivateRequest(request, config) {
+  const currentUser = await authenticate(request, config);
+  if (config.enableAuth && !currentUser) {
+    return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
   try {
-    const response = await fetch('https://raw.githubusercontent.com/iawooo/cftc/refs/heads/main/cftc/panel.md');
-    if (!response.ok) {
-      return null;
+    const { urls, isPrivate } = await request.json();
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return new Response(JSON.stringify({ status: 0, msg: '无效的文件列表' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
-    return await response.text();
+    if (isPrivate && !config.shareSecret) {
+      return new Response(JSON.stringify({ status: 0, msg: '未配置SHARE_SECRET，无法将文件设为私有' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    if ((await getForbiddenFileUrls(config, currentUser, urls)).length > 0) {
+      return new Response(JSON.stringify({ status: 0, msg: '无权修改他人上传的文件' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const previous = await getFileAuditValues(config, urls, 'f.is_private');
+    const statements = urls.map(url =>
+      config.database.prepare('UPDATE files SET is_private = ? WHERE url = ?').bind(isPrivate ? 1 : 0, url)
+    );
+    await config.database.batch(statements);
+    await recordAudit(config, urls.filter(url => previous.has(url)).map(url => ({
+      action: 'file.private', target: url, oldValue: previous.get(url) ? '私有' : '公开', newValue: isPrivate ? '私有' : '公开'
+    })));
+    urls.forEach(url => clearFileCache(config, url));
+    return new Response(JSON.stringify({ status: 1, msg: isPrivate ? '已设为私有文件' : '已设为公开文件' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
   } catch (error) {
-    return null;
+    console.error('更新私有状态失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `更新私有状态失败: ${error.message}` }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 }
-async function handleUpdateRemarkRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
+async function handleUpdateExpiryRequest(request, config) {
+  const currentUser = await authenticate(request, config);
+  if (config.enableAuth && !currentUser) {
     return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
       status: 401,
       headers: { 'Content-Type': 'application/json' }
     });
   }
   try {
-    const { urls, remark } = await request.json();
+    const { urls, expiresIn } = await request.json();
     if (!Array.isArray(urls) || urls.length === 0) {
       return new Response(JSON.stringify({ status: 0, msg: '无效的文件列表' }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
+    const seconds = parseInt(expiresIn, 10);
+    const expiresAt = seconds > 0 ? Date.now() + seconds * 1000 : null;
+    if ((await getForbiddenFileUrls(config, currentUser, urls)).length > 0) {
+      return new Response(JSON.stringify({ status: 0, msg: '无权修改他人上传的文件' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const previous = await getFileAuditValues(config, urls, 'f.expires_at');
     const statements = urls.map(url =>
-        config.database.prepare('UPDATE files SET remark = ? WHERE url = ?').bind(remark, url)
+      config.database.prepare('UPDATE files SET expires_at = ? WHERE url = ?').bind(expiresAt, url)
     );
     await config.database.batch(statements);
-    return new Response(JSON.stringify({ status: 1, msg: '备注更新成功' }), {
+    await recordAudit(config, urls.filter(url => previous.has(url)).map(url => ({
+      action: 'file.expiry', target: url, oldValue: describeExpiry(previous.get(url)), newValue: describeExpiry(expiresAt)
+    })));
+    return new Response(JSON.stringify({ status: 1, msg: expiresAt ? `已设置过期时间：${formatDate(expiresAt)}` : '已设为永不过期' }), {
       headers: { 'Content-Type': 'application/json' }
     });
   } catch (error) {
-    console.error('更新备注失败:', error);
-    return new Response(JSON.stringify({ status: 0, msg: `更新备注失败: ${error.message}` }), {
+    console.error('更新过期时间失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `更新过期时间失败: ${error.message}` }), {
       status: 500,
       headers: { 'Content-Type': 'application/json' }
     });
   }
 }
-async function handleChangeCategoryRequest(request, config) {
-  if (config.enableAuth && !authenticate(request, config)) {
+// QR codes are generated locally (byte mode, error correction level M) so links,
+// including signed private ones, are never sent to a third-party service.
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+];
+const QR_ECC_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+];
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+function getQrRawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+function getQrDataCodewords(version) {
+  return Math.floor(getQrRawModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+}
+function getQrAlignmentPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+  const alignCount = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + alignCount * 3 + 5) / (alignCount * 4 - 4)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < alignCount; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+function qrGfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+function qrReedSolomon(data, degree) {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = qrGfMultiply(divisor[j], root);
+      if (j + 1 < degree) {
+        divisor[j] ^= divisor[j + 1];
+      }
+    }
+    root = qrGfMultiply(root, 0x02);
+  }
+  const remainder = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, i) => {
+      remainder[i] ^= qrGfMultiply(coefficient, factor);
+    });
+  }
+  return remainder;
+}
+function buildQrCodewords(bytes, version) {
+  const bits = [];
+  const pushBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+  pushBits(0b0100, 4);
+  pushBits(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => pushBits(byte, 8));
+  const capacity = getQrDataCodewords(version) * 8;
+  pushBits(0, Math.min(4, capacity - bits.length));
+  pushBits(0, (8 - bits.length % 8) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  }
+  for (let pad = 0xec; data.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    data.push(pad);
+  }
+  // Split into error correction blocks, then interleave the blocks column by column
+  const blockCount = QR_ECC_BLOCKS[version];
+  const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getQrRawModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+    offset += block.length;
+    const ecc = qrReedSolomon(block, eccLength);
+    if (i < shortBlockCount) {
+      block.push(0);
+    }
+    blocks.push(block.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+function getQrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+  for (let i = 0; i < size; i++) {
+    const row = modules[i];
+    const column = modules.map(line => line[i]);
+    for (const line of [row, column]) {
+      let run = 1;
+      for (let j = 1; j <= size; j++) {
+        if (j < size && line[j] === line[j - 1]) {
+          run++;
+        } else {
+          if (run >= 5) {
+            penalty += run - 2;
+          }
+          run = 1;
+        }
+      }
+      const pattern = line.map(module => module ? '1' : '0').join('');
+      penalty += 40 * (pattern.match(/(?=00001011101|10111010000)/g) || []).length;
+    }
+    for (let j = 0; j < size; j++) {
+      if (row[j]) {
+        dark++;
+      }
+      if (i + 1 < size && j + 1 < size && row[j] === row[j + 1] && row[j] === modules[i + 1][j] && row[j] === modules[i + 1][j + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  return penalty + (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+}
+function encodeQrCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (version <= 40 && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getQrDataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > 40) {
+    throw new Error('内容过长，无法生成二维码');
+  }
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (cx + dx >= 0 && cx + dx < size && cy + dy >= 0 && cy + dy < size) {
+          setFunction(cx + dx, cy + dy, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+  const alignments = getQrAlignmentPositions(version);
+  alignments.forEach((cy, i) => alignments.forEach((cx, j) => {
+    const last = alignments.length - 1;
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+      return;
+    }
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }));
+  const drawFormatBits = (mask) => {
+    // Level M has format indicator 00
+    const data = mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    for (let i = 0; i <= 5; i++) {
+      setFunction(8, i, bit(i));
+    }
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) {
+      setFunction(14 - i, 8, bit(i));
+    }
+    for (let i = 0; i < 8; i++) {
+      setFunction(size - 1 - i, 8, bit(i));
+    }
+    for (let i = 8; i < 15; i++) {
+      setFunction(8, size - 15 + i, bit(i));
+    }
+    setFunction(8, size - 8, true);
+  };
+  drawFormatBits(0);
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      setFunction(size - 11 + i % 3, Math.floor(i / 3), dark);
+      setFunction(Math.floor(i / 3), size - 11 + i % 3, dark);
+    }
+  }
+  const codewords = buildQrCodewords(bytes, version);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (const x of [right, right - 1]) {
+        if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+          bitIndex++;
+        }
+      }
+    }
+  }
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && QR_MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < QR_MASKS.length; mask++) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = getQrPenalty(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask);
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+  return modules;
+}
+const QR_QUIET_ZONE = 4;
+function renderQrSvg(modules) {
+  const dimension = modules.length + QR_QUIET_ZONE * 2;
+  const path = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) {
+      path.push(`M${x + QR_QUIET_ZONE},${y + QR_QUIET_ZONE}h1v1h-1z`);
+    }
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+let crc32Table = null;
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crc32Table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+// 1-bit grayscale PNG; CompressionStream's "deflate" output is the zlib stream PNG expects
+async function renderQrPng(modules, scale = 8) {
+  const size = modules.length;
+  const dimension = (size + QR_QUIET_ZONE * 2) * scale;
+  const rowLength = Math.ceil(dimension / 8) + 1;
+  const raw = new Uint8Array(rowLength * dimension);
+  for (let y = 0; y < dimension; y++) {
+    const moduleY = Math.floor(y / scale) - QR_QUIET_ZONE;
+    for (let x = 0; x < dimension; x++) {
+      const moduleX = Math.floor(x / scale) - QR_QUIET_ZONE;
+      const dark = moduleY >= 0 && moduleY < size && moduleX >= 0 && moduleX < size && modules[moduleY][moduleX];
+      if (!dark) {
+        raw[y * rowLength + 1 + (x >>> 3)] |= 0x80 >>> (x & 7);
+      }
+    }
+  }
+  const compressed = new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer());
+  const chunk = (type, data) => {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    bytes.set(new TextEncoder().encode(type), 4);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+    return bytes;
+  };
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, dimension);
+  headerView.setUint32(4, dimension);
+  header.set([1, 0, 0, 0, 0], 8);
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', compressed),
+    chunk('IEND', new Uint8Array(0))
+  ];
+  return new Uint8Array(await new Blob(parts).arrayBuffer());
+}
+async function handleQrRequest(request, config) {
+  const params = new URL(request.url).searchParams;
+  const text = params.get('url') || '';
+  if (!text) {
+    return new Response(JSON.stringify({ status: 0, msg: '缺少 url 参数' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  let modules;
+  try {
+    modules = encodeQrCode(text);
+  } catch (error) {
+    return new Response(JSON.stringify({ status: 0, msg: error.message }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  const headers = { 'Cache-Control': 'private, max-age=86400' };
+  if (params.get('format') === 'svg') {
+    return new Response(renderQrSvg(modules), { headers: { ...headers, 'Content-Type': 'image/svg+xml' } });
+  }
+  const scale = Math.min(Math.max(parseInt(params.get('scale'), 10) || 8, 1), 20);
+  return new Response(await renderQrPng(modules, scale), { headers: { ...headers, 'Content-Type': 'image/png' } });
+}
+async function handleShareRequest(request, config) {
+  if (config.enableAuth && !(await authenticate(request, config))) {
     return new Response(JSON.stringify({ status: 0, msg: "未授权" }), {
       status: 401,
       headers: { 'Content-Type': 'application/json' }
     });
   }
   try {
-    const { urls, categoryId } = await request.json();
-    if (!Array.isArray(urls) || urls.length === 0 || categoryId === undefined) {
+    const { url, ttl } = await request.json();
+    const ttlSeconds = clampShareTtl(config, parseInt(ttl, 10));
+    if (!url || !ttlSeconds || ttlSeconds <= 0) {
       return new Response(JSON.stringify({ status: 0, msg: '无效的请求参数' }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
-    const newCategoryId = categoryId ? parseInt(categoryId, 10) : null;
-    const statements = urls.map(url =>
-      config.database.prepare('UPDATE files SET category_id = ? WHERE url = ?').bind(newCategoryId, url)
-    );
-    await config.database.batch(statements);
-    return new Response(JSON.stringify({ status: 1, msg: '分类更换成功' }), {
+    const file = await config.database.prepare('SELECT url, is_private FROM files WHERE url = ? AND deleted_at IS NULL').bind(url).first();
+    if (!file) {
+      return new Response(JSON.stringify({ status: 0, msg: '未找到对应的文件记录' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const shareUrl = file.is_private ? await createSignedUrl(config, file.url, ttlSeconds) : file.url;
+    return new Response(JSON.stringify({ status: 1, msg: '分享链接已生成', url: shareUrl }), {
       headers: { 'Content-Type': 'application/json' }
     });
   } catch (error) {
-    console.error('更换分类失败:', error);
-    return new Response(JSON.stringify({ status: 0, msg: `更换分类失败: ${error.message}` }), {
+    console.error('生成分享链接失败:', error);
+    return new Response(JSON.stringify({ status: 0, msg: `生成分享链接失败: ${error.message}` }), {
       status: 500,
       headers: { 'Content-Type': 'application/json' }
     });
   }
 }
+// Durations past this would push expiry timestamps beyond what Date can represent
+const MAX_DURATION_SECONDS = 3650 * 86400;
+function parseDuration(text) {
+  const match = /^(\d+)\s*(m|min|分钟|h|小时|d|天|w|周)?$/i.exec((text || '').trim());
+  if (!match) {
+    return null;
+  }
+  const unitSeconds = {
+    m: 60, min: 60, '分钟': 60,
+    h: 3600, '小时': 3600,
+    d: 86400, '天': 86400,
+    w: 604800, '周': 604800
+  };
+  const value = parseInt(match[1], 10);
+  return value > 0 ? Math.min(value * unitSeconds[(match[2] || 'h').toLowerCase()], MAX_DURATION_SECONDS) : null;
+}
+function clampShareTtl(config, ttlSeconds) {
+  return ttlSeconds > 0 ? Math.min(ttlSeconds, config.shareMaxTtlDays * 86400) : ttlSeconds;
+}
+async function signFilePath(config, path, expires) {
+  return bufferToHex(await hmacSha256(config.shareSecret, `${path}:${expires}`));
+}
+async function createSignedUrl(config, fileUrl, ttlSeconds) {
+  if (!config.shareSecret) {
+    throw new Error('未配置SHARE_SECRET，无法生成签名链接');
+  }
+  const url = new URL(fileUrl);
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const path = decodeURIComponent(url.pathname.slice(1));
+  url.searchParams.set('exp', expires);
+  url.searchParams.set('sig', await signFilePath(config, path, expires));
+  return url.toString();
+}
+async function verifySignedRequest(config, path, searchParams) {
+  const expires = parseInt(searchParams.get('exp'), 10);
+  const signature = searchParams.get('sig') || '';
+  if (!config.shareSecret || !expires || !signature) {
+    return { valid: false, reason: 'unsigned' };
+  }
+  const expected = await signFilePath(config, path, expires);
+  if (!timingSafeEqual(expected, signature)) {
+    return { valid: false, reason: 'invalid' };
+  }
+  if (expires <= Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'expired' };
+  }
+  return { valid: true, expires };
+}
 function copyShareUrl(url, fileName) {
   console.log('复制分享链接:', url);
   try {